@@ -0,0 +1,185 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { analyzePixels, resolveSampling, DEFAULT_ANALYSIS_MODE, DEFAULT_QUANTIZER_OPTIONS } from '../src/utils/analysisCore';
+import { decodeRaster } from '../src/utils/decoders';
+import { readImageMetadata } from '../src/utils/metadata';
+import { RENDERING_INTENTS, DEFAULT_RENDERING_INTENT, createCmykTransform } from '../src/utils/colorManagement';
+import {
+    BLACK_GENERATION_PRESETS,
+    DEFAULT_BLACK_GENERATION,
+    K_CURVE_POINTS,
+    applyBlackGeneration
+} from '../src/utils/blackGeneration';
+import { QUANTIZERS } from '../src/utils/quantize';
+import { DELTA_E_METRICS } from '../src/utils/deltaE';
+import { buildAnalysisJson, buildBatchJson, buildBatchCsv } from '../src/utils/export';
+import { createGamutCheck } from '../src/utils/gamut';
+import { DEFAULT_PREFLIGHT_PROFILE, normalizePreflightProfile, evaluatePreflight } from '../src/utils/preflight';
+import { normalizeAnalysisSettings } from '../src/utils/settings';
+
+// Analyzes image files from disk with the same code the browser runs and
+// prints (or writes) the results as JSON or CSV. Built with `npm run build:cli`.
+
+const USAGE = `Usage: coloranalyzer [options] <image...>
+
+Options:
+  --format <json|csv>         Output format (default: json)
+  -o, --output <file>         Write to a file instead of stdout
+  --mode <standard|exact>     Sampling mode (default: ${DEFAULT_ANALYSIS_MODE})
+  --max-size <px|native>      Longest side to analyze at, overriding the mode
+  --sample-every <n>          Sampling grid step in pixels, overriding the mode
+  --profile <file.icc>        CMYK output profile (default: naive conversion)
+  --intent <intent>           ${Object.keys(RENDERING_INTENTS).join(', ')} (default: ${DEFAULT_RENDERING_INTENT})
+  --black-generation <name>   ${Object.keys(BLACK_GENERATION_PRESETS).join(', ')} (default: ${DEFAULT_BLACK_GENERATION.strategy})
+  --k-curve <k,k,k,k,k>       K at ${K_CURVE_POINTS.join(', ')}% gray for the custom strategy
+  --quantizer <method>        ${Object.keys(QUANTIZERS).join(', ')} (default: ${DEFAULT_QUANTIZER_OPTIONS.method})
+  --palette-size <n>          Palette colors before merging (default: ${DEFAULT_QUANTIZER_OPTIONS.paletteSize})
+  --metric <metric>           ${Object.keys(DELTA_E_METRICS).join(', ')} (default: ${DEFAULT_QUANTIZER_OPTIONS.metric})
+  --tolerance <dE>            Merge palette colors closer than this (default: ${DEFAULT_QUANTIZER_OPTIONS.tolerance})
+  --preflight <file.json>     Preflight profile (default: ${DEFAULT_PREFLIGHT_PROFILE.name})
+  -h, --help                  Show this help
+
+Values are checked against the same limits as the page's settings.
+One image gives its full analysis as JSON; several give a batch report.
+CSV always has one summary row per image.
+
+Exit status: 0 on success, 1 if an image could not be analyzed,
+2 if an image failed preflight.`;
+
+// Analysis options without a default are left to normalizeAnalysisSettings.
+const OPTIONS = {
+    format: { type: 'string', default: 'json' },
+    output: { type: 'string', short: 'o' },
+    mode: { type: 'string', default: DEFAULT_ANALYSIS_MODE },
+    'max-size': { type: 'string' },
+    'sample-every': { type: 'string' },
+    profile: { type: 'string' },
+    intent: { type: 'string' },
+    'black-generation': { type: 'string' },
+    'k-curve': { type: 'string' },
+    quantizer: { type: 'string' },
+    'palette-size': { type: 'string' },
+    metric: { type: 'string' },
+    tolerance: { type: 'string' },
+    preflight: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const toArrayBuffer = (data) => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+// Numeric options are passed on as numbers and checked by
+// normalizeAnalysisSettings; anything unparsable becomes NaN and is rejected.
+const number = (value) => (value === undefined ? undefined : Number(value));
+
+const defined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const readPreflightProfile = async (path) => {
+    if (!path) return DEFAULT_PREFLIGHT_PROFILE;
+    try {
+        return normalizePreflightProfile(JSON.parse(await readFile(path, 'utf8')));
+    } catch (err) {
+        throw new Error(`--preflight ${path}: ${err.message}`);
+    }
+};
+
+const readOptions = async (values) => {
+    if (!['json', 'csv'].includes(values.format)) throw new Error('--format must be one of: json, csv');
+    const maxSize = values['max-size'];
+    const overrides = defined({
+        maxDimension: maxSize === 'native' ? null : number(maxSize),
+        sampleEvery: number(values['sample-every'])
+    });
+    // A K curve only applies to the custom strategy, which it selects by default.
+    const strategy = values['black-generation'] ?? (values['k-curve'] && 'custom');
+    if (values['k-curve'] && strategy !== 'custom') throw new Error('--k-curve needs --black-generation custom');
+
+    const settings = normalizeAnalysisSettings({
+        sampling: Object.keys(overrides).length ? { ...resolveSampling(values.mode), ...overrides } : values.mode,
+        quantizer: defined({
+            method: values.quantizer,
+            paletteSize: number(values['palette-size']),
+            metric: values.metric,
+            tolerance: number(values.tolerance)
+        }),
+        renderingIntent: values.intent,
+        blackGeneration: defined({ strategy, curve: values['k-curve']?.split(',').map(Number) })
+    });
+    return {
+        sampling: settings.sampling,
+        profile: {
+            buffer: values.profile ? toArrayBuffer(await readFile(values.profile)) : null,
+            intent: settings.renderingIntent
+        },
+        blackGeneration: settings.blackGeneration,
+        quantizer: settings.quantizer
+    };
+};
+
+const analyzeFile = async (path, options) => {
+    const data = await readFile(path);
+    const buffer = toArrayBuffer(data);
+    const metadata = await readImageMetadata(buffer);
+    const raster = await decodeRaster(buffer);
+    return analyzePixels({ ...raster, data: raster.rgba }, {
+        ...options,
+        image: {
+            name: basename(path),
+            size: data.byteLength,
+            // The decoder knows the real pixel format better than the headers.
+            metadata: { ...metadata, bitDepth: raster.bitDepth, colorSpace: raster.colorSpace },
+            decoded: true
+        }
+    });
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (values.help || !positionals.length) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const options = await readOptions(values);
+    const preflightProfile = await readPreflightProfile(values.preflight);
+    const gamut = createGamutCheck(applyBlackGeneration(
+        createCmykTransform(options.profile.buffer, options.profile.intent),
+        options.blackGeneration
+    ));
+    const results = [];
+    let failed = 0;
+    for (const path of positionals) {
+        try {
+            const stats = await analyzeFile(path, options);
+            const preflight = evaluatePreflight(stats, preflightProfile, { gamut });
+            results.push({ name: basename(path), stats, preflight });
+        } catch (err) {
+            failed++;
+            console.error(`${path}: ${err.message}`);
+        }
+    }
+    if (!results.length) return 1;
+
+    const output = values.format === 'csv'
+        ? buildBatchCsv(results)
+        : positionals.length === 1
+            ? `${buildAnalysisJson(results[0].stats, { preflight: results[0].preflight })}\n`
+            : `${buildBatchJson(results)}\n`;
+    if (values.output) {
+        await writeFile(values.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    if (failed) return 1;
+    return results.some(result => result.preflight.verdict === 'fail') ? 2 : 0;
+};
+
+main().then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    }
+);
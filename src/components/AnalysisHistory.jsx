@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import { listHistory, deleteHistoryEntry, matchesHistorySearch } from '../utils/history';
+
+const buttonStyle = {
+    padding: '6px 12px',
+    backgroundColor: 'rgba(60, 60, 60, 0.9)',
+    color: '#fff',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '0.8rem'
+};
+
+// Past analyses stored in this browser (see utils/history.js). `onOpen`
+// reopens an entry in the results view and returns a promise.
+export default function AnalysisHistory({ onOpen }) {
+    const [entries, setEntries] = useState(null);
+    const [query, setQuery] = useState('');
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        listHistory().then(setEntries, (err) => setError(`History is unavailable: ${err.message}`));
+    }, []);
+
+    const remove = (entry) => {
+        deleteHistoryEntry(entry.id)
+            .then(() => setEntries(prev => prev.filter(item => item.id !== entry.id)))
+            .catch((err) => setError(`${entry.name} could not be deleted: ${err.message}`));
+    };
+
+    const open = (entry) => {
+        setError(null);
+        onOpen(entry).catch((err) => setError(`${entry.name} could not be opened: ${err.message}`));
+    };
+
+    if (!error && !entries?.length) return null;
+
+    const visible = (entries ?? []).filter(entry => matchesHistorySearch(entry, query));
+
+    return (
+        <div style={{
+            width: '700px',
+            maxWidth: '100%',
+            margin: '40px auto 0 auto',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            boxSizing: 'border-box'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: '10px',
+                marginBottom: '15px'
+            }}>
+                <h2 style={{ margin: 0, color: '#fff', fontWeight: '400', fontSize: '1.3rem' }}>
+                    History{entries && ` (${entries.length})`}
+                </h2>
+                {entries && (
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Search by file or profile"
+                        style={{
+                            backgroundColor: '#333',
+                            color: '#fff',
+                            border: '1px solid #555',
+                            borderRadius: '4px',
+                            padding: '6px 10px',
+                            width: '220px'
+                        }}
+                    />
+                )}
+            </div>
+
+            {error && <p style={{ color: '#e74c3c', margin: '0 0 10px 0', fontSize: '0.9rem' }}>{error}</p>}
+            {entries && !visible.length && (
+                <p style={{ color: '#aaa', margin: 0, fontSize: '0.9rem' }}>No analyses match “{query}”.</p>
+            )}
+
+            <div style={{ maxHeight: '420px', overflowY: 'auto' }}>
+                {visible.map((entry) => (
+                    <div key={entry.id} style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '15px',
+                        padding: '10px 0',
+                        borderTop: '1px solid #444'
+                    }}>
+                        <img
+                            src={entry.thumbnail}
+                            alt=""
+                            style={{ width: '64px', height: '64px', objectFit: 'contain', backgroundColor: '#222', borderRadius: '4px' }}
+                        />
+                        <div style={{ flex: 1, minWidth: 0, textAlign: 'left' }}>
+                            <button
+                                onClick={() => open(entry)}
+                                style={{
+                                    background: 'none',
+                                    border: 'none',
+                                    padding: 0,
+                                    color: '#3498db',
+                                    cursor: 'pointer',
+                                    textDecoration: 'underline',
+                                    fontSize: '0.95rem',
+                                    maxWidth: '100%',
+                                    overflow: 'hidden',
+                                    textOverflow: 'ellipsis',
+                                    whiteSpace: 'nowrap'
+                                }}
+                            >
+                                {entry.name}
+                            </button>
+                            <div style={{ color: '#888', fontSize: '0.8rem', marginTop: '3px' }}>
+                                {new Date(entry.createdAt).toLocaleString()}
+                                {entry.summary.width && ` · ${entry.summary.width} × ${entry.summary.height} px`}
+                                {` · ${entry.summary.profile}`}
+                            </div>
+                            <div style={{ display: 'flex', gap: '3px', marginTop: '5px' }}>
+                                {entry.summary.colors.map(hex => (
+                                    <span
+                                        key={hex}
+                                        title={hex}
+                                        style={{
+                                            width: '14px',
+                                            height: '14px',
+                                            borderRadius: '3px',
+                                            backgroundColor: hex,
+                                            border: '1px solid rgba(255,255,255,0.2)'
+                                        }}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                        <button onClick={() => remove(entry)} style={buttonStyle} title={`Delete ${entry.name} from the history`}>
+                            Delete
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import {
+    BUILT_IN_PRESETS,
+    loadStoredPresets,
+    storePresets,
+    matchingPreset,
+    settingsToQuery,
+    settingsUrl,
+    writeSettingsToAddressBar
+} from '../utils/settings';
+
+const controlStyle = {
+    backgroundColor: 'rgba(60, 60, 60, 0.9)',
+    color: '#fff',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '4px',
+    padding: '4px 8px',
+    cursor: 'pointer'
+};
+
+// Named presets of the analysis settings (built in or saved in this browser)
+// and a link that reproduces the current settings elsewhere. `settingsError`
+// describes settings that cannot be analyzed, which cannot be saved either.
+export default function AnalysisPresets({ settings, profileName, onApply, disabled, settingsError }) {
+    const [saved, setSaved] = useState(loadStoredPresets);
+    const [naming, setNaming] = useState(false);
+    const [name, setName] = useState('');
+    const [message, setMessage] = useState(null);
+
+    const presets = [...BUILT_IN_PRESETS, ...saved];
+    const current = matchingPreset(presets, settings);
+    const currentSaved = saved.some(preset => preset.name === current);
+
+    const updateSaved = (next) => {
+        setSaved(next);
+        storePresets(next);
+    };
+
+    const savePreset = () => {
+        const trimmed = name.trim();
+        if (!trimmed || settingsError) return;
+        if (BUILT_IN_PRESETS.some(preset => preset.name === trimmed)) {
+            setMessage(`“${trimmed}” is a built-in preset; choose another name`);
+            return;
+        }
+        updateSaved([...saved.filter(preset => preset.name !== trimmed), { name: trimmed, settings }]);
+        setNaming(false);
+        setName('');
+        setMessage(null);
+    };
+
+    const copyLink = () => {
+        const query = settingsToQuery(settings, profileName);
+        const url = settingsUrl(query, { absolute: true });
+        writeSettingsToAddressBar(query);
+        // The clipboard API only exists on secure (https or localhost) origins.
+        if (!navigator.clipboard) {
+            setMessage(`Copy this link: ${url}`);
+            return;
+        }
+        navigator.clipboard.writeText(url).then(
+            () => setMessage(profileName
+                ? `Link copied; the ICC profile “${profileName}” has to be loaded separately`
+                : 'Link copied'),
+            () => setMessage(`Copy this link: ${url}`)
+        );
+    };
+
+    return (
+        <div style={{
+            display: 'flex',
+            gap: '12px',
+            alignItems: 'center',
+            flexWrap: 'wrap',
+            justifyContent: 'center',
+            color: '#aaa',
+            fontSize: '0.9rem'
+        }}>
+            <label>
+                Preset{' '}
+                <select
+                    value={current ?? ''}
+                    onChange={(e) => onApply(presets.find(preset => preset.name === e.target.value).settings)}
+                    disabled={disabled}
+                    style={controlStyle}
+                >
+                    <option value="" disabled>Custom settings</option>
+                    {presets.map(preset => (
+                        <option key={preset.name} value={preset.name}>{preset.name}</option>
+                    ))}
+                </select>
+            </label>
+            {currentSaved && (
+                <button
+                    onClick={() => updateSaved(saved.filter(preset => preset.name !== current))}
+                    disabled={disabled}
+                    style={controlStyle}
+                >
+                    Delete preset
+                </button>
+            )}
+            {naming ? (
+                <>
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && savePreset()}
+                        placeholder="Preset name"
+                        aria-label="Preset name"
+                        autoFocus
+                        style={{ ...controlStyle, cursor: 'text', width: '150px' }}
+                    />
+                    <button onClick={savePreset} disabled={!name.trim() || Boolean(settingsError)} style={controlStyle}>
+                        Save
+                    </button>
+                    <button onClick={() => setNaming(false)} style={controlStyle}>Cancel</button>
+                </>
+            ) : (
+                <button
+                    onClick={() => setNaming(true)}
+                    disabled={disabled || Boolean(settingsError)}
+                    title={settingsError ?? undefined}
+                    style={controlStyle}
+                >
+                    Save as preset…
+                </button>
+            )}
+            <button onClick={copyLink} style={controlStyle}>Copy settings link</button>
+            {message && <span style={{ color: '#ddd', fontSize: '0.85rem' }}>{message}</span>}
+        </div>
+    );
+}
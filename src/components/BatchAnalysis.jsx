@@ -0,0 +1,287 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { describeFile, loadImageFile, startAnalysis, isCancelled } from '../utils/analysis';
+import { downloadFile, buildBatchCsv, buildBatchJson } from '../utils/export';
+import { createCmykTransform } from '../utils/colorManagement';
+import { applyBlackGeneration } from '../utils/blackGeneration';
+import { createGamutCheck } from '../utils/gamut';
+import { PREFLIGHT_VERDICTS, evaluatePreflight, describePreflightIssues } from '../utils/preflight';
+
+const VERDICT_COLORS = { pass: '#2ecc71', warn: '#f39c12', fail: '#e74c3c' };
+
+const COLUMNS = [
+    { key: 'name', label: 'Image', value: (entry) => entry.file.name.toLowerCase() },
+    { key: 'cyan', label: 'C', value: (entry) => entry.stats?.overallCmyk.cyan },
+    { key: 'magenta', label: 'M', value: (entry) => entry.stats?.overallCmyk.magenta },
+    { key: 'yellow', label: 'Y', value: (entry) => entry.stats?.overallCmyk.yellow },
+    { key: 'black', label: 'K', value: (entry) => entry.stats?.overallCmyk.black },
+    { key: 'tac', label: 'Max TAC', value: (entry) => entry.stats?.tac.max },
+    { key: 'colors', label: 'Dominant colors', value: null },
+    { key: 'pixels', label: 'Pixels', value: (entry) => entry.stats?.totalPixels },
+    {
+        key: 'preflight',
+        label: 'Preflight',
+        value: (entry) => (entry.preflight ? PREFLIGHT_VERDICTS.indexOf(entry.preflight.verdict) : undefined)
+    }
+];
+
+const buttonStyle = {
+    padding: '8px 16px',
+    backgroundColor: 'rgba(60, 60, 60, 0.9)',
+    color: '#fff',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '0.85rem'
+};
+
+const cellStyle = { padding: '8px', textAlign: 'right' };
+
+const statusText = (entry) => {
+    switch (entry.status) {
+        case 'queued': return 'Queued';
+        case 'analyzing': return `Analyzing... ${entry.progress}%`;
+        case 'error': return `Failed: ${entry.error}`;
+        case 'cancelled': return 'Cancelled';
+        default: return null;
+    }
+};
+
+export default function BatchAnalysis({ files, analysisOptions, preflightProfile, onOpen, hidden }) {
+    // Settings are captured when the batch starts so every image in the
+    // queue is analyzed the same way.
+    const [options] = useState(analysisOptions);
+    const [entries, setEntries] = useState(() => files.map((file, index) => ({
+        id: index,
+        source: file,
+        file: describeFile(file),
+        status: 'queued',
+        progress: 0,
+        image: null,
+        stats: null,
+        error: null
+    })));
+    const [sort, setSort] = useState({ key: null, direction: 1 });
+    const jobRef = useRef(null);
+    const runningRef = useRef(false);
+    const cancelledRef = useRef(false);
+
+    const update = (id, changes) => {
+        setEntries(prev => prev.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+    };
+
+    useEffect(() => () => jobRef.current?.cancel(), []);
+
+    useEffect(() => {
+        if (runningRef.current) return;
+        const next = entries.find(entry => entry.status === 'queued');
+        if (!next) return;
+
+        runningRef.current = true;
+        update(next.id, { status: 'analyzing', progress: 0 });
+
+        loadImageFile(next.source)
+            .then((image) => {
+                if (cancelledRef.current) return;
+                const job = startAnalysis(
+                    image,
+                    { ...options, file: next.file },
+                    { onProgress: (progress) => update(next.id, { progress }) }
+                );
+                jobRef.current = job;
+                return job.promise.then((stats) => update(next.id, { status: 'done', image, stats }));
+            })
+            .catch((err) => {
+                if (!isCancelled(err)) update(next.id, { status: 'error', error: err.message });
+            })
+            .finally(() => {
+                jobRef.current = null;
+                runningRef.current = false;
+                // Nudge the effect so it picks up the next queued entry.
+                setEntries(prev => [...prev]);
+            });
+    }, [entries, options]);
+
+    // Preflight follows the current profile, so editing it re-checks the
+    // finished images without analyzing them again.
+    const gamut = useMemo(() => createGamutCheck(applyBlackGeneration(
+        createCmykTransform(options.profile.buffer, options.profile.intent),
+        options.blackGeneration
+    )), [options]);
+    const checked = useMemo(() => entries.map(entry => (
+        entry.stats ? { ...entry, preflight: evaluatePreflight(entry.stats, preflightProfile, { gamut }) } : entry
+    )), [entries, preflightProfile, gamut]);
+
+    const cancelBatch = () => {
+        cancelledRef.current = true;
+        setEntries(prev => prev.map(entry => (
+            entry.status === 'queued' || entry.status === 'analyzing'
+                ? { ...entry, status: 'cancelled' }
+                : entry
+        )));
+        jobRef.current?.cancel();
+    };
+
+    const toggleSort = (key) => {
+        setSort(prev => ({ key, direction: prev.key === key ? -prev.direction : 1 }));
+    };
+
+    const column = COLUMNS.find(c => c.key === sort.key);
+    const rows = column
+        ? [...checked].sort((a, b) => {
+            const va = column.value(a);
+            const vb = column.value(b);
+            if (va === undefined) return 1;
+            if (vb === undefined) return -1;
+            return (va < vb ? -1 : va > vb ? 1 : 0) * sort.direction;
+        })
+        : checked;
+
+    const completed = checked.filter(entry => entry.status === 'done');
+    const pending = entries.some(entry => entry.status === 'queued' || entry.status === 'analyzing');
+    const results = completed.map(entry => ({ name: entry.file.name, stats: entry.stats, preflight: entry.preflight }));
+
+    return (
+        <div style={{ display: hidden ? 'none' : 'block' }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: '10px',
+                marginBottom: '20px'
+            }}>
+                <h2 style={{
+                    margin: 0,
+                    color: '#fff',
+                    fontWeight: '400',
+                    fontSize: '1.3rem'
+                }}>
+                    Batch Analysis ({completed.length} of {entries.length} analyzed)
+                </h2>
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    {pending && (
+                        <button onClick={cancelBatch} style={buttonStyle}>Cancel remaining</button>
+                    )}
+                    <button
+                        onClick={() => downloadFile(buildBatchCsv(results), 'batch-color-analysis.csv', 'text/csv')}
+                        disabled={!results.length}
+                        style={buttonStyle}
+                    >
+                        Export CSV
+                    </button>
+                    <button
+                        onClick={() => downloadFile(buildBatchJson(results), 'batch-color-analysis.json', 'application/json')}
+                        disabled={!results.length}
+                        style={buttonStyle}
+                    >
+                        Export JSON
+                    </button>
+                </div>
+            </div>
+
+            <div style={{ overflowX: 'auto' }}>
+                <table style={{
+                    width: '100%',
+                    borderCollapse: 'collapse',
+                    fontSize: '0.9rem',
+                    color: '#ddd'
+                }}>
+                    <thead>
+                        <tr style={{ color: '#aaa' }}>
+                            {COLUMNS.map(({ key, label, value }) => (
+                                <th
+                                    key={key}
+                                    onClick={value ? () => toggleSort(key) : undefined}
+                                    style={{
+                                        ...cellStyle,
+                                        textAlign: key === 'name' || key === 'colors' || key === 'preflight' ? 'left' : 'right',
+                                        fontWeight: '400',
+                                        cursor: value ? 'pointer' : 'default',
+                                        whiteSpace: 'nowrap'
+                                    }}
+                                >
+                                    {label}
+                                    {sort.key === key && (sort.direction === 1 ? ' ▲' : ' ▼')}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((entry) => (
+                            <tr key={entry.id} style={{ borderTop: '1px solid #444' }}>
+                                <td style={{ ...cellStyle, textAlign: 'left' }}>
+                                    {entry.status === 'done' ? (
+                                        <button
+                                            onClick={() => onOpen(entry)}
+                                            style={{
+                                                background: 'none',
+                                                border: 'none',
+                                                padding: 0,
+                                                color: '#3498db',
+                                                cursor: 'pointer',
+                                                textDecoration: 'underline',
+                                                fontSize: 'inherit'
+                                            }}
+                                        >
+                                            {entry.file.name}
+                                        </button>
+                                    ) : (
+                                        <>
+                                            {entry.file.name}
+                                            <div style={{
+                                                color: entry.status === 'error' ? '#e74c3c' : '#888',
+                                                fontSize: '0.8em'
+                                            }}>
+                                                {statusText(entry)}
+                                            </div>
+                                        </>
+                                    )}
+                                </td>
+                                {entry.stats ? (
+                                    <>
+                                        <td style={cellStyle}>{entry.stats.overallCmyk.cyan.toFixed(1)}%</td>
+                                        <td style={cellStyle}>{entry.stats.overallCmyk.magenta.toFixed(1)}%</td>
+                                        <td style={cellStyle}>{entry.stats.overallCmyk.yellow.toFixed(1)}%</td>
+                                        <td style={cellStyle}>{entry.stats.overallCmyk.black.toFixed(1)}%</td>
+                                        <td style={cellStyle}>{entry.stats.tac.max.toFixed(1)}%</td>
+                                        <td style={{ ...cellStyle, textAlign: 'left' }}>
+                                            <div style={{ display: 'flex', gap: '3px' }}>
+                                                {entry.stats.colors.slice(0, 6).map((color) => (
+                                                    <span
+                                                        key={color.hex}
+                                                        title={`${color.hex} · ${color.percentage.toFixed(1)}%`}
+                                                        style={{
+                                                            width: '18px',
+                                                            height: '18px',
+                                                            borderRadius: '3px',
+                                                            backgroundColor: color.hex,
+                                                            border: '1px solid rgba(255,255,255,0.2)'
+                                                        }}
+                                                    />
+                                                ))}
+                                            </div>
+                                        </td>
+                                        <td style={cellStyle}>{entry.stats.totalPixels.toLocaleString()}</td>
+                                        <td
+                                            title={describePreflightIssues(entry.preflight) || undefined}
+                                            style={{
+                                                ...cellStyle,
+                                                textAlign: 'left',
+                                                color: VERDICT_COLORS[entry.preflight.verdict],
+                                                textTransform: 'capitalize'
+                                            }}
+                                        >
+                                            {entry.preflight.verdict}
+                                        </td>
+                                    </>
+                                ) : (
+                                    <td colSpan={COLUMNS.length - 1} style={{ ...cellStyle, color: '#666' }}>—</td>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
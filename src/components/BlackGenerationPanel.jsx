@@ -0,0 +1,153 @@
+import {
+    BLACK_GENERATION_PRESETS,
+    K_CURVE_POINTS
+} from '../utils/blackGeneration';
+
+const controlStyle = {
+    backgroundColor: 'rgba(60, 60, 60, 0.9)',
+    color: '#fff',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '4px',
+    padding: '4px 8px'
+};
+
+export function BlackGenerationSettings({ settings, onChange, disabled }) {
+    const setCurvePoint = (index, value) => {
+        const curve = [...settings.curve];
+        curve[index] = value;
+        onChange({ ...settings, curve });
+    };
+
+    return (
+        <div style={{
+            display: 'flex',
+            gap: '12px',
+            alignItems: 'center',
+            flexWrap: 'wrap',
+            color: '#aaa',
+            fontSize: '0.9rem'
+        }}>
+            <label>
+                Black generation{' '}
+                <select
+                    value={settings.strategy}
+                    onChange={(e) => onChange({ ...settings, strategy: e.target.value })}
+                    disabled={disabled}
+                    style={controlStyle}
+                >
+                    {Object.entries(BLACK_GENERATION_PRESETS).map(([key, { label }]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+            </label>
+            {settings.strategy === 'custom' && K_CURVE_POINTS.map((gray, index) => (
+                <label key={gray} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', fontSize: '0.75rem' }}>
+                    K at {gray}%
+                    <input
+                        type="number"
+                        min={0}
+                        max={100}
+                        value={settings.curve[index]}
+                        onChange={(e) => setCurvePoint(index, Math.min(100, Math.max(0, Number(e.target.value))))}
+                        disabled={disabled}
+                        style={{ ...controlStyle, width: '55px' }}
+                    />
+                </label>
+            ))}
+        </div>
+    );
+}
+
+export default function BlackGenerationPanel({ colorStats, settings, onChange, onApply, isAnalyzing, progress }) {
+    const applied = colorStats.blackGeneration;
+    const changed = settings.strategy !== applied.strategy
+        || (settings.strategy === 'custom' && settings.curve.join() !== applied.curve.join());
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <h2 style={{
+                marginTop: 0,
+                marginBottom: '20px',
+                color: '#fff',
+                fontWeight: '400',
+                fontSize: '1.3rem'
+            }}>
+                Black Generation
+            </h2>
+
+            <div style={{
+                display: 'flex',
+                gap: '15px',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                marginBottom: '20px'
+            }}>
+                <BlackGenerationSettings settings={settings} onChange={onChange} disabled={isAnalyzing} />
+                <button
+                    onClick={onApply}
+                    disabled={isAnalyzing || !changed}
+                    style={{
+                        padding: '6px 14px',
+                        backgroundColor: isAnalyzing || !changed ? '#555' : '#2ecc71',
+                        color: '#fff',
+                        border: 'none',
+                        borderRadius: '4px',
+                        cursor: isAnalyzing || !changed ? 'default' : 'pointer',
+                        fontSize: '0.85rem'
+                    }}
+                >
+                    {isAnalyzing ? `Re-analyzing... ${progress}%` : 'Apply'}
+                </button>
+            </div>
+
+            <table style={{
+                width: '100%',
+                borderCollapse: 'collapse',
+                fontSize: '0.85rem',
+                color: '#ddd'
+            }}>
+                <thead>
+                    <tr style={{ color: '#aaa', textAlign: 'right' }}>
+                        <th style={{ textAlign: 'left', padding: '6px', fontWeight: '400' }}>Strategy</th>
+                        <th style={{ padding: '6px', fontWeight: '400', color: '#00bcd4' }}>Cyan</th>
+                        <th style={{ padding: '6px', fontWeight: '400', color: '#e91e63' }}>Magenta</th>
+                        <th style={{ padding: '6px', fontWeight: '400', color: '#ffeb3b' }}>Yellow</th>
+                        <th style={{ padding: '6px', fontWeight: '400' }}>Black</th>
+                        <th style={{ padding: '6px', fontWeight: '400' }}>Total ink</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {colorStats.inkComparison.map((row) => (
+                        <tr
+                            key={row.strategy}
+                            style={{
+                                textAlign: 'right',
+                                borderTop: '1px solid #444',
+                                backgroundColor: row.strategy === applied.strategy ? 'rgba(46, 204, 113, 0.15)' : 'transparent'
+                            }}
+                        >
+                            <td style={{ textAlign: 'left', padding: '6px' }}>
+                                {BLACK_GENERATION_PRESETS[row.strategy].label}
+                            </td>
+                            <td style={{ padding: '6px' }}>{row.cyan.toFixed(1)}%</td>
+                            <td style={{ padding: '6px' }}>{row.magenta.toFixed(1)}%</td>
+                            <td style={{ padding: '6px' }}>{row.yellow.toFixed(1)}%</td>
+                            <td style={{ padding: '6px' }}>{row.black.toFixed(1)}%</td>
+                            <td style={{ padding: '6px' }}>{row.total.toFixed(1)}%</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
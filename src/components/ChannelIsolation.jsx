@@ -0,0 +1,285 @@
+import { useState, useMemo } from 'react';
+import {
+    CHANNEL_VIEW_MODES,
+    DEFAULT_CHANNEL_VIEW_MODE,
+    OVERPRINT_PRESETS,
+    channelPreviewUrl
+} from '../utils/channels';
+import { SampleTarget } from './Eyedropper';
+
+const CHANNELS = ['cyan', 'magenta', 'yellow', 'black'];
+
+const channelName = (channel) => channel.charAt(0).toUpperCase() + channel.slice(1);
+
+const getChannelColor = (channel, light = false) => {
+    switch(channel) {
+        case 'cyan': return light ? '#e0f7fa' : '#00bcd4';
+        case 'magenta': return light ? '#fce4ec' : '#e91e63';
+        case 'yellow': return light ? '#fff9c4' : '#ffeb3b';
+        case 'black': return light ? '#424242' : '#000000';
+        default: return '#999';
+    }
+};
+
+const toggleStyle = (active, color = '#2980b9') => ({
+    padding: '6px 12px',
+    backgroundColor: active ? color : 'rgba(60, 60, 60, 0.9)',
+    color: '#fff',
+    border: `1px solid ${color}`,
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+    fontWeight: '500'
+});
+
+// A channel image; `sampling` makes it an eyedropper target.
+function Preview({ src, alt, label, sampling }) {
+    return (
+        <figure style={{ margin: 0 }}>
+            <SampleTarget {...sampling}>
+                <img
+                    src={src}
+                    alt={alt}
+                    style={{ width: '100%', display: 'block', borderRadius: '6px' }}
+                />
+            </SampleTarget>
+            {label && (
+                <figcaption style={{ color: '#aaa', fontSize: '0.8rem', marginTop: '6px', textAlign: 'center' }}>
+                    {label}
+                </figcaption>
+            )}
+        </figure>
+    );
+}
+
+// Separations of the analyzed preview: one channel in its own ink or as a
+// grayscale plate, all four plates side by side, or any combination of
+// channels overprinted on paper.
+export default function ChannelIsolation({
+    colorStats,
+    transform,
+    activeChannel,
+    onActiveChannelChange,
+    readSample,
+    samplePoints,
+    onPinSample
+}) {
+    const [mode, setMode] = useState(DEFAULT_CHANNEL_VIEW_MODE);
+    const [showAll, setShowAll] = useState(false);
+    const [overprint, setOverprint] = useState(['cyan', 'magenta']);
+
+    const { canvasData } = colorStats;
+    const sampling = { canvasData, readSample, points: samplePoints, onPin: onPinSample };
+
+    // Only the views on screen are rendered; the separation behind them is
+    // shared and cached per transform.
+    const { single, plates, composite } = useMemo(() => {
+        const render = (channels, viewMode) => channelPreviewUrl(canvasData, transform, { mode: viewMode, channels });
+        if (mode === 'overprint') {
+            return { composite: overprint.length ? render(overprint, 'overprint') : null };
+        }
+        if (showAll) return { plates: CHANNELS.map(channel => render([channel], mode)) };
+        return { single: activeChannel ? render([activeChannel], mode) : null };
+    }, [mode, showAll, activeChannel, overprint, canvasData, transform]);
+
+    const toggleOverprint = (channel) => setOverprint(current => (current.includes(channel)
+        ? current.filter(c => c !== channel)
+        : CHANNELS.filter(c => c === channel || current.includes(c))));
+    const isPreset = (channels) => channels.length === overprint.length && channels.every(c => overprint.includes(c));
+    const plateLabel = (channel) => `${channelName(channel)} ${mode === 'plate' ? 'plate' : 'ink'}`;
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <h2 style={{
+                marginTop: 0,
+                marginBottom: '20px',
+                color: '#fff',
+                fontWeight: '400',
+                fontSize: '1.3rem',
+                textAlign: 'center'
+            }}>
+                Channel Isolation Tools
+            </h2>
+
+            <div style={{
+                display: 'flex',
+                justifyContent: 'center',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: '8px',
+                marginBottom: '16px'
+            }}>
+                {Object.entries(CHANNEL_VIEW_MODES).map(([key, { label }]) => (
+                    <button key={key} onClick={() => setMode(key)} style={toggleStyle(mode === key)}>
+                        {label}
+                    </button>
+                ))}
+                {mode !== 'overprint' && (
+                    <label style={{ color: '#aaa', fontSize: '0.85rem', marginLeft: '8px' }}>
+                        <input
+                            type="checkbox"
+                            checked={showAll}
+                            onChange={(e) => setShowAll(e.target.checked)}
+                            style={{ marginRight: '6px' }}
+                        />
+                        All four plates
+                    </label>
+                )}
+            </div>
+
+            {mode === 'overprint' && (
+                <>
+                    <div style={{
+                        display: 'flex',
+                        justifyContent: 'center',
+                        flexWrap: 'wrap',
+                        gap: '12px',
+                        marginBottom: '10px'
+                    }}>
+                        {CHANNELS.map(channel => (
+                            <label key={channel} style={{ color: channel === 'black' ? '#ccc' : getChannelColor(channel), fontSize: '0.9rem' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={overprint.includes(channel)}
+                                    onChange={() => toggleOverprint(channel)}
+                                    style={{ marginRight: '6px' }}
+                                />
+                                {channelName(channel)}
+                            </label>
+                        ))}
+                    </div>
+                    <div style={{
+                        display: 'flex',
+                        justifyContent: 'center',
+                        flexWrap: 'wrap',
+                        gap: '6px',
+                        marginBottom: '16px'
+                    }}>
+                        {OVERPRINT_PRESETS.map(({ label, channels }) => (
+                            <button
+                                key={label}
+                                onClick={() => setOverprint(channels)}
+                                style={toggleStyle(isPreset(channels), '#555')}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    {composite ? (
+                        <div style={{ maxWidth: '720px', margin: '0 auto' }}>
+                            <Preview
+                                sampling={sampling}
+                                src={composite}
+                                alt="Overprinted channels"
+                                label={`${overprint.map(channelName).join(' + ')} overprinted`}
+                            />
+                        </div>
+                    ) : (
+                        <p style={{ color: '#aaa', textAlign: 'center', margin: 0 }}>
+                            Select at least one channel to overprint.
+                        </p>
+                    )}
+                </>
+            )}
+
+            {plates && (
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
+                    gap: '12px'
+                }}>
+                    {CHANNELS.map((channel, index) => (
+                        <Preview
+                            sampling={sampling}
+                            key={channel}
+                            src={plates[index]}
+                            alt={`${channel} ${mode === 'plate' ? 'plate' : 'channel'}`}
+                            label={plateLabel(channel)}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {mode !== 'overprint' && !showAll && (
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+                    gap: '12px',
+                    maxWidth: '100%'
+                }}>
+                    {CHANNELS.map((channel) => (
+                        <div key={channel} style={{
+                            padding: '12px',
+                            border: `1px solid ${getChannelColor(channel)}`,
+                            borderRadius: '8px',
+                            backgroundColor: activeChannel === channel ? `${getChannelColor(channel, true)}` : 'rgba(50, 50, 50, 0.8)',
+                            transition: 'all 0.3s ease'
+                        }}>
+                            <h3 style={{
+                                margin: '0 0 8px 0',
+                                color: getChannelColor(channel),
+                                fontSize: '0.95rem',
+                                fontWeight: '500',
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '6px'
+                            }}>
+                                <span style={{
+                                    display: 'inline-block',
+                                    width: '8px',
+                                    height: '8px',
+                                    backgroundColor: getChannelColor(channel),
+                                    borderRadius: '50%'
+                                }}></span>
+                                {channelName(channel)}
+                            </h3>
+                            <p style={{
+                                margin: '0 0 8px 0',
+                                color: '#aaa',
+                                fontSize: '0.8rem'
+                            }}>
+                                View {channel} {mode === 'plate' ? 'plate' : 'channel'}
+                            </p>
+                            <button
+                                onClick={() => onActiveChannelChange(activeChannel === channel ? null : channel)}
+                                style={{
+                                    width: '100%',
+                                    padding: '8px',
+                                    backgroundColor: activeChannel === channel ? getChannelColor(channel) : 'rgba(60, 60, 60, 0.9)',
+                                    color: activeChannel === channel ? '#fff' : getChannelColor(channel),
+                                    border: `1px solid ${getChannelColor(channel)}`,
+                                    borderRadius: '4px',
+                                    cursor: 'pointer',
+                                    fontSize: '0.8rem',
+                                    fontWeight: '500',
+                                    transition: 'all 0.3s ease'
+                                }}
+                            >
+                                {activeChannel === channel ? 'Hide' : 'Show'}
+                            </button>
+                            {activeChannel === channel && single && (
+                                <div style={{ marginTop: '8px' }}>
+                                    <Preview
+                                        sampling={sampling}
+                                        src={single}
+                                        alt={`${channel} ${mode === 'plate' ? 'plate' : 'channel'}`}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,218 +1,358 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { Pie } from 'react-chartjs-2';
 import { Chart as ChartJS, ArcElement, Tooltip, Legend } from 'chart.js';
 import ChartDataLabels from 'chartjs-plugin-datalabels';
-import convert from 'color-convert';
+import TacAnalysis from './TacAnalysis';
+import InkCoverage from './InkCoverage';
+import BlackGenerationPanel, { BlackGenerationSettings } from './BlackGenerationPanel';
+import ExportMenu from './ExportMenu';
+import BatchAnalysis from './BatchAnalysis';
+import CompareAnalysis from './CompareAnalysis';
+import RegionSelector from './RegionSelector';
+import RegionResults from './RegionResults';
+import SpotColorMatching from './SpotColorMatching';
+import GamutCheck from './GamutCheck';
+import SoftProof from './SoftProof';
+import ImageMetadata from './ImageMetadata';
+import ChannelIsolation from './ChannelIsolation';
+import SamplePoints, { SampleTarget } from './Eyedropper';
+import PreflightPanel from './PreflightPanel';
+import AnalysisHistory from './AnalysisHistory';
+import AnalysisPresets from './AnalysisPresets';
+import ImageSources from './ImageSources';
+import { getContrastColor, hexToRgb, rgbToHex } from '../utils/color';
+import { QUANTIZERS, MIN_PALETTE_SIZE, MAX_PALETTE_SIZE } from '../utils/quantize';
+import { DELTA_E_METRICS, MAX_DELTA_E_TOLERANCE } from '../utils/deltaE';
+import {
+    RENDERING_INTENTS,
+    NAIVE_PROFILE_NAME,
+    parseIccProfile,
+    createProfileTransform,
+    createCmykTransform
+} from '../utils/colorManagement';
+import { applyBlackGeneration } from '../utils/blackGeneration';
+import {
+    ANALYSIS_MODES,
+    SAMPLING_LIMITS,
+    resolveSampling,
+    samplingMode,
+    scaledSize,
+    describeSampling,
+    describeFile,
+    loadImageFile,
+    startAnalysis,
+    restoreAnalysis,
+    isCancelled
+} from '../utils/analysis';
+import { DEFAULT_REGION_MODE } from '../utils/regions';
+import { createGamutCheck } from '../utils/gamut';
+import { ACCEPTED_IMAGE_TYPES } from '../utils/decoders';
+import { channelPreviewUrl } from '../utils/channels';
+import { readSample } from '../utils/eyedropper';
+import { evaluatePreflight, loadStoredPreflightProfile, storePreflightProfile } from '../utils/preflight';
+import { saveToHistory, loadHistoryResult } from '../utils/history';
+import { DEFAULT_ANALYSIS_SETTINGS, settingsFromQuery, settingsToQuery, writeSettingsToAddressBar } from '../utils/settings';
+import { imageFilesFromClipboard } from '../utils/imageSources';
 
 ChartJS.register(ArcElement, Tooltip, Legend, ChartDataLabels);
 
+// Settings from a shared link (see utils/settings.js); a link that cannot be
+// read falls back to the defaults and says why.
+const readLinkedSettings = () => {
+    try {
+        return settingsFromQuery(window.location.search) ?? { settings: DEFAULT_ANALYSIS_SETTINGS, profileName: null };
+    } catch (err) {
+        return { settings: DEFAULT_ANALYSIS_SETTINGS, profileName: null, error: err.message };
+    }
+};
+
 export default function ColorAnalyzer() {
     const [imageData, setImageData] = useState(null);
+    const [imageFile, setImageFile] = useState(null);
     const [colorStats, setColorStats] = useState(null);
     const [isAnalyzing, setIsAnalyzing] = useState(false);
     const [progress, setProgress] = useState(0);
     const [activeChannel, setActiveChannel] = useState(null);
+    const [analysisError, setAnalysisError] = useState(null);
+    const [linked] = useState(readLinkedSettings);
+    const [quantizerMethod, setQuantizerMethod] = useState(linked.settings.quantizer.method);
+    const [paletteSize, setPaletteSize] = useState(linked.settings.quantizer.paletteSize);
+    const [deltaEMetric, setDeltaEMetric] = useState(linked.settings.quantizer.metric);
+    const [deltaETolerance, setDeltaETolerance] = useState(linked.settings.quantizer.tolerance);
+    const [iccProfile, setIccProfile] = useState(null);
+    const [renderingIntent, setRenderingIntent] = useState(linked.settings.renderingIntent);
+    const [profileError, setProfileError] = useState(null);
+    const [blackGeneration, setBlackGeneration] = useState(linked.settings.blackGeneration);
+    const [sampling, setSampling] = useState(linked.settings.sampling);
+    const [batchFiles, setBatchFiles] = useState(null);
+    const [viewingBatchEntry, setViewingBatchEntry] = useState(false);
+    const [compareMode, setCompareMode] = useState(false);
+    const [regions, setRegions] = useState([]);
+    const [regionMode, setRegionMode] = useState(DEFAULT_REGION_MODE);
+    const [printSize, setPrintSize] = useState(null);
+    // Pinned eyedropper points, in pixels of the analysis canvas.
+    const [samplePoints, setSamplePoints] = useState([]);
+    const [preflightProfile, setPreflightProfile] = useState(loadStoredPreflightProfile);
+    const jobRef = useRef(null);
+    const pieChartRef = useRef(null);
+
+    const stopWorker = () => {
+        if (jobRef.current) {
+            jobRef.current.cancel();
+            jobRef.current = null;
+        }
+    };
+
+    useEffect(() => stopWorker, []);
+
+    const separationTransform = useMemo(
+        () => createCmykTransform(iccProfile?.buffer, renderingIntent),
+        [iccProfile, renderingIntent]
+    );
+
+    // Previews follow the black generation the current results were made with.
+    const cmykTransform = useMemo(
+        () => (colorStats
+            ? applyBlackGeneration(separationTransform, colorStats.blackGeneration)
+            : separationTransform),
+        [separationTransform, colorStats]
+    );
+
+    const gamut = useMemo(() => createGamutCheck(cmykTransform), [cmykTransform]);
+
+    const preflight = useMemo(
+        () => colorStats && evaluatePreflight(colorStats, preflightProfile, { printSize, gamut }),
+        [colorStats, preflightProfile, printSize, gamut]
+    );
+
+    const changePreflightProfile = (profile) => {
+        setPreflightProfile(profile);
+        storePreflightProfile(profile);
+    };
+
+    // Values are re-read from the current results, so they follow a re-analysis.
+    const sampleAt = (point) => readSample(colorStats, cmykTransform, point);
+    const samples = colorStats ? samplePoints.map(sampleAt) : [];
+    const pinSample = (point) => {
+        if (samplePoints.some(p => p.x === point.x && p.y === point.y)) return;
+        setSamplePoints([...samplePoints, point]);
+    };
+
+    const loadProfile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const buffer = await file.arrayBuffer();
+            const profile = parseIccProfile(buffer);
+            // Fail early on RGB/Lab profiles or ones without usable tables.
+            createProfileTransform(profile, renderingIntent);
+            setIccProfile({ name: profile.name, buffer });
+            setProfileError(null);
+        } catch (err) {
+            setProfileError(`${file.name}: ${err.message}`);
+        }
+    };
 
     const onDrop = useCallback((acceptedFiles) => {
+        if (acceptedFiles.length > 1) {
+            setBatchFiles(acceptedFiles);
+            return;
+        }
+
         const file = acceptedFiles[0];
         if (!file) return;
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
+        loadImageFile(file)
+            .then((img) => {
                 setImageData(img);
+                setImageFile(describeFile(file));
+                setRegions([]);
+                setPrintSize(null);
+                setSamplePoints([]);
                 setColorStats(null);
                 setActiveChannel(null);
-            };
-            img.src = e.target.result;
-        };
-        reader.readAsDataURL(file);
+                setAnalysisError(null);
+            })
+            .catch((err) => setAnalysisError(err.message));
     }, []);
 
     const { getRootProps, getInputProps, isDragActive } = useDropzone({
         onDrop,
-        accept: {
-            'image/*': ['.jpeg', '.jpg', '.png', '.webp']
-        },
-        maxFiles: 1
+        accept: ACCEPTED_IMAGE_TYPES
     });
 
+    // Pasted images go through the same flow as dropped ones, replacing the
+    // current image; text pastes are left to the focused input.
+    const pasteEnabled = !batchFiles && !compareMode && !isAnalyzing;
+    useEffect(() => {
+        if (!pasteEnabled) return;
+        const handlePaste = (e) => {
+            const files = imageFilesFromClipboard(e.clipboardData);
+            if (!files.length) return;
+            e.preventDefault();
+            onDrop(files);
+        };
+        document.addEventListener('paste', handlePaste);
+        return () => document.removeEventListener('paste', handlePaste);
+    }, [pasteEnabled, onDrop]);
+
     const resetImage = () => {
+        stopWorker();
+        setIsAnalyzing(false);
         setImageData(null);
+        setImageFile(null);
+        setRegions([]);
+        setPrintSize(null);
+        setSamplePoints([]);
         setColorStats(null);
         setActiveChannel(null);
+        setAnalysisError(null);
+        setBatchFiles(null);
+        setViewingBatchEntry(false);
     };
 
-    const analyzeImage = () => {
-        if (!imageData) return;
-
-        setIsAnalyzing(true);
-        setProgress(0);
-
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        const width = imageData.width;
-        const height = imageData.height;
-
-        const maxDimension = 1000;
-        let scale = 1;
-        if (width > maxDimension || height > maxDimension) {
-            scale = maxDimension / Math.max(width, height);
-        }
+    const analysisSettings = {
+        sampling,
+        quantizer: {
+            method: quantizerMethod,
+            paletteSize,
+            metric: deltaEMetric,
+            tolerance: deltaETolerance
+        },
+        renderingIntent,
+        blackGeneration
+    };
 
-        canvas.width = width * scale;
-        canvas.height = height * scale;
-        ctx.drawImage(imageData, 0, 0, canvas.width, canvas.height);
-
-        const sampleEvery = 5;
-        const totalPixels = Math.ceil((canvas.width * canvas.height) / (sampleEvery * sampleEvery));
-        let pixelsAnalyzed = 0;
-
-        const colorMap = new Map();
-        const overallCmyk = { c: 0, m: 0, y: 0, k: 0 };
-
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = 1;
-        tempCanvas.height = 1;
-
-        for (let x = 0; x < canvas.width; x += sampleEvery) {
-            for (let y = 0; y < canvas.height; y += sampleEvery) {
-                const pixelData = ctx.getImageData(x, y, 1, 1).data;
-                const r = pixelData[0];
-                const g = pixelData[1];
-                const b = pixelData[2];
-                const hex = `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
-
-                tempCtx.fillStyle = `rgb(${r},${g},${b})`;
-                tempCtx.fillRect(0, 0, 1, 1);
-                const pixel = tempCtx.getImageData(0, 0, 1, 1).data;
-                const [c, m, yVal, k] = convert.rgb.cmyk([pixel[0], pixel[1], pixel[2]]);
-
-                overallCmyk.c += c;
-                overallCmyk.m += m;
-                overallCmyk.y += yVal;
-                overallCmyk.k += k;
-
-                let foundSimilar = false;
-                for (const [existingHex] of colorMap) {
-                    if (colorDistance(hex, existingHex) < 15) {
-                        colorMap.set(existingHex, colorMap.get(existingHex) + 1);
-                        foundSimilar = true;
-                        break;
-                    }
-                }
-                if (!foundSimilar) {
-                    colorMap.set(hex, (colorMap.get(hex) || 0) + 1);
-                }
-
-                pixelsAnalyzed++;
-                if (pixelsAnalyzed % 1000 === 0) {
-                    setProgress(Math.round((pixelsAnalyzed / totalPixels) * 100));
-                }
-            }
-        }
+    const applySettings = (settings) => {
+        setSampling(settings.sampling);
+        setQuantizerMethod(settings.quantizer.method);
+        setPaletteSize(settings.quantizer.paletteSize);
+        setDeltaEMetric(settings.quantizer.metric);
+        setDeltaETolerance(settings.quantizer.tolerance);
+        setRenderingIntent(settings.renderingIntent);
+        setBlackGeneration(settings.blackGeneration);
+    };
 
-        const totalSamples = pixelsAnalyzed;
-        const sortedColors = Array.from(colorMap.entries())
-            .sort((a, b) => b[1] - a[1])
-            .map(([hex, count]) => ({
-                hex,
-                count,
-                percentage: (count / totalSamples) * 100,
-                cmyk: convert.rgb.cmyk(hexToRgb(hex))
-            }));
-
-        const overallPercentages = {
-            cyan: (overallCmyk.c / totalSamples),
-            magenta: (overallCmyk.m / totalSamples),
-            yellow: (overallCmyk.y / totalSamples),
-            black: (overallCmyk.k / totalSamples)
-        };
+    // Typed sizes are only checked here, so they can pass through invalid
+    // values while being edited.
+    let samplingError = null;
+    try {
+        resolveSampling(sampling);
+    } catch (err) {
+        samplingError = err.message;
+    }
 
-        setColorStats({
-            colors: sortedColors,
-            overallCmyk: overallPercentages,
-            totalPixels: totalSamples,
-            canvasData: { canvas, ctx, width: canvas.width, height: canvas.height }
-        });
-        setIsAnalyzing(false);
+    const analysisOptions = {
+        quantizer: analysisSettings.quantizer,
+        profile: { buffer: iccProfile?.buffer ?? null, intent: renderingIntent },
+        blackGeneration,
+        sampling
     };
 
-    const renderChannelPreview = (channel) => {
-        if (!imageData || !colorStats) return null;
+    const analyzeImage = () => {
+        if (!imageData || samplingError) return;
 
-        const channelCanvas = document.createElement('canvas');
-        channelCanvas.width = colorStats.canvasData.width;
-        channelCanvas.height = colorStats.canvasData.height;
-        const channelCtx = channelCanvas.getContext('2d');
+        stopWorker();
+        setIsAnalyzing(true);
+        setProgress(0);
+        setAnalysisError(null);
 
-        const imageDataCopy = colorStats.canvasData.ctx.getImageData(
-            0, 0,
-            colorStats.canvasData.width,
-            colorStats.canvasData.height
+        const job = startAnalysis(
+            imageData,
+            { ...analysisOptions, file: imageFile, regions: { mode: regionMode, shapes: regions } },
+            { onProgress: setProgress }
         );
+        jobRef.current = job;
+        // What reopening the analysis from the history restores.
+        const settings = {
+            ...analysisSettings,
+            iccProfile,
+            regions: { mode: regionMode, shapes: regions }
+        };
+        const query = settingsToQuery(analysisSettings, iccProfile?.name);
 
-        for (let i = 0; i < imageDataCopy.data.length; i += 4) {
-            const [r, g, b] = [
-                imageDataCopy.data[i],
-                imageDataCopy.data[i+1],
-                imageDataCopy.data[i+2]
-            ];
-            const [c, m, y, k] = convert.rgb.cmyk([r, g, b]);
-
-            const [newR, newG, newB] = convert.cmyk.rgb([
-                channel === 'cyan' ? c : 0,
-                channel === 'magenta' ? m : 0,
-                channel === 'yellow' ? y : 0,
-                channel === 'black' ? k : 0
-            ]);
-
-            imageDataCopy.data[i] = newR;
-            imageDataCopy.data[i+1] = newG;
-            imageDataCopy.data[i+2] = newB;
-        }
+        job.promise
+            .then((stats) => {
+                setColorStats(stats);
+                setIsAnalyzing(false);
+                writeSettingsToAddressBar(query);
+                // History is a convenience; a full quota or a browser without
+                // IndexedDB must not get in the way of the results.
+                saveToHistory(stats, settings).catch(() => {});
+            })
+            .catch((err) => {
+                if (isCancelled(err)) return;
+                setAnalysisError(err.message);
+                setIsAnalyzing(false);
+            })
+            .finally(() => {
+                if (jobRef.current === job) jobRef.current = null;
+            });
+    };
 
-        channelCtx.putImageData(imageDataCopy, 0, 0);
-        return channelCanvas.toDataURL();
+    const openBatchEntry = (entry) => {
+        setImageData(entry.image);
+        setImageFile(entry.file);
+        setRegions([]);
+        setPrintSize(null);
+        setSamplePoints([]);
+        setColorStats(entry.stats);
+        setActiveChannel(null);
+        setViewingBatchEntry(true);
     };
 
-    // Helper functions
-    const hexToRgb = (hex) => {
-        const r = parseInt(hex.slice(1, 3), 16);
-        const g = parseInt(hex.slice(3, 5), 16);
-        const b = parseInt(hex.slice(5, 7), 16);
-        return [r, g, b];
+    // Reopens a stored analysis with the settings it was made with, so the
+    // previews and a re-analysis match the stored results.
+    const openHistoryEntry = async (entry) => {
+        const result = await loadHistoryResult(entry.id);
+        const { image, colorStats: stats } = await restoreAnalysis(result);
+        const { settings } = result;
+        applySettings({ ...settings, sampling: resolveSampling(settings.sampling) });
+        setIccProfile(settings.iccProfile);
+        setProfileError(null);
+        setRegionMode(settings.regions.mode);
+        setRegions(settings.regions.shapes);
+        setImageData(image);
+        setImageFile(describeFile(stats.image));
+        setPrintSize(null);
+        setSamplePoints([]);
+        setColorStats(stats);
+        setActiveChannel(null);
+        setAnalysisError(null);
     };
 
-    const colorDistance = (hex1, hex2) => {
-        const [r1, g1, b1] = hexToRgb(hex1);
-        const [r2, g2, b2] = hexToRgb(hex2);
-        return Math.sqrt(
-            Math.pow(r2 - r1, 2) +
-            Math.pow(g2 - g1, 2) +
-            Math.pow(b2 - b1, 2)
-        );
+    const backToBatch = () => {
+        stopWorker();
+        setIsAnalyzing(false);
+        setImageData(null);
+        setImageFile(null);
+        setColorStats(null);
+        setActiveChannel(null);
+        setViewingBatchEntry(false);
     };
 
-    const getContrastColor = (hexColor) => {
-        const [r, g, b] = hexToRgb(hexColor);
-        const brightness = (r * 299 + g * 587 + b * 114) / 1000;
-        return brightness > 128 ? '#000' : '#fff';
+    const cancelAnalysis = () => {
+        stopWorker();
+        setIsAnalyzing(false);
+        setProgress(0);
     };
 
-    const getCmykLabelColor = () => '#fff';
+    // Single channel in its own ink, as embedded in the PDF report.
+    const renderChannelPreview = (channel) => {
+        if (!imageData || !colorStats) return null;
+        return channelPreviewUrl(colorStats.canvasData, cmykTransform, { mode: 'ink', channels: [channel] });
+    };
 
-    const getChannelColor = (channel, light = false) => {
-        switch(channel) {
-            case 'cyan': return light ? '#e0f7fa' : '#00bcd4';
-            case 'magenta': return light ? '#fce4ec' : '#e91e63';
-            case 'yellow': return light ? '#fff9c4' : '#ffeb3b';
-            case 'black': return light ? '#424242' : '#000000';
-            default: return '#999';
-        }
+    // Helper functions
+    const selectStyle = {
+        backgroundColor: 'rgba(60, 60, 60, 0.9)',
+        color: '#fff',
+        border: '1px solid rgba(255,255,255,0.2)',
+        borderRadius: '4px',
+        padding: '4px 8px'
     };
 
     return (
@@ -247,7 +387,45 @@ export default function ColorAnalyzer() {
                     Image Color Analyzer
                 </h1>
 
-                {!imageData && (
+                {batchFiles && (
+                    <BatchAnalysis
+                        files={batchFiles}
+                        analysisOptions={analysisOptions}
+                        preflightProfile={preflightProfile}
+                        onOpen={openBatchEntry}
+                        hidden={viewingBatchEntry}
+                    />
+                )}
+
+                {batchFiles && !viewingBatchEntry && (
+                    <div style={{ textAlign: 'center', marginTop: '30px' }}>
+                        <button
+                            onClick={resetImage}
+                            style={{
+                                padding: '12px 30px',
+                                backgroundColor: '#3498db',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '8px',
+                                cursor: 'pointer',
+                                fontSize: '1rem',
+                                fontWeight: '500',
+                                boxShadow: '0 4px 6px rgba(0,0,0,0.3)'
+                            }}
+                        >
+                            Upload New Images
+                        </button>
+                    </div>
+                )}
+
+                {compareMode && (
+                    <CompareAnalysis
+                        analysisOptions={analysisOptions}
+                        onExit={() => setCompareMode(false)}
+                    />
+                )}
+
+                {!imageData && !batchFiles && !compareMode && (
                     <div {...getRootProps()} style={{
                         border: '2px dashed rgba(255, 255, 255, 0.3)',
                         borderRadius: '12px',
@@ -270,18 +448,52 @@ export default function ColorAnalyzer() {
                             fontSize: '1.1rem',
                             margin: 0
                         }}>
-                            {isDragActive ? 'Drop the image here' : 'Drag & drop an image here, or click to select'}
+                            {isDragActive ? 'Drop the images here' : 'Drag & drop an image here, or click to select'}
                         </p>
                         <p style={{
                             color: '#777',
                             fontSize: '0.9rem',
                             margin: '10px 0 0 0'
                         }}>
-                            Supported formats: JPEG, PNG, WEBP
+                            Supported formats: JPEG (including CMYK), PNG, WEBP, TIFF, PSD · drop several files for batch analysis
                         </p>
                     </div>
                 )}
 
+                {!imageData && !batchFiles && !compareMode && (
+                    <>
+                        {analysisError && (
+                            <p style={{ color: '#e74c3c', margin: '15px 0 0 0' }}>
+                                {analysisError}
+                            </p>
+                        )}
+                        <ImageSources onFiles={onDrop} />
+                    </>
+                )}
+
+                {!imageData && !batchFiles && !compareMode && (
+                    <div style={{ textAlign: 'center', marginTop: '20px' }}>
+                        <button
+                            onClick={() => setCompareMode(true)}
+                            style={{
+                                padding: '10px 24px',
+                                backgroundColor: 'rgba(60, 60, 60, 0.9)',
+                                color: '#fff',
+                                border: '1px solid rgba(255,255,255,0.2)',
+                                borderRadius: '8px',
+                                cursor: 'pointer',
+                                fontSize: '0.95rem'
+                            }}
+                        >
+                            Compare two images
+                        </button>
+                    </div>
+                )}
+
+                {!imageData && !batchFiles && !compareMode && (
+                    <AnalysisHistory onOpen={openHistoryEntry} />
+                )}
+
                 {imageData && !colorStats && (
                     <div style={{
                         display: 'flex',
@@ -289,21 +501,176 @@ export default function ColorAnalyzer() {
                         alignItems: 'center',
                         gap: '30px'
                     }}>
-                        <img
-                            src={imageData.src}
-                            alt="Preview"
-                            style={{
-                                maxWidth: '400px',
-                                maxHeight: '400px',
-                                borderRadius: '12px',
-                                boxShadow: '0 8px 20px rgba(0,0,0,0.5)',
-                                border: '1px solid rgba(255,255,255,0.1)'
-                            }}
+                        <RegionSelector
+                            image={imageData}
+                            regions={regions}
+                            onChange={setRegions}
+                            mode={regionMode}
+                            onModeChange={setRegionMode}
+                            disabled={isAnalyzing}
                         />
+                        <AnalysisPresets
+                            settings={analysisSettings}
+                            profileName={iccProfile?.name}
+                            onApply={applySettings}
+                            disabled={isAnalyzing}
+                            settingsError={samplingError}
+                        />
+                        <div style={{
+                            display: 'flex',
+                            gap: '20px',
+                            alignItems: 'center',
+                            flexWrap: 'wrap',
+                            justifyContent: 'center',
+                            color: '#aaa',
+                            fontSize: '0.9rem'
+                        }}>
+                            <label>
+                                Quantizer{' '}
+                                <select
+                                    value={quantizerMethod}
+                                    onChange={(e) => setQuantizerMethod(e.target.value)}
+                                    disabled={isAnalyzing}
+                                    style={selectStyle}
+                                >
+                                    {Object.entries(QUANTIZERS).map(([key, { label }]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label>
+                                Palette size{' '}
+                                <input
+                                    type="range"
+                                    min={MIN_PALETTE_SIZE}
+                                    max={MAX_PALETTE_SIZE}
+                                    value={paletteSize}
+                                    onChange={(e) => setPaletteSize(Number(e.target.value))}
+                                    disabled={isAnalyzing}
+                                    style={{ verticalAlign: 'middle' }}
+                                />
+                                <span style={{ color: '#fff', marginLeft: '6px' }}>{paletteSize}</span>
+                            </label>
+                            <label>
+                                Grouping{' '}
+                                <select
+                                    value={deltaEMetric}
+                                    onChange={(e) => setDeltaEMetric(e.target.value)}
+                                    disabled={isAnalyzing}
+                                    style={selectStyle}
+                                >
+                                    {Object.entries(DELTA_E_METRICS).map(([key, { label }]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label>
+                                Tolerance{' '}
+                                <input
+                                    type="range"
+                                    min={0}
+                                    max={MAX_DELTA_E_TOLERANCE}
+                                    step={0.5}
+                                    value={deltaETolerance}
+                                    onChange={(e) => setDeltaETolerance(Number(e.target.value))}
+                                    disabled={isAnalyzing}
+                                    style={{ verticalAlign: 'middle' }}
+                                />
+                                <span style={{ color: '#fff', marginLeft: '6px' }}>{deltaETolerance.toFixed(1)}</span>
+                            </label>
+                            <label>
+                                CMYK profile{' '}
+                                <span style={{ color: '#fff' }}>{iccProfile ? iccProfile.name : NAIVE_PROFILE_NAME}</span>
+                                <input
+                                    type="file"
+                                    accept=".icc,.icm"
+                                    onChange={loadProfile}
+                                    disabled={isAnalyzing}
+                                    style={{ display: 'none' }}
+                                />
+                                <span style={{ ...selectStyle, marginLeft: '6px', cursor: 'pointer' }}>Load .icc</span>
+                            </label>
+                            {iccProfile && (
+                                <>
+                                    <label>
+                                        Intent{' '}
+                                        <select
+                                            value={renderingIntent}
+                                            onChange={(e) => setRenderingIntent(e.target.value)}
+                                            disabled={isAnalyzing}
+                                            style={selectStyle}
+                                        >
+                                            {Object.entries(RENDERING_INTENTS).map(([key, { label }]) => (
+                                                <option key={key} value={key}>{label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <button
+                                        onClick={() => setIccProfile(null)}
+                                        disabled={isAnalyzing}
+                                        style={{ ...selectStyle, cursor: 'pointer' }}
+                                    >
+                                        Use naive conversion
+                                    </button>
+                                </>
+                            )}
+                            <BlackGenerationSettings
+                                settings={blackGeneration}
+                                onChange={setBlackGeneration}
+                                disabled={isAnalyzing}
+                            />
+                            <label>
+                                Sampling{' '}
+                                <select
+                                    value={samplingMode(sampling)}
+                                    onChange={(e) => setSampling(resolveSampling(e.target.value))}
+                                    disabled={isAnalyzing}
+                                    style={selectStyle}
+                                >
+                                    {Object.entries(ANALYSIS_MODES).map(([key, { label, maxDimension, sampleEvery }]) => {
+                                        const { width, height } = scaledSize(imageData.width, imageData.height, maxDimension);
+                                        return (
+                                            <option key={key} value={key}>
+                                                {label} ({width} × {height}, {sampleEvery === 1 ? 'every pixel' : `every ${sampleEvery} px`})
+                                            </option>
+                                        );
+                                    })}
+                                    <option value="custom" disabled>Custom</option>
+                                </select>
+                            </label>
+                            <label title="Leave empty to analyze at native resolution">
+                                Longest side{' '}
+                                <input
+                                    type="number"
+                                    min={SAMPLING_LIMITS.maxDimension.min}
+                                    max={SAMPLING_LIMITS.maxDimension.max}
+                                    value={sampling.maxDimension ?? ''}
+                                    placeholder="native"
+                                    onChange={(e) => setSampling({
+                                        ...sampling,
+                                        maxDimension: e.target.value === '' ? null : Number(e.target.value)
+                                    })}
+                                    disabled={isAnalyzing}
+                                    style={{ ...selectStyle, width: '80px' }}
+                                />{' '}px
+                            </label>
+                            <label>
+                                Sample every{' '}
+                                <input
+                                    type="number"
+                                    min={SAMPLING_LIMITS.sampleEvery.min}
+                                    max={SAMPLING_LIMITS.sampleEvery.max}
+                                    value={sampling.sampleEvery}
+                                    onChange={(e) => setSampling({ ...sampling, sampleEvery: Number(e.target.value) })}
+                                    disabled={isAnalyzing}
+                                    style={{ ...selectStyle, width: '60px' }}
+                                />{' '}px
+                            </label>
+                        </div>
                         <div style={{ display: 'flex', gap: '15px' }}>
                             <button
                                 onClick={analyzeImage}
-                                disabled={isAnalyzing}
+                                disabled={isAnalyzing || Boolean(samplingError)}
                                 style={{
                                     padding: '15px 30px',
                                     backgroundColor: isAnalyzing ? '#555' : '#2ecc71',
@@ -325,10 +692,10 @@ export default function ColorAnalyzer() {
                                 {isAnalyzing ? `Analyzing... ${progress}%` : 'Analyze Colors'}
                             </button>
                             <button
-                                onClick={resetImage}
+                                onClick={isAnalyzing ? cancelAnalysis : resetImage}
                                 style={{
                                     padding: '15px 30px',
-                                    backgroundColor: '#e74c3c',
+                                    backgroundColor: isAnalyzing ? '#7f8c8d' : '#e74c3c',
                                     color: 'white',
                                     border: 'none',
                                     borderRadius: '8px',
@@ -344,14 +711,90 @@ export default function ColorAnalyzer() {
                                     }
                                 }}
                             >
-                                Upload New Image
+                                {isAnalyzing ? 'Cancel' : 'Upload New Image'}
                             </button>
                         </div>
+                        {isAnalyzing && (
+                            <div style={{
+                                width: '455px',
+                                maxWidth: '100%',
+                                height: '6px',
+                                backgroundColor: 'rgba(255,255,255,0.1)',
+                                borderRadius: '3px',
+                                overflow: 'hidden'
+                            }}>
+                                <div style={{
+                                    width: `${progress}%`,
+                                    height: '100%',
+                                    backgroundColor: '#2ecc71',
+                                    transition: 'width 0.2s ease'
+                                }}></div>
+                            </div>
+                        )}
+                        {profileError && (
+                            <p style={{ color: '#e74c3c', margin: 0 }}>
+                                Could not load profile: {profileError}
+                            </p>
+                        )}
+                        {samplingError && (
+                            <p style={{ color: '#e74c3c', margin: 0 }}>{samplingError}</p>
+                        )}
+                        {linked.error && (
+                            <p style={{ color: '#f39c12', margin: 0 }}>
+                                The settings in this link could not be used, so the defaults apply: {linked.error}
+                            </p>
+                        )}
+                        {linked.profileName && linked.profileName !== (iccProfile?.name ?? NAIVE_PROFILE_NAME) && (
+                            <p style={{ color: '#f39c12', margin: 0 }}>
+                                This link was made with the ICC profile “{linked.profileName}”; load it to reproduce the analysis.
+                            </p>
+                        )}
+                        {analysisError && (
+                            <p style={{ color: '#e74c3c', margin: 0 }}>
+                                Analysis failed: {analysisError}
+                            </p>
+                        )}
                     </div>
                 )}
 
                 {colorStats && (
                     <>
+                        <div style={{
+                            display: 'flex',
+                            justifyContent: viewingBatchEntry ? 'space-between' : 'flex-end',
+                            alignItems: 'flex-start',
+                            marginBottom: '20px'
+                        }}>
+                            {viewingBatchEntry && (
+                                <button
+                                    onClick={backToBatch}
+                                    style={{
+                                        padding: '10px 24px',
+                                        backgroundColor: 'rgba(60, 60, 60, 0.9)',
+                                        color: 'white',
+                                        border: '1px solid rgba(255,255,255,0.2)',
+                                        borderRadius: '8px',
+                                        cursor: 'pointer',
+                                        fontSize: '0.95rem'
+                                    }}
+                                >
+                                    ← Back to batch results
+                                </button>
+                            )}
+                            <ExportMenu
+                                colorStats={colorStats}
+                                image={imageData}
+                                pieChartRef={pieChartRef}
+                                renderChannelPreview={renderChannelPreview}
+                                samples={samples}
+                                preflight={preflight}
+                            />
+                        </div>
+                        <PreflightPanel
+                            preflight={preflight}
+                            profile={preflightProfile}
+                            onProfileChange={changePreflightProfile}
+                        />
                         <div style={{
                             display: 'flex',
                             justifyContent: 'center',
@@ -369,16 +812,24 @@ export default function ColorAnalyzer() {
                                 boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
                                 border: '1px solid rgba(255,255,255,0.1)'
                             }}>
-                                <img
-                                    src={imageData.src}
-                                    alt="Preview"
-                                    style={{
-                                        width: '100%',
-                                        borderRadius: '8px',
-                                        marginBottom: '20px',
-                                        boxShadow: '0 4px 10px rgba(0,0,0,0.3)'
-                                    }}
-                                />
+                                <div style={{ marginBottom: '20px' }}>
+                                    <SampleTarget
+                                        canvasData={colorStats.canvasData}
+                                        readSample={sampleAt}
+                                        points={samplePoints}
+                                        onPin={pinSample}
+                                    >
+                                        <img
+                                            src={imageData.src}
+                                            alt="Preview"
+                                            style={{
+                                                width: '100%',
+                                                borderRadius: '8px',
+                                                boxShadow: '0 4px 10px rgba(0,0,0,0.3)'
+                                            }}
+                                        />
+                                    </SampleTarget>
+                                </div>
                                 <div>
                                     <h3 style={{
                                         marginTop: 0,
@@ -435,7 +886,35 @@ export default function ColorAnalyzer() {
                                         paddingTop: '10px'
                                     }}>
                                         {colorStats.totalPixels.toLocaleString()} pixels analyzed
+                                        {colorStats.regions && (colorStats.regions.mode === 'exclude'
+                                            ? ` outside ${colorStats.regions.items.length} excluded region(s)`
+                                            : ` in ${colorStats.regions.items.length} region(s)`)}
+                                    </p>
+                                    <p style={{
+                                        fontSize: '0.85em',
+                                        color: '#aaa',
+                                        margin: '0 0 6px 0'
+                                    }}>
+                                        Sampling: <span style={{ color: '#fff' }}>{describeSampling(colorStats)}</span>
                                     </p>
+                                    <p style={{
+                                        fontSize: '0.85em',
+                                        color: '#aaa',
+                                        margin: 0
+                                    }}>
+                                        Profile: <span style={{ color: '#fff' }}>{colorStats.profile.name}</span>
+                                        {colorStats.profile.intent && ` (${RENDERING_INTENTS[colorStats.profile.intent].label})`}
+                                    </p>
+                                    <ImageMetadata
+                                        image={colorStats.image}
+                                        printSize={printSize}
+                                        onPrintSizeChange={setPrintSize}
+                                    />
+                                    <SamplePoints
+                                        samples={samples}
+                                        onRemove={(index) => setSamplePoints(samplePoints.filter((_, i) => i !== index))}
+                                        onClear={() => setSamplePoints([])}
+                                    />
                                 </div>
                             </div>
 
@@ -452,6 +931,7 @@ export default function ColorAnalyzer() {
                                 alignItems: 'center'
                             }}>
                                 <Pie
+                                    ref={pieChartRef}
                                     data={{
                                         labels: ['Cyan', 'Magenta', 'Yellow', 'Black'],
                                         datasets: [{
@@ -527,154 +1007,135 @@ export default function ColorAnalyzer() {
                                 </h2>
                                 <div style={{
                                     display: 'grid',
-                                    gridTemplateColumns: 'repeat(auto-fill, minmax(80px, 1fr))',
+                                    gridTemplateColumns: 'repeat(auto-fill, minmax(110px, 1fr))',
                                     gap: '12px'
                                 }}>
-                                    {colorStats.colors.slice(0, 50).map((color, index) => (
-                                        <div
-                                            key={index}
-                                            style={{
-                                                height: '80px',
-                                                backgroundColor: color.hex,
-                                                borderRadius: '8px',
-                                                display: 'flex',
-                                                flexDirection: 'column',
-                                                justifyContent: 'center',
-                                                alignItems: 'center',
-                                                color: getContrastColor(color.hex),
-                                                fontSize: '0.8em',
-                                                position: 'relative',
-                                                transition: 'transform 0.2s ease',
-                                                boxShadow: '0 3px 6px rgba(0,0,0,0.3)',
-                                                ':hover': {
-                                                    transform: 'scale(1.05)',
-                                                    zIndex: 1,
-                                                    boxShadow: '0 5px 15px rgba(0,0,0,0.5)'
-                                                }
-                                            }}
-                                        >
-                                            <span style={{
-                                                fontWeight: 'bold',
-                                                textShadow: '0 1px 2px rgba(0,0,0,0.5)'
-                                            }}>
-                                                {color.percentage.toFixed(1)}%
-                                            </span>
-                                            <div style={{
-                                                position: 'absolute',
-                                                bottom: '5px',
-                                                fontSize: '0.7em',
-                                                backgroundColor: 'rgba(0,0,0,0.6)',
-                                                padding: '2px 5px',
-                                                borderRadius: '3px',
-                                                textShadow: '0 1px 1px rgba(0,0,0,0.5)'
-                                            }}>
-                                                {color.hex}
+                                    {colorStats.colors.map((color, index) => {
+                                        const rgb = hexToRgb(color.hex);
+                                        // Native ink is printable as it is.
+                                        const printable = colorStats.canvasData.cmyk || gamut.isInGamut(rgb)
+                                            ? null
+                                            : rgbToHex(...gamut.toInGamut(rgb));
+                                        return (
+                                            <div key={index}>
+                                                <div style={{ display: 'flex', gap: '4px' }}>
+                                                    <div
+                                                        style={{
+                                                            flex: 1,
+                                                            height: '80px',
+                                                            backgroundColor: color.hex,
+                                                            borderRadius: '8px',
+                                                            display: 'flex',
+                                                            flexDirection: 'column',
+                                                            justifyContent: 'center',
+                                                            alignItems: 'center',
+                                                            color: getContrastColor(color.hex),
+                                                            fontSize: '0.8em',
+                                                            position: 'relative',
+                                                            transition: 'transform 0.2s ease',
+                                                            boxShadow: '0 3px 6px rgba(0,0,0,0.3)',
+                                                            ':hover': {
+                                                                transform: 'scale(1.05)',
+                                                                zIndex: 1,
+                                                                boxShadow: '0 5px 15px rgba(0,0,0,0.5)'
+                                                            }
+                                                        }}
+                                                    >
+                                                        <span style={{
+                                                            fontWeight: 'bold',
+                                                            textShadow: '0 1px 2px rgba(0,0,0,0.5)'
+                                                        }}>
+                                                            {color.percentage.toFixed(1)}%
+                                                        </span>
+                                                        <div style={{
+                                                            position: 'absolute',
+                                                            bottom: '5px',
+                                                            fontSize: '0.7em',
+                                                            backgroundColor: 'rgba(0,0,0,0.6)',
+                                                            padding: '2px 5px',
+                                                            borderRadius: '3px',
+                                                            textShadow: '0 1px 1px rgba(0,0,0,0.5)'
+                                                        }}>
+                                                            {color.hex}
+                                                        </div>
+                                                        {printable && (
+                                                            <span
+                                                                title={`Outside the gamut of ${gamut.name}`}
+                                                                style={{
+                                                                    position: 'absolute',
+                                                                    top: '4px',
+                                                                    right: '6px',
+                                                                    fontSize: '1.1em',
+                                                                    color: '#f1c40f',
+                                                                    textShadow: '0 1px 2px rgba(0,0,0,0.8)'
+                                                                }}
+                                                            >
+                                                                ⚠
+                                                            </span>
+                                                        )}
+                                                    </div>
+                                                    {printable && (
+                                                        <div
+                                                            title={`Nearest printable color ${printable}`}
+                                                            style={{
+                                                                width: '24px',
+                                                                height: '80px',
+                                                                backgroundColor: printable,
+                                                                borderRadius: '8px',
+                                                                boxShadow: '0 3px 6px rgba(0,0,0,0.3)'
+                                                            }}
+                                                        />
+                                                    )}
+                                                </div>
+                                                <div style={{
+                                                    marginTop: '6px',
+                                                    fontSize: '0.7em',
+                                                    color: '#aaa',
+                                                    lineHeight: 1.4
+                                                }}>
+                                                    <div>CMYK {color.cmyk.join('/')}</div>
+                                                    <div>Lab {color.lab.map(v => v.toFixed(1)).join('/')}</div>
+                                                    {printable && <div style={{ color: '#f1c40f' }}>Out of gamut → {printable}</div>}
+                                                </div>
                                             </div>
-                                        </div>
-                                    ))}
+                                        );
+                                    })}
                                 </div>
                             </div>
                         </div>
 
-                        {/* COMPONENT VIEW TOOLS - Final compact version */}
-                        <div style={{
-                            width: 'calc(100% - 40px)',
-                            backgroundColor: 'rgba(40, 40, 40, 0.8)',
-                            borderRadius: '12px',
-                            padding: '20px',
-                            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
-                            border: '1px solid rgba(255,255,255,0.1)',
-                            marginBottom: '30px',
-                            marginLeft: '20px',
-                            marginRight: '20px'
-                        }}>
-                            <h2 style={{
-                                marginTop: 0,
-                                marginBottom: '20px',
-                                color: '#fff',
-                                fontWeight: '400',
-                                fontSize: '1.3rem',
-                                textAlign: 'center'
-                            }}>
-                                Channel Isolation Tools
-                            </h2>
+                        <SoftProof key={cmykTransform.name} colorStats={colorStats} image={imageData} transform={cmykTransform} />
 
-                            <div style={{
-                                display: 'grid',
-                                gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
-                                gap: '12px',
-                                maxWidth: '100%'
-                            }}>
-                                {['cyan', 'magenta', 'yellow', 'black'].map((channel) => (
-                                    <div key={channel} style={{
-                                        padding: '12px',
-                                        border: `1px solid ${getChannelColor(channel)}`,
-                                        borderRadius: '8px',
-                                        backgroundColor: activeChannel === channel ? `${getChannelColor(channel, true)}` : 'rgba(50, 50, 50, 0.8)',
-                                        transition: 'all 0.3s ease'
-                                    }}>
-                                        <h3 style={{
-                                            margin: '0 0 8px 0',
-                                            color: getChannelColor(channel),
-                                            fontSize: '0.95rem',
-                                            fontWeight: '500',
-                                            display: 'flex',
-                                            alignItems: 'center',
-                                            gap: '6px'
-                                        }}>
-                                            <span style={{
-                                                display: 'inline-block',
-                                                width: '8px',
-                                                height: '8px',
-                                                backgroundColor: getChannelColor(channel),
-                                                borderRadius: '50%'
-                                            }}></span>
-                                            {channel.charAt(0).toUpperCase() + channel.slice(1)}
-                                        </h3>
-                                        <p style={{
-                                            margin: '0 0 8px 0',
-                                            color: '#aaa',
-                                            fontSize: '0.8rem'
-                                        }}>
-                                            View {channel} channel
-                                        </p>
-                                        <button
-                                            onClick={() => setActiveChannel(activeChannel === channel ? null : channel)}
-                                            style={{
-                                                width: '100%',
-                                                padding: '8px',
-                                                backgroundColor: activeChannel === channel ? getChannelColor(channel) : 'rgba(60, 60, 60, 0.9)',
-                                                color: activeChannel === channel ? '#fff' : getChannelColor(channel),
-                                                border: `1px solid ${getChannelColor(channel)}`,
-                                                borderRadius: '4px',
-                                                cursor: 'pointer',
-                                                fontSize: '0.8rem',
-                                                fontWeight: '500',
-                                                transition: 'all 0.3s ease'
-                                            }}
-                                        >
-                                            {activeChannel === channel ? 'Hide' : 'Show'}
-                                        </button>
-                                        {activeChannel === channel && (
-                                            <div style={{
-                                                marginTop: '8px',
-                                                borderRadius: '6px',
-                                                overflow: 'hidden'
-                                            }}>
-                                                <img
-                                                    src={renderChannelPreview(channel)}
-                                                    alt={`${channel} channel`}
-                                                    style={{
-                                                        width: '100%',
-                                                        display: 'block'
-                                                    }}
-                                                />
-                                            </div>
-                                        )}
-                                    </div>
-                                ))}
-                            </div>
-                        </div>
+                        {colorStats.regions && (
+                            <RegionResults regions={colorStats.regions} image={imageData} />
+                        )}
+
+                        <SpotColorMatching colorStats={colorStats} gamut={gamut} />
+
+                        <GamutCheck colorStats={colorStats} gamut={gamut} />
+
+                        <InkCoverage colorStats={colorStats} />
+
+                        <TacAnalysis colorStats={colorStats} />
+
+                        <BlackGenerationPanel
+                            colorStats={colorStats}
+                            settings={blackGeneration}
+                            onChange={setBlackGeneration}
+                            onApply={analyzeImage}
+                            isAnalyzing={isAnalyzing}
+                            progress={progress}
+                        />
+
+                        <ChannelIsolation
+                            colorStats={colorStats}
+                            transform={cmykTransform}
+                            activeChannel={activeChannel}
+                            onActiveChannelChange={setActiveChannel}
+                            readSample={sampleAt}
+                            samplePoints={samplePoints}
+                            onPinSample={pinSample}
+                        />
 
                         <div style={{ textAlign: 'center' }}>
                             <button
@@ -0,0 +1,395 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, BarElement, CategoryScale, LinearScale } from 'chart.js';
+import { describeFile, loadImageFile, startAnalysis, isCancelled } from '../utils/analysis';
+import { ACCEPTED_IMAGE_TYPES } from '../utils/decoders';
+import {
+    CHANNELS,
+    cmykDeltas,
+    matchPalettes,
+    sameAspectRatio,
+    computeDifferenceMap,
+    differenceToColor,
+    DIFFERENCE_MAP_MAX
+} from '../utils/compare';
+import { DELTA_E_METRICS } from '../utils/deltaE';
+import { getContrastColor } from '../utils/color';
+
+ChartJS.register(BarElement, CategoryScale, LinearScale);
+
+const SLOT_LABELS = { a: 'Original artwork', b: 'Proof / comparison' };
+const PALETTE_MATCHES = 12;
+
+const panelStyle = {
+    backgroundColor: 'rgba(40, 40, 40, 0.8)',
+    borderRadius: '12px',
+    padding: '20px',
+    boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+    border: '1px solid rgba(255,255,255,0.1)',
+    marginBottom: '30px'
+};
+
+const headingStyle = {
+    marginTop: 0,
+    marginBottom: '20px',
+    color: '#fff',
+    fontWeight: '400',
+    fontSize: '1.3rem'
+};
+
+function ImageSlot({ label, slot, onFile, disabled }) {
+    const { getRootProps, getInputProps, isDragActive } = useDropzone({
+        onDrop: (files) => files[0] && onFile(files[0]),
+        accept: ACCEPTED_IMAGE_TYPES,
+        maxFiles: 1,
+        disabled
+    });
+
+    return (
+        <div {...getRootProps()} style={{
+            flex: '1 1 300px',
+            border: '2px dashed rgba(255, 255, 255, 0.3)',
+            borderRadius: '12px',
+            padding: '20px',
+            cursor: disabled ? 'default' : 'pointer',
+            backgroundColor: isDragActive ? 'rgba(50, 50, 50, 0.7)' : 'rgba(40, 40, 40, 0.7)',
+            textAlign: 'center',
+            minHeight: '220px',
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            alignItems: 'center',
+            gap: '10px'
+        }}>
+            <input {...getInputProps()} />
+            <p style={{ margin: 0, color: '#fff' }}>{label}</p>
+            {slot?.image ? (
+                <>
+                    <img
+                        src={slot.image.src}
+                        alt={label}
+                        style={{ maxWidth: '100%', maxHeight: '160px', borderRadius: '8px' }}
+                    />
+                    <p style={{ margin: 0, color: '#aaa', fontSize: '0.8rem' }}>
+                        {slot.file.name}
+                        {slot.status === 'analyzing' && ` · Analyzing... ${slot.progress}%`}
+                    </p>
+                </>
+            ) : (
+                <p style={{ margin: 0, color: '#aaa', fontSize: '0.9rem' }}>
+                    Drag & drop an image here, or click to select
+                </p>
+            )}
+            {slot?.error && <p style={{ margin: 0, color: '#e74c3c', fontSize: '0.85rem' }}>{slot.error}</p>}
+        </div>
+    );
+}
+
+export default function CompareAnalysis({ analysisOptions, onExit }) {
+    const [slots, setSlots] = useState({ a: null, b: null });
+    const [running, setRunning] = useState(false);
+    const jobRef = useRef(null);
+    const diffCanvasRef = useRef(null);
+    const metric = analysisOptions.quantizer.metric;
+
+    useEffect(() => () => jobRef.current?.cancel(), []);
+
+    const updateSlot = (key, changes) => {
+        setSlots(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+    };
+
+    const setFile = (key, file) => {
+        loadImageFile(file)
+            .then((image) => setSlots(prev => ({
+                ...prev,
+                [key]: { file: describeFile(file), image, stats: null, status: 'ready', progress: 0, error: null }
+            })))
+            .catch((err) => setSlots(prev => ({ ...prev, [key]: { ...prev[key], error: err.message } })));
+    };
+
+    const runComparison = async () => {
+        setRunning(true);
+        try {
+            for (const key of ['a', 'b']) {
+                const slot = slots[key];
+                updateSlot(key, { status: 'analyzing', progress: 0, stats: null, error: null });
+                const job = startAnalysis(
+                    slot.image,
+                    { ...analysisOptions, file: slot.file },
+                    { onProgress: (progress) => updateSlot(key, { progress }) }
+                );
+                jobRef.current = job;
+                const stats = await job.promise;
+                updateSlot(key, { status: 'done', stats });
+            }
+        } catch (err) {
+            if (!isCancelled(err)) {
+                setSlots(prev => Object.fromEntries(Object.entries(prev).map(([key, slot]) => [
+                    key,
+                    slot.status === 'analyzing' ? { ...slot, status: 'ready', error: err.message } : slot
+                ])));
+            }
+        } finally {
+            jobRef.current = null;
+            setRunning(false);
+        }
+    };
+
+    const statsA = slots.a?.stats;
+    const statsB = slots.b?.stats;
+    const ready = slots.a?.image && slots.b?.image;
+
+    const deltas = useMemo(() => statsA && statsB && cmykDeltas(statsA, statsB), [statsA, statsB]);
+    const matchesAB = useMemo(
+        () => statsA && statsB && matchPalettes(statsA.colors.slice(0, PALETTE_MATCHES), statsB.colors, metric),
+        [statsA, statsB, metric]
+    );
+    const matchesBA = useMemo(
+        () => statsA && statsB && matchPalettes(statsB.colors.slice(0, PALETTE_MATCHES), statsA.colors, metric),
+        [statsA, statsB, metric]
+    );
+
+    const comparable = statsA && statsB && sameAspectRatio(slots.a.image, slots.b.image);
+
+    // Proof B is resampled onto A's analysis canvas so pixels line up.
+    const difference = useMemo(() => {
+        if (!comparable) return null;
+        const { width, height, ctx } = statsA.canvasData;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const proofCtx = canvas.getContext('2d');
+        proofCtx.drawImage(slots.b.image, 0, 0, width, height);
+        return computeDifferenceMap(
+            ctx.getImageData(0, 0, width, height).data,
+            proofCtx.getImageData(0, 0, width, height).data
+        );
+    }, [comparable, statsA, slots.b]);
+
+    useEffect(() => {
+        const canvas = diffCanvasRef.current;
+        if (!difference || !canvas) return;
+        const { width, height } = statsA.canvasData;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const output = ctx.createImageData(width, height);
+        for (let p = 0; p < difference.map.length; p++) {
+            const [r, g, b] = differenceToColor(difference.map[p]);
+            output.data[p * 4] = r;
+            output.data[p * 4 + 1] = g;
+            output.data[p * 4 + 2] = b;
+            output.data[p * 4 + 3] = 255;
+        }
+        ctx.putImageData(output, 0, 0);
+    }, [difference, statsA]);
+
+    const renderMatches = (title, matches) => (
+        <div style={{ flex: '1 1 320px' }}>
+            <h3 style={{ marginTop: 0, color: '#fff', fontWeight: '400', fontSize: '1rem' }}>{title}</h3>
+            {matches.map(({ color, match, deltaE }) => (
+                <div key={color.hex} style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '10px',
+                    padding: '4px 0',
+                    borderTop: '1px solid #444',
+                    fontSize: '0.8rem',
+                    color: '#ddd'
+                }}>
+                    <span style={{
+                        width: '70px',
+                        padding: '6px 0',
+                        textAlign: 'center',
+                        borderRadius: '4px',
+                        backgroundColor: color.hex,
+                        color: getContrastColor(color.hex)
+                    }}>
+                        {color.hex}
+                    </span>
+                    <span>→</span>
+                    <span style={{
+                        width: '70px',
+                        padding: '6px 0',
+                        textAlign: 'center',
+                        borderRadius: '4px',
+                        backgroundColor: match.hex,
+                        color: getContrastColor(match.hex)
+                    }}>
+                        {match.hex}
+                    </span>
+                    <span style={{ color: deltaE > 5 ? '#e74c3c' : deltaE > 2 ? '#f39c12' : '#2ecc71' }}>
+                        {DELTA_E_METRICS[metric].label} {deltaE.toFixed(2)}
+                    </span>
+                    <span style={{ color: '#888', marginLeft: 'auto' }}>{color.percentage.toFixed(1)}%</span>
+                </div>
+            ))}
+        </div>
+    );
+
+    return (
+        <div>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: '20px'
+            }}>
+                <h2 style={{ ...headingStyle, marginBottom: 0 }}>Compare Two Images</h2>
+                <button
+                    onClick={onExit}
+                    style={{
+                        padding: '8px 16px',
+                        backgroundColor: 'rgba(60, 60, 60, 0.9)',
+                        color: '#fff',
+                        border: '1px solid rgba(255,255,255,0.2)',
+                        borderRadius: '4px',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Exit compare mode
+                </button>
+            </div>
+
+            <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', marginBottom: '20px' }}>
+                {['a', 'b'].map(key => (
+                    <ImageSlot
+                        key={key}
+                        label={SLOT_LABELS[key]}
+                        slot={slots[key]}
+                        onFile={(file) => setFile(key, file)}
+                        disabled={running}
+                    />
+                ))}
+            </div>
+
+            <div style={{ textAlign: 'center', marginBottom: '30px' }}>
+                <button
+                    onClick={runComparison}
+                    disabled={!ready || running}
+                    style={{
+                        padding: '15px 30px',
+                        backgroundColor: !ready || running ? '#555' : '#2ecc71',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '8px',
+                        cursor: !ready || running ? 'default' : 'pointer',
+                        fontSize: '1rem',
+                        fontWeight: '500',
+                        width: '220px',
+                        boxShadow: '0 4px 6px rgba(0,0,0,0.3)'
+                    }}
+                >
+                    {running ? 'Comparing...' : 'Compare'}
+                </button>
+            </div>
+
+            {statsA && statsB && (
+                <>
+                    <div style={panelStyle}>
+                        <h2 style={headingStyle}>CMYK Composition</h2>
+                        <div style={{ display: 'flex', gap: '30px', flexWrap: 'wrap', alignItems: 'center' }}>
+                            <div style={{ flex: '2 1 400px', height: '300px' }}>
+                                <Bar
+                                    data={{
+                                        labels: ['Cyan', 'Magenta', 'Yellow', 'Black'],
+                                        datasets: [
+                                            {
+                                                label: slots.a.file.name,
+                                                data: CHANNELS.map(ch => statsA.overallCmyk[ch]),
+                                                backgroundColor: 'rgba(52, 152, 219, 0.85)'
+                                            },
+                                            {
+                                                label: slots.b.file.name,
+                                                data: CHANNELS.map(ch => statsB.overallCmyk[ch]),
+                                                backgroundColor: 'rgba(230, 126, 34, 0.85)'
+                                            }
+                                        ]
+                                    }}
+                                    options={{
+                                        maintainAspectRatio: false,
+                                        plugins: {
+                                            legend: { labels: { color: '#ddd' } },
+                                            datalabels: {
+                                                color: '#fff',
+                                                anchor: 'end',
+                                                align: 'top',
+                                                formatter: (value) => `${value.toFixed(1)}%`
+                                            }
+                                        },
+                                        scales: {
+                                            x: { ticks: { color: '#aaa' } },
+                                            y: {
+                                                ticks: { color: '#aaa', callback: (value) => `${value}%` },
+                                                grid: { color: 'rgba(255,255,255,0.05)' }
+                                            }
+                                        }
+                                    }}
+                                />
+                            </div>
+                            <table style={{ flex: '1 1 220px', borderCollapse: 'collapse', color: '#ddd', fontSize: '0.9rem' }}>
+                                <thead>
+                                    <tr style={{ color: '#aaa' }}>
+                                        <th style={{ textAlign: 'left', padding: '6px', fontWeight: '400' }}>Channel</th>
+                                        <th style={{ textAlign: 'right', padding: '6px', fontWeight: '400' }}>Δ (B − A)</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {CHANNELS.map(channel => (
+                                        <tr key={channel} style={{ borderTop: '1px solid #444' }}>
+                                            <td style={{ padding: '6px', textTransform: 'capitalize' }}>{channel}</td>
+                                            <td style={{
+                                                padding: '6px',
+                                                textAlign: 'right',
+                                                color: Math.abs(deltas[channel]) > 5 ? '#e74c3c' : '#ddd'
+                                            }}>
+                                                {deltas[channel] > 0 ? '+' : ''}{deltas[channel].toFixed(1)}%
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div style={panelStyle}>
+                        <h2 style={headingStyle}>Palette Matching</h2>
+                        <div style={{ display: 'flex', gap: '30px', flexWrap: 'wrap' }}>
+                            {renderMatches('Original → proof', matchesAB)}
+                            {renderMatches('Proof → original', matchesBA)}
+                        </div>
+                    </div>
+
+                    <div style={panelStyle}>
+                        <h2 style={headingStyle}>Difference Map</h2>
+                        {difference ? (
+                            <div style={{ display: 'flex', gap: '30px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+                                <canvas
+                                    ref={diffCanvasRef}
+                                    style={{ flex: '2 1 400px', minWidth: 0, maxWidth: '100%', borderRadius: '8px' }}
+                                />
+                                <div style={{ flex: '1 1 220px', color: '#aaa', fontSize: '0.9rem' }}>
+                                    <p style={{ marginTop: 0 }}>Mean ΔE76: <span style={{ color: '#fff' }}>{difference.mean.toFixed(2)}</span></p>
+                                    <p>Max ΔE76: <span style={{ color: '#fff' }}>{difference.max.toFixed(2)}</span></p>
+                                    {difference.over.map(({ threshold, percentage }) => (
+                                        <p key={threshold}>
+                                            Area above ΔE {threshold}: <span style={{ color: '#fff' }}>{percentage.toFixed(2)}%</span>
+                                        </p>
+                                    ))}
+                                    <p style={{ fontSize: '0.8rem' }}>
+                                        Black = identical, red → yellow → white = up to ΔE {DIFFERENCE_MAP_MAX}+
+                                    </p>
+                                </div>
+                            </div>
+                        ) : (
+                            <p style={{ color: '#aaa', margin: 0 }}>
+                                The images have different aspect ratios, so a per-pixel difference map is not available.
+                            </p>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import {
+    downloadFile,
+    exportBaseName,
+    buildAnalysisJson,
+    buildPaletteCsv,
+    buildSamplesCsv,
+    buildPdfReport
+} from '../utils/export';
+import PaletteExportDialog from './PaletteExportDialog';
+
+const itemStyle = {
+    display: 'block',
+    width: '100%',
+    padding: '10px 16px',
+    backgroundColor: 'transparent',
+    color: '#fff',
+    border: 'none',
+    textAlign: 'left',
+    cursor: 'pointer',
+    fontSize: '0.9rem'
+};
+
+export default function ExportMenu({ colorStats, image, pieChartRef, renderChannelPreview, samples, preflight }) {
+    const [open, setOpen] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [showSwatches, setShowSwatches] = useState(false);
+
+    const baseName = exportBaseName(colorStats);
+
+    const run = async (task) => {
+        setOpen(false);
+        setBusy(true);
+        setError(null);
+        try {
+            await task();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const exportJson = () => run(async () => {
+        downloadFile(buildAnalysisJson(colorStats, { samples, preflight }), `${baseName}.json`, 'application/json');
+    });
+
+    const exportCsv = () => run(async () => {
+        downloadFile(buildPaletteCsv(colorStats.colors), `${baseName}-palette.csv`, 'text/csv');
+    });
+
+    const exportSamplesCsv = () => run(async () => {
+        downloadFile(buildSamplesCsv(samples), `${baseName}-samples.csv`, 'text/csv');
+    });
+
+    const exportPdf = () => run(async () => {
+        const channelPreviews = {};
+        for (const channel of ['cyan', 'magenta', 'yellow', 'black']) {
+            channelPreviews[channel] = renderChannelPreview(channel);
+        }
+        const blob = await buildPdfReport({
+            colorStats,
+            image,
+            pieImage: pieChartRef.current?.toBase64Image(),
+            channelPreviews,
+            samples,
+            preflight
+        });
+        downloadFile(blob, `${baseName}.pdf`);
+    });
+
+    return (
+        <div style={{ position: 'relative', display: 'inline-block' }}>
+            <button
+                onClick={() => setOpen(!open)}
+                disabled={busy}
+                style={{
+                    padding: '10px 24px',
+                    backgroundColor: busy ? '#555' : '#9b59b6',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '8px',
+                    cursor: busy ? 'default' : 'pointer',
+                    fontSize: '0.95rem',
+                    fontWeight: '500',
+                    boxShadow: '0 4px 6px rgba(0,0,0,0.3)'
+                }}
+            >
+                {busy ? 'Exporting...' : 'Export ▾'}
+            </button>
+            {open && (
+                <div style={{
+                    position: 'absolute',
+                    right: 0,
+                    top: 'calc(100% + 6px)',
+                    minWidth: '300px',
+                    backgroundColor: 'rgba(30, 30, 30, 0.98)',
+                    border: '1px solid rgba(255,255,255,0.15)',
+                    borderRadius: '8px',
+                    boxShadow: '0 8px 20px rgba(0,0,0,0.5)',
+                    overflow: 'hidden',
+                    zIndex: 10
+                }}>
+                    <button onClick={exportJson} style={itemStyle}>Analysis (JSON)</button>
+                    <button onClick={exportCsv} style={itemStyle}>Palette (CSV)</button>
+                    {samples.length > 0 && (
+                        <button onClick={exportSamplesCsv} style={itemStyle}>Sample points (CSV)</button>
+                    )}
+                    <button onClick={exportPdf} style={itemStyle}>Report (PDF)</button>
+                    <button
+                        onClick={() => {
+                            setOpen(false);
+                            setShowSwatches(true);
+                        }}
+                        style={itemStyle}
+                    >
+                        Palette swatches (ASE, ACO, GPL, CSS, tokens)…
+                    </button>
+                </div>
+            )}
+            {showSwatches && (
+                <PaletteExportDialog
+                    colors={colorStats.colors}
+                    baseName={baseName}
+                    onClose={() => setShowSwatches(false)}
+                />
+            )}
+            {error && (
+                <p style={{ color: '#e74c3c', margin: '8px 0 0 0', fontSize: '0.85rem' }}>
+                    Export failed: {error}
+                </p>
+            )}
+        </div>
+    );
+}
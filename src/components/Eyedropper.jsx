@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { getContrastColor } from '../utils/color';
+import { pointerToPixel } from '../utils/eyedropper';
+
+const CMYK_LABELS = ['C', 'M', 'Y', 'K'];
+
+const rowStyle = {
+    margin: '2px 0',
+    fontSize: '0.8rem',
+    color: '#aaa',
+    whiteSpace: 'nowrap'
+};
+
+function SampleReadout({ sample }) {
+    return (
+        <>
+            <p style={rowStyle}>
+                <span style={{
+                    display: 'inline-block',
+                    width: '10px',
+                    height: '10px',
+                    marginRight: '6px',
+                    verticalAlign: 'middle',
+                    backgroundColor: sample.hex,
+                    border: '1px solid #777'
+                }}></span>
+                <span style={{ color: '#fff' }}>{sample.hex}</span> · RGB {sample.rgb.join(', ')}
+            </p>
+            <p style={rowStyle}>Lab {sample.lab.join(', ')}</p>
+            <p style={rowStyle}>
+                {CMYK_LABELS.map((label, ch) => `${label} ${sample.cmyk[ch]}%`).join(' ')}
+            </p>
+            <p style={rowStyle}>TAC <span style={{ color: '#fff' }}>{sample.tac}%</span></p>
+            {sample.cluster && (
+                <p style={rowStyle}>
+                    Palette{' '}
+                    <span style={{
+                        display: 'inline-block',
+                        width: '10px',
+                        height: '10px',
+                        margin: '0 4px',
+                        verticalAlign: 'middle',
+                        backgroundColor: sample.cluster.hex,
+                        border: '1px solid #777'
+                    }}></span>
+                    #{sample.cluster.index + 1} {sample.cluster.hex} (ΔE {sample.cluster.deltaE})
+                </p>
+            )}
+        </>
+    );
+}
+
+// Wraps an image of the analysis canvas (the preview or a channel view) with
+// a hover readout of the pixel under the pointer. Clicking pins the pixel;
+// pinned `points` are marked with their number.
+export function SampleTarget({ canvasData, readSample, points, onPin, children }) {
+    const [hover, setHover] = useState(null);
+
+    const locate = (e) => pointerToPixel(e, e.currentTarget, canvasData);
+    const position = ({ x, y }) => ({
+        left: `${((x + 0.5) / canvasData.width) * 100}%`,
+        top: `${((y + 0.5) / canvasData.height) * 100}%`
+    });
+    const sample = hover && readSample(hover);
+    const leftHalf = hover && hover.x < canvasData.width / 2;
+    const topHalf = hover && hover.y < canvasData.height / 2;
+
+    return (
+        <div
+            onMouseMove={(e) => setHover(locate(e))}
+            onMouseLeave={() => setHover(null)}
+            onClick={(e) => onPin(locate(e))}
+            style={{ position: 'relative', cursor: 'crosshair', lineHeight: 0 }}
+        >
+            {children}
+            {points.map((point, index) => (
+                <span key={`${point.x},${point.y}`} style={{
+                    ...position(point),
+                    position: 'absolute',
+                    transform: 'translate(-50%, -50%)',
+                    width: '16px',
+                    height: '16px',
+                    borderRadius: '50%',
+                    backgroundColor: 'rgba(0,0,0,0.7)',
+                    border: '2px solid #fff',
+                    color: '#fff',
+                    fontSize: '10px',
+                    lineHeight: '16px',
+                    textAlign: 'center',
+                    pointerEvents: 'none'
+                }}>
+                    {index + 1}
+                </span>
+            ))}
+            {sample && (
+                <div style={{
+                    ...position(hover),
+                    position: 'absolute',
+                    transform: `translate(${leftHalf ? '12px' : 'calc(-100% - 12px)'}, ${topHalf ? '12px' : 'calc(-100% - 12px)'})`,
+                    backgroundColor: 'rgba(20, 20, 20, 0.95)',
+                    border: '1px solid rgba(255,255,255,0.2)',
+                    borderRadius: '6px',
+                    padding: '6px 8px',
+                    lineHeight: 'normal',
+                    textAlign: 'left',
+                    zIndex: 5,
+                    pointerEvents: 'none'
+                }}>
+                    <SampleReadout sample={sample} />
+                </div>
+            )}
+        </div>
+    );
+}
+
+// The pinned sample points, numbered like their markers.
+export default function SamplePoints({ samples, onRemove, onClear }) {
+    return (
+        <div style={{ borderTop: '1px solid #444', paddingTop: '10px', marginTop: '10px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span style={{ fontSize: '0.85em', color: '#aaa' }}>
+                    Sample points{samples.length > 0 && ` (${samples.length})`}
+                </span>
+                {samples.length > 0 && (
+                    <button
+                        onClick={onClear}
+                        style={{
+                            padding: '2px 8px',
+                            backgroundColor: 'transparent',
+                            color: '#aaa',
+                            border: '1px solid #555',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontSize: '0.75rem'
+                        }}
+                    >
+                        Clear
+                    </button>
+                )}
+            </div>
+            {samples.length === 0 && (
+                <p style={{ ...rowStyle, whiteSpace: 'normal', marginTop: '6px' }}>
+                    Hover the preview or a channel image to read a pixel; click to pin it.
+                </p>
+            )}
+            {samples.map((sample, index) => (
+                <div key={`${sample.x},${sample.y},${index}`} style={{
+                    marginTop: '8px',
+                    padding: '6px 8px',
+                    borderRadius: '6px',
+                    backgroundColor: 'rgba(30, 30, 30, 0.6)',
+                    overflow: 'hidden'
+                }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <span style={{
+                            fontSize: '0.8rem',
+                            color: getContrastColor(sample.hex),
+                            backgroundColor: sample.hex,
+                            borderRadius: '4px',
+                            padding: '0 6px'
+                        }}>
+                            #{index + 1}
+                        </span>
+                        <span style={{ ...rowStyle, flex: 1, marginLeft: '8px' }}>x {sample.x}, y {sample.y}</span>
+                        <button
+                            onClick={() => onRemove(index)}
+                            aria-label={`Remove sample point ${index + 1}`}
+                            style={{
+                                backgroundColor: 'transparent',
+                                color: '#aaa',
+                                border: 'none',
+                                cursor: 'pointer',
+                                fontSize: '0.9rem'
+                            }}
+                        >
+                            ×
+                        </button>
+                    </div>
+                    <SampleReadout sample={sample} />
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,144 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { DEFAULT_GAMUT_OVERLAY } from '../utils/gamut';
+import { hexToRgb } from '../utils/color';
+
+// Flags out-of-gamut pixels of the analysis canvas. `mask` marks them with 1.
+// The ink values of CMYK files are what the press prints, so none of their
+// pixels are flagged; their on-screen colors are only an approximation.
+const findOutOfGamut = (canvasData, gamut) => {
+    const mask = new Uint8Array(canvasData.width * canvasData.height);
+    let count = 0;
+    if (canvasData.cmyk) return { mask, count, percentage: 0 };
+    const { data } = canvasData.ctx.getImageData(0, 0, canvasData.width, canvasData.height);
+    for (let p = 0; p < mask.length; p++) {
+        const i = p * 4;
+        if (!gamut.isInGamut([data[i], data[i + 1], data[i + 2]])) {
+            mask[p] = 1;
+            count++;
+        }
+    }
+    return { mask, count, percentage: mask.length ? (count / mask.length) * 100 : 0 };
+};
+
+export default function GamutCheck({ colorStats, gamut }) {
+    const [enabled, setEnabled] = useState(false);
+    const [overlayColor, setOverlayColor] = useState(DEFAULT_GAMUT_OVERLAY);
+    const canvasRef = useRef(null);
+
+    const { canvasData } = colorStats;
+
+    const report = useMemo(
+        () => (enabled ? findOutOfGamut(canvasData, gamut) : null),
+        [enabled, canvasData, gamut]
+    );
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!report || !canvas) return;
+
+        canvas.width = canvasData.width;
+        canvas.height = canvasData.height;
+        const ctx = canvas.getContext('2d');
+        const output = canvasData.ctx.getImageData(0, 0, canvasData.width, canvasData.height);
+        const [r, g, b] = hexToRgb(overlayColor);
+
+        for (let p = 0; p < report.mask.length; p++) {
+            if (!report.mask[p]) continue;
+            const i = p * 4;
+            output.data[i] = r;
+            output.data[i + 1] = g;
+            output.data[i + 2] = b;
+        }
+
+        ctx.putImageData(output, 0, 0);
+    }, [report, overlayColor, canvasData]);
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: enabled ? '20px' : 0
+            }}>
+                <h2 style={{
+                    margin: 0,
+                    color: '#fff',
+                    fontWeight: '400',
+                    fontSize: '1.3rem'
+                }}>
+                    Gamut Check
+                </h2>
+                <button
+                    onClick={() => setEnabled(!enabled)}
+                    style={{
+                        padding: '8px 16px',
+                        backgroundColor: enabled ? '#27ae60' : 'rgba(60, 60, 60, 0.9)',
+                        color: '#fff',
+                        border: '1px solid #27ae60',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '0.85rem',
+                        fontWeight: '500'
+                    }}
+                >
+                    {enabled ? 'Hide gamut warning' : 'Check CMYK gamut'}
+                </button>
+            </div>
+
+            {report && (
+                <div style={{
+                    display: 'flex',
+                    gap: '30px',
+                    flexWrap: 'wrap',
+                    alignItems: 'flex-start'
+                }}>
+                    <canvas
+                        ref={canvasRef}
+                        style={{
+                            flex: '1 1 400px',
+                            minWidth: 0,
+                            maxWidth: '100%',
+                            borderRadius: '8px',
+                            boxShadow: '0 3px 10px rgba(0,0,0,0.3)'
+                        }}
+                    />
+                    <div style={{ flex: '1 1 250px', color: '#aaa', fontSize: '0.9rem' }}>
+                        <p style={{ marginTop: 0 }}>
+                            Out of gamut:{' '}
+                            <span style={{ color: report.count ? '#e74c3c' : '#2ecc71', fontWeight: '500' }}>
+                                {report.percentage.toFixed(2)}%
+                            </span>{' '}
+                            of the image ({report.count.toLocaleString()} pixels)
+                        </p>
+                        <p>Gamut: <span style={{ color: '#fff' }}>{gamut.name}</span></p>
+                        <label>
+                            Overlay color{' '}
+                            <input
+                                type="color"
+                                value={overlayColor}
+                                onChange={(e) => setOverlayColor(e.target.value)}
+                                style={{ verticalAlign: 'middle' }}
+                            />
+                        </label>
+                        <p style={{ fontSize: '0.8rem', color: '#777' }}>
+                            {canvasData.cmyk
+                                ? 'This file carries its own CMYK ink values, which print as they are.'
+                                : 'Marked pixels will shift when printed; the Top Colors grid shows the nearest printable version next to each affected swatch.'}
+                        </p>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
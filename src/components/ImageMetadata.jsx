@@ -0,0 +1,133 @@
+import { describeFormat, metadataFields, profileWarnings } from '../utils/metadata';
+import {
+    PRINT_UNITS,
+    DEFAULT_PRINT_UNIT,
+    TARGET_PPI,
+    MINIMUM_PPI,
+    nativePrintSize,
+    effectivePpi,
+    resolutionStatus
+} from '../utils/printResolution';
+
+const STATUS_COLORS = { pass: '#2ecc71', warn: '#f39c12', fail: '#e74c3c' };
+
+const lineStyle = {
+    fontSize: '0.85em',
+    color: '#aaa',
+    margin: '0 0 6px 0'
+};
+
+const inputStyle = {
+    backgroundColor: '#333',
+    color: '#fff',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    padding: '3px 6px'
+};
+
+// Resolution, profile and EXIF/XMP details of the analyzed file, plus the
+// effective resolution at the print size the user enters. `printSize` is
+// null until the user edits it, in which case the embedded DPI's size is used.
+export default function ImageMetadata({ image, printSize, onPrintSizeChange }) {
+    const { metadata } = image;
+    if (!metadata) return null;
+
+    const size = printSize ?? nativePrintSize(image, metadata.dpi) ?? { width: '', height: '', unit: DEFAULT_PRINT_UNIT };
+    const ppi = effectivePpi(image, size);
+    const status = ppi !== null && resolutionStatus(ppi);
+    const warnings = profileWarnings(image);
+    const fields = metadataFields(metadata);
+
+    const updateSize = (changes) => onPrintSizeChange({ ...size, ...changes });
+    const round = (value) => (value === '' ? '' : Math.round(value * 10) / 10);
+    // Keeps the image's aspect ratio when one side is typed in.
+    const setSide = (side, value) => {
+        const number = value === '' ? '' : Number(value);
+        const other = side === 'width' ? 'height' : 'width';
+        const ratio = side === 'width' ? image.height / image.width : image.width / image.height;
+        updateSize({ [side]: number, [other]: round(number === '' ? '' : number * ratio) });
+    };
+    const setUnit = (unit) => {
+        const factor = PRINT_UNITS[unit].perInch / PRINT_UNITS[size.unit].perInch;
+        updateSize({
+            unit,
+            width: round(size.width === '' ? '' : size.width * factor),
+            height: round(size.height === '' ? '' : size.height * factor)
+        });
+    };
+
+    return (
+        <div style={{ borderTop: '1px solid #444', paddingTop: '10px', marginTop: '10px' }}>
+            <p style={lineStyle}>
+                File: <span style={{ color: '#fff' }}>
+                    {image.width.toLocaleString()} × {image.height.toLocaleString()} px
+                    {describeFormat(metadata) && `, ${describeFormat(metadata)}`}
+                </span>
+                {image.nativeInk && ' (ink values read from the file)'}
+            </p>
+            <p style={lineStyle}>
+                Resolution: <span style={{ color: '#fff' }}>
+                    {metadata.dpi
+                        ? metadata.dpi.x === metadata.dpi.y
+                            ? `${metadata.dpi.x} dpi`
+                            : `${metadata.dpi.x} × ${metadata.dpi.y} dpi`
+                        : 'not specified'}
+                </span>
+            </p>
+            <p style={lineStyle}>
+                Embedded profile: <span style={{ color: '#fff' }}>
+                    {metadata.profile ? metadata.profile.name : 'none'}
+                </span>
+                {metadata.profile && !metadata.profile.embedded && ' (named only)'}
+            </p>
+            {warnings.map(warning => (
+                <p key={warning} style={{ ...lineStyle, color: STATUS_COLORS.warn }}>⚠ {warning}</p>
+            ))}
+            {fields.map(([label, value]) => (
+                <p key={label} style={lineStyle}>
+                    {label}: <span style={{ color: '#fff', wordBreak: 'break-word' }}>{value}</span>
+                </p>
+            ))}
+
+            <div style={{ ...lineStyle, display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap', marginTop: '10px' }}>
+                Print size
+                <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={size.width}
+                    onChange={(e) => setSide('width', e.target.value)}
+                    aria-label="Print width"
+                    style={{ ...inputStyle, width: '58px' }}
+                />
+                ×
+                <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={size.height}
+                    onChange={(e) => setSide('height', e.target.value)}
+                    aria-label="Print height"
+                    style={{ ...inputStyle, width: '58px' }}
+                />
+                <select
+                    value={size.unit}
+                    onChange={(e) => setUnit(e.target.value)}
+                    aria-label="Print size unit"
+                    style={inputStyle}
+                >
+                    {Object.entries(PRINT_UNITS).map(([key, { label }]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+            </div>
+            {status && (
+                <p style={{ ...lineStyle, color: STATUS_COLORS[status] }}>
+                    {status === 'pass' ? '✓' : '⚠'} {Math.round(ppi)} ppi effective
+                    {status === 'warn' && ` — below the ${TARGET_PPI} ppi target for offset print`}
+                    {status === 'fail' && ` — under ${MINIMUM_PPI} ppi, pixels will be visible`}
+                </p>
+            )}
+        </div>
+    );
+}
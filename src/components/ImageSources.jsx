@@ -0,0 +1,145 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchImageFile, captureVideoFrame, cameraSupported, describeCameraError } from '../utils/imageSources';
+
+const controlStyle = {
+    backgroundColor: 'rgba(60, 60, 60, 0.9)',
+    color: '#fff',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '4px',
+    padding: '6px 12px',
+    fontSize: '0.9rem'
+};
+
+// Live camera preview; `onCapture` receives the current frame as a file.
+function CameraCapture({ onCapture, onClose }) {
+    const videoRef = useRef(null);
+    const [ready, setReady] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let stream = null;
+        let stopped = false;
+        navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } }
+        })
+            .then((media) => {
+                if (stopped) {
+                    media.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = media;
+                videoRef.current.srcObject = media;
+            })
+            .catch((err) => setError(describeCameraError(err)));
+        return () => {
+            stopped = true;
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    const capture = () => {
+        captureVideoFrame(videoRef.current).then(onCapture, (err) => setError(err.message));
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '10px' }}>
+            {error ? (
+                <p style={{ color: '#e74c3c', margin: 0, fontSize: '0.9rem' }}>{error}</p>
+            ) : (
+                <video
+                    ref={videoRef}
+                    autoPlay
+                    playsInline
+                    muted
+                    onLoadedData={() => setReady(true)}
+                    style={{ width: '100%', maxWidth: '480px', borderRadius: '8px', backgroundColor: '#111' }}
+                />
+            )}
+            <div style={{ display: 'flex', gap: '10px' }}>
+                {!error && (
+                    <button onClick={capture} disabled={!ready} style={{ ...controlStyle, cursor: ready ? 'pointer' : 'default' }}>
+                        {ready ? 'Capture' : 'Starting camera…'}
+                    </button>
+                )}
+                <button onClick={onClose} style={{ ...controlStyle, cursor: 'pointer' }}>Close camera</button>
+            </div>
+            <p style={{ color: '#777', fontSize: '0.8rem', margin: 0 }}>
+                Camera colors depend on the lighting and white balance; use even, neutral light for proofs.
+            </p>
+        </div>
+    );
+}
+
+// The inputs besides the drop area: a URL field and the camera. Pasting is
+// handled for the whole page by ColorAnalyzer. `onFiles` takes the same
+// array of files as the drop handler.
+export default function ImageSources({ onFiles }) {
+    const [url, setUrl] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [camera, setCamera] = useState(false);
+    const abortRef = useRef(null);
+
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    const loadUrl = (e) => {
+        e.preventDefault();
+        if (!url.trim() || loading) return;
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setLoading(true);
+        setError(null);
+        fetchImageFile(url, { signal: controller.signal })
+            .then((file) => onFiles([file]))
+            .catch((err) => {
+                if (err.name !== 'AbortError') setError(err.message);
+            })
+            .finally(() => setLoading(false));
+    };
+
+    return (
+        <div style={{
+            width: '500px',
+            maxWidth: '100%',
+            margin: '20px auto 0 auto',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '12px',
+            color: '#aaa',
+            fontSize: '0.9rem'
+        }}>
+            <form onSubmit={loadUrl} style={{ display: 'flex', gap: '8px' }}>
+                <input
+                    type="url"
+                    value={url}
+                    onChange={(e) => setUrl(e.target.value)}
+                    placeholder="https://example.com/artwork.png"
+                    aria-label="Image URL"
+                    disabled={loading}
+                    style={{ ...controlStyle, flex: 1, minWidth: 0, backgroundColor: '#333' }}
+                />
+                <button type="submit" disabled={loading || !url.trim()} style={{ ...controlStyle, cursor: 'pointer' }}>
+                    {loading ? 'Loading…' : 'Load from URL'}
+                </button>
+            </form>
+            {error && <p style={{ color: '#e74c3c', margin: 0 }}>{error}</p>}
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', justifyContent: 'center', flexWrap: 'wrap' }}>
+                <span>or paste an image with Ctrl/⌘+V</span>
+                {cameraSupported() && !camera && (
+                    <button onClick={() => setCamera(true)} style={{ ...controlStyle, cursor: 'pointer' }}>
+                        Use camera
+                    </button>
+                )}
+            </div>
+            {camera && (
+                <CameraCapture
+                    onCapture={(file) => {
+                        setCamera(false);
+                        onFiles([file]);
+                    }}
+                    onClose={() => setCamera(false)}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,179 @@
+import { useState, useMemo } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, BarElement, CategoryScale, LinearScale, LogarithmicScale, Tooltip } from 'chart.js';
+import { histogramStats } from '../utils/coverage';
+
+ChartJS.register(BarElement, CategoryScale, LinearScale, LogarithmicScale, Tooltip);
+
+// Black bars would vanish on the dark panel, so K is drawn in grey.
+const SERIES = [
+    { key: 'cyan', label: 'Cyan', color: '#00bcd4' },
+    { key: 'magenta', label: 'Magenta', color: '#e91e63' },
+    { key: 'yellow', label: 'Yellow', color: '#ffeb3b' },
+    { key: 'black', label: 'Black', color: '#9e9e9e' },
+    { key: 'tac', label: 'TAC', color: '#e67e22' }
+];
+
+function CoverageChart({ label, color, bins, stats, logScale, isTac }) {
+    const labels = bins.map((_, i) => `${i}%`);
+    const fullLabel = isTac ? '≥ 100%' : 'at 100%';
+
+    return (
+        <div style={{
+            backgroundColor: 'rgba(30, 30, 30, 0.6)',
+            borderRadius: '8px',
+            padding: '12px',
+            gridColumn: isTac ? '1 / -1' : undefined
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                flexWrap: 'wrap',
+                gap: '8px',
+                marginBottom: '8px',
+                fontSize: '0.85rem',
+                color: '#aaa'
+            }}>
+                <span style={{ color, fontWeight: '500' }}>{label}</span>
+                <span>
+                    Median <span style={{ color: '#fff' }}>{stats.median}%</span>
+                    {' · '}P95 <span style={{ color: '#fff' }}>{stats.p95}%</span>
+                    {' · '}at 0% <span style={{ color: '#fff' }}>{stats.atZero.toFixed(1)}%</span>
+                    {' · '}{fullLabel} <span style={{ color: '#fff' }}>{stats.atFull.toFixed(1)}%</span>
+                </span>
+            </div>
+            <div style={{ height: isTac ? '200px' : '160px' }}>
+                <Bar
+                    data={{
+                        labels,
+                        datasets: [{
+                            label: 'Pixels',
+                            data: bins,
+                            backgroundColor: color,
+                            barPercentage: 1,
+                            categoryPercentage: 1
+                        }]
+                    }}
+                    options={{
+                        maintainAspectRatio: false,
+                        animation: false,
+                        plugins: {
+                            legend: { display: false },
+                            datalabels: { display: false },
+                            tooltip: {
+                                callbacks: {
+                                    title: (items) => `${label} ${items[0].label}`,
+                                    label: (item) => {
+                                        const share = stats.total ? (item.raw / stats.total) * 100 : 0;
+                                        return `${item.raw.toLocaleString()} px (${share.toFixed(2)}% of area)`;
+                                    }
+                                }
+                            }
+                        },
+                        scales: {
+                            x: {
+                                ticks: { color: '#aaa', maxTicksLimit: isTac ? 9 : 11, maxRotation: 0 },
+                                grid: { display: false }
+                            },
+                            y: {
+                                type: logScale ? 'logarithmic' : 'linear',
+                                ticks: { color: '#aaa', maxTicksLimit: 5 },
+                                grid: { color: 'rgba(255,255,255,0.05)' }
+                            }
+                        }
+                    }}
+                />
+            </div>
+        </div>
+    );
+}
+
+// Distribution of ink coverage per channel and of TAC, in 1% bins over
+// every pixel of the analysis. Averages alone cannot tell a flat 25% tint
+// from sparse solids; the histograms can.
+export default function InkCoverage({ colorStats }) {
+    const [enabled, setEnabled] = useState(false);
+    const [logScale, setLogScale] = useState(true);
+
+    const { coverage } = colorStats;
+    const stats = useMemo(
+        () => Object.fromEntries(SERIES.map(({ key }) => [key, histogramStats(coverage[key])])),
+        [coverage]
+    );
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: enabled ? '20px' : 0
+            }}>
+                <h2 style={{
+                    margin: 0,
+                    color: '#fff',
+                    fontWeight: '400',
+                    fontSize: '1.3rem'
+                }}>
+                    Ink Coverage Distribution
+                </h2>
+                <button
+                    onClick={() => setEnabled(!enabled)}
+                    style={{
+                        padding: '8px 16px',
+                        backgroundColor: enabled ? '#2980b9' : 'rgba(60, 60, 60, 0.9)',
+                        color: '#fff',
+                        border: '1px solid #2980b9',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '0.85rem',
+                        fontWeight: '500'
+                    }}
+                >
+                    {enabled ? 'Hide histograms' : 'Show histograms'}
+                </button>
+            </div>
+
+            {enabled && (
+                <>
+                    <label style={{ display: 'block', color: '#aaa', fontSize: '0.85rem', marginBottom: '12px' }}>
+                        <input
+                            type="checkbox"
+                            checked={logScale}
+                            onChange={(e) => setLogScale(e.target.checked)}
+                            style={{ marginRight: '6px' }}
+                        />
+                        Logarithmic pixel counts (keeps small peaks visible next to large flat areas)
+                    </label>
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+                        gap: '15px'
+                    }}>
+                        {SERIES.map(({ key, label, color }) => (
+                            <CoverageChart
+                                key={key}
+                                label={label}
+                                color={color}
+                                bins={coverage[key]}
+                                stats={stats[key]}
+                                logScale={logScale}
+                                isTac={key === 'tac'}
+                            />
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { SWATCH_FORMATS } from '../utils/swatches';
+import { downloadFile } from '../utils/export';
+import { getContrastColor } from '../utils/color';
+
+export default function PaletteExportDialog({ colors, baseName, onClose }) {
+    const [selected, setSelected] = useState(() => new Set(colors.map((_, index) => index)));
+    const [format, setFormat] = useState('ase');
+
+    const toggle = (index) => {
+        const next = new Set(selected);
+        if (next.has(index)) next.delete(index);
+        else next.add(index);
+        setSelected(next);
+    };
+
+    const download = () => {
+        const { write, extension, mime } = SWATCH_FORMATS[format];
+        const swatches = colors.filter((_, index) => selected.has(index));
+        downloadFile(write(swatches), `${baseName}-palette.${extension}`, mime);
+        onClose();
+    };
+
+    const buttonStyle = {
+        padding: '6px 12px',
+        backgroundColor: 'rgba(60, 60, 60, 0.9)',
+        color: '#fff',
+        border: '1px solid rgba(255,255,255,0.2)',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '0.85rem'
+    };
+
+    return (
+        <div
+            onClick={onClose}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                backgroundColor: 'rgba(0, 0, 0, 0.7)',
+                display: 'flex',
+                justifyContent: 'center',
+                alignItems: 'center',
+                zIndex: 100
+            }}
+        >
+            <div
+                onClick={(e) => e.stopPropagation()}
+                style={{
+                    width: '640px',
+                    maxWidth: 'calc(100% - 40px)',
+                    maxHeight: 'calc(100vh - 80px)',
+                    overflowY: 'auto',
+                    backgroundColor: 'rgba(30, 30, 30, 0.98)',
+                    borderRadius: '12px',
+                    padding: '24px',
+                    border: '1px solid rgba(255,255,255,0.15)',
+                    boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)',
+                    textAlign: 'left'
+                }}
+            >
+                <h2 style={{
+                    marginTop: 0,
+                    color: '#fff',
+                    fontWeight: '400',
+                    fontSize: '1.3rem'
+                }}>
+                    Export Palette Swatches
+                </h2>
+
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '16px' }}>
+                    <select
+                        value={format}
+                        onChange={(e) => setFormat(e.target.value)}
+                        style={{ ...buttonStyle, cursor: 'default' }}
+                    >
+                        {Object.entries(SWATCH_FORMATS).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    <button onClick={() => setSelected(new Set(colors.map((_, index) => index)))} style={buttonStyle}>
+                        Select all
+                    </button>
+                    <button onClick={() => setSelected(new Set())} style={buttonStyle}>
+                        Select none
+                    </button>
+                    <span style={{ color: '#aaa', fontSize: '0.85rem' }}>
+                        {selected.size} of {colors.length} selected
+                    </span>
+                </div>
+
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fill, minmax(70px, 1fr))',
+                    gap: '8px',
+                    marginBottom: '20px'
+                }}>
+                    {colors.map((color, index) => (
+                        <button
+                            key={index}
+                            onClick={() => toggle(index)}
+                            title={`${color.hex} · CMYK ${color.cmyk.join('/')}`}
+                            style={{
+                                height: '60px',
+                                backgroundColor: color.hex,
+                                color: getContrastColor(color.hex),
+                                border: selected.has(index) ? '3px solid #2ecc71' : '3px solid transparent',
+                                borderRadius: '6px',
+                                opacity: selected.has(index) ? 1 : 0.35,
+                                cursor: 'pointer',
+                                fontSize: '0.7rem'
+                            }}
+                        >
+                            {color.hex}
+                        </button>
+                    ))}
+                </div>
+
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px' }}>
+                    <button onClick={onClose} style={buttonStyle}>Cancel</button>
+                    <button
+                        onClick={download}
+                        disabled={!selected.size}
+                        style={{
+                            ...buttonStyle,
+                            backgroundColor: selected.size ? '#2ecc71' : '#555',
+                            border: 'none',
+                            cursor: selected.size ? 'pointer' : 'default'
+                        }}
+                    >
+                        Download
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,261 @@
+import { useState } from 'react';
+import {
+    PREFLIGHT_RULES,
+    PREFLIGHT_SEVERITIES,
+    BLACK_EXPECTATIONS,
+    BLACK_AREA_DEFINITION,
+    DEFAULT_PREFLIGHT_PROFILE,
+    normalizePreflightProfile
+} from '../utils/preflight';
+import { downloadFile } from '../utils/export';
+
+const STATUS_COLORS = { pass: '#2ecc71', warn: '#f39c12', fail: '#e74c3c' };
+const STATUS_ICONS = { pass: '✓', warn: '⚠', fail: '✗' };
+const STATUS_LABELS = { pass: 'Pass', warn: 'Warnings', fail: 'Failed' };
+const CHANNELS = ['cyan', 'magenta', 'yellow', 'black'];
+
+const controlStyle = {
+    backgroundColor: '#333',
+    color: '#fff',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    padding: '3px 6px'
+};
+
+const buttonStyle = {
+    padding: '6px 12px',
+    backgroundColor: 'rgba(60, 60, 60, 0.9)',
+    color: '#fff',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '0.8rem'
+};
+
+function NumberInput({ value, onChange, width = '60px', optional = false, label }) {
+    return (
+        <input
+            type="number"
+            value={value ?? ''}
+            placeholder={optional ? '—' : undefined}
+            aria-label={label}
+            onChange={(e) => {
+                if (e.target.value === '') onChange(optional ? null : 0);
+                else onChange(Number(e.target.value));
+            }}
+            style={{ ...controlStyle, width }}
+        />
+    );
+}
+
+// Parameter inputs of each rule, written as a sentence.
+const RULE_FIELDS = {
+    maxTac: (rule, set) => (
+        <>
+            at most <NumberInput label="TAC limit" value={rule.limit} onChange={(limit) => set({ limit })} />%,
+            with <NumberInput label="Allowed area above the limit" value={rule.tolerance} onChange={(tolerance) => set({ tolerance })} />%
+            of the area allowed above
+        </>
+    ),
+    minPpi: (rule, set) => (
+        <>
+            at least <NumberInput label="Minimum ppi" value={rule.minimum} onChange={(minimum) => set({ minimum })} /> ppi
+            at the print size
+        </>
+    ),
+    maxColors: (rule, set) => (
+        <>
+            at most <NumberInput label="Maximum colors" value={rule.max} onChange={(max) => set({ max })} /> colors
+            covering <NumberInput label="Minimum share" value={rule.minShare} onChange={(minShare) => set({ minShare })} />% or more
+        </>
+    ),
+    rgbOnly: (rule, set) => (
+        <>
+            no out-of-gamut color covering
+            <NumberInput label="Minimum share" value={rule.minShare} onChange={(minShare) => set({ minShare })} />% or more
+        </>
+    ),
+    black: (rule, set) => (
+        <>
+            built as{' '}
+            <select value={rule.expect} onChange={(e) => set({ expect: e.target.value })} style={controlStyle}>
+                {Object.entries(BLACK_EXPECTATIONS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                ))}
+            </select>
+            , up to <NumberInput label="Tolerance" value={rule.tolerance} onChange={(tolerance) => set({ tolerance })} />%
+            built otherwise <span style={{ color: '#777' }}>({BLACK_AREA_DEFINITION})</span>
+        </>
+    ),
+    coverage: (rule, set) => (
+        <>
+            average between
+            {CHANNELS.map(channel => (
+                <span key={channel} style={{ whiteSpace: 'nowrap', marginLeft: '8px' }}>
+                    {channel.charAt(0).toUpperCase()}{' '}
+                    <NumberInput
+                        optional
+                        width="52px"
+                        label={`${channel} minimum`}
+                        value={rule.channels[channel].min}
+                        onChange={(min) => set({ channels: { ...rule.channels, [channel]: { ...rule.channels[channel], min } } })}
+                    />–<NumberInput
+                        optional
+                        width="52px"
+                        label={`${channel} maximum`}
+                        value={rule.channels[channel].max}
+                        onChange={(max) => set({ channels: { ...rule.channels, [channel]: { ...rule.channels[channel], max } } })}
+                    />%
+                </span>
+            ))}
+        </>
+    )
+};
+
+// Pass/warn/fail summary of the preflight profile for the current results,
+// plus the profile editor. Profiles are plain JSON and can be saved to and
+// loaded from disk.
+export default function PreflightPanel({ preflight, profile, onProfileChange }) {
+    const [editing, setEditing] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    const setRule = (key, changes) => onProfileChange({
+        ...profile,
+        rules: { ...profile.rules, [key]: { ...profile.rules[key], ...changes } }
+    });
+
+    const loadProfile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            onProfileChange(normalizePreflightProfile(JSON.parse(await file.text())));
+            setLoadError(null);
+        } catch (err) {
+            setLoadError(`${file.name}: ${err.message}`);
+        }
+    };
+
+    const saveProfile = () => {
+        const name = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preflight';
+        downloadFile(JSON.stringify(profile, null, 2), `${name}.preflight.json`, 'application/json');
+    };
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: `1px solid ${STATUS_COLORS[preflight.verdict]}`,
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: '10px',
+                marginBottom: '12px'
+            }}>
+                <h2 style={{ margin: 0, color: '#fff', fontWeight: '400', fontSize: '1.3rem' }}>
+                    Preflight:{' '}
+                    <span style={{ color: STATUS_COLORS[preflight.verdict] }}>
+                        {STATUS_ICONS[preflight.verdict]} {STATUS_LABELS[preflight.verdict]}
+                    </span>
+                    <span style={{ color: '#aaa', fontSize: '0.9rem', marginLeft: '10px' }}>{profile.name}</span>
+                </h2>
+                <button
+                    onClick={() => setEditing(!editing)}
+                    style={{
+                        ...buttonStyle,
+                        backgroundColor: editing ? '#2980b9' : buttonStyle.backgroundColor,
+                        border: '1px solid #2980b9'
+                    }}
+                >
+                    {editing ? 'Done' : 'Edit profile'}
+                </button>
+            </div>
+
+            {preflight.results.length === 0 && (
+                <p style={{ color: '#aaa', margin: 0, fontSize: '0.9rem' }}>Every rule of this profile is switched off.</p>
+            )}
+            {preflight.results.map(result => (
+                <p key={result.rule} style={{ margin: '4px 0', fontSize: '0.9rem', color: '#aaa' }}>
+                    <span style={{ color: STATUS_COLORS[result.verdict], display: 'inline-block', width: '18px' }}>
+                        {STATUS_ICONS[result.verdict]}
+                    </span>
+                    <span style={{ color: '#fff' }}>{result.label}</span> — {result.message}
+                </p>
+            ))}
+
+            {editing && (
+                <div style={{ borderTop: '1px solid #444', marginTop: '14px', paddingTop: '14px' }}>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+                        <label style={{ color: '#aaa', fontSize: '0.85rem' }}>
+                            Profile name{' '}
+                            <input
+                                type="text"
+                                value={profile.name}
+                                onChange={(e) => onProfileChange({ ...profile, name: e.target.value })}
+                                style={{ ...controlStyle, width: '180px' }}
+                            />
+                        </label>
+                        <label style={{ cursor: 'pointer' }}>
+                            <input type="file" accept=".json,application/json" onChange={loadProfile} style={{ display: 'none' }} />
+                            <span style={buttonStyle}>Load JSON…</span>
+                        </label>
+                        <button onClick={saveProfile} style={buttonStyle}>Save JSON</button>
+                        <button onClick={() => onProfileChange(DEFAULT_PREFLIGHT_PROFILE)} style={buttonStyle}>
+                            Reset to default
+                        </button>
+                    </div>
+                    {loadError && (
+                        <p style={{ color: STATUS_COLORS.fail, margin: '0 0 10px 0', fontSize: '0.85rem' }}>
+                            Could not load profile: {loadError}
+                        </p>
+                    )}
+                    {Object.entries(PREFLIGHT_RULES).map(([key, { label }]) => {
+                        const rule = profile.rules[key];
+                        return (
+                            <div key={key} style={{
+                                display: 'flex',
+                                flexWrap: 'wrap',
+                                alignItems: 'center',
+                                gap: '6px',
+                                padding: '6px 0',
+                                fontSize: '0.85rem',
+                                color: rule.enabled ? '#ccc' : '#777'
+                            }}>
+                                <label style={{ color: '#fff', minWidth: '230px' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={rule.enabled}
+                                        onChange={(e) => setRule(key, { enabled: e.target.checked })}
+                                        style={{ marginRight: '6px' }}
+                                    />
+                                    {label}
+                                </label>
+                                <select
+                                    value={rule.severity}
+                                    onChange={(e) => setRule(key, { severity: e.target.value })}
+                                    aria-label={`${label} severity`}
+                                    style={controlStyle}
+                                >
+                                    {Object.entries(PREFLIGHT_SEVERITIES).map(([severity, { label: severityLabel }]) => (
+                                        <option key={severity} value={severity}>{severityLabel}</option>
+                                    ))}
+                                </select>
+                                <span>if not</span>
+                                {RULE_FIELDS[key](rule, (changes) => setRule(key, changes))}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
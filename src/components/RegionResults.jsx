@@ -0,0 +1,120 @@
+import { RegionShape } from './RegionSelector';
+import { REGION_MODES } from '../utils/regions';
+import { getContrastColor } from '../utils/color';
+import { histogramStats } from '../utils/coverage';
+
+const CHANNEL_BARS = [
+    { key: 'cyan', label: 'C', color: '#00bcd4' },
+    { key: 'magenta', label: 'M', color: '#e91e63' },
+    { key: 'yellow', label: 'Y', color: '#ffeb3b' },
+    { key: 'black', label: 'K', color: '#bbb' }
+];
+
+export default function RegionResults({ regions, image }) {
+    const color = regions.mode === 'exclude' ? '#e74c3c' : '#2ecc71';
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <h2 style={{
+                marginTop: 0,
+                marginBottom: '6px',
+                color: '#fff',
+                fontWeight: '400',
+                fontSize: '1.3rem'
+            }}>
+                Regions
+            </h2>
+            <p style={{ marginTop: 0, marginBottom: '20px', color: '#aaa', fontSize: '0.85rem' }}>
+                {REGION_MODES[regions.mode].label}. The overall results above cover
+                {regions.mode === 'exclude' ? ' everything outside the regions' : ' the regions combined'};
+                each region is broken down below, with its own TAC and coverage.
+            </p>
+
+            <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+                <div style={{ position: 'relative', lineHeight: 0, flex: '0 0 auto' }}>
+                    <img
+                        src={image.src}
+                        alt="Regions"
+                        style={{ maxWidth: '260px', maxHeight: '260px', borderRadius: '8px' }}
+                    />
+                    <svg
+                        viewBox="0 0 1 1"
+                        preserveAspectRatio="none"
+                        style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
+                    >
+                        {regions.items.map(item => <RegionShape key={item.id} region={item} color={color} />)}
+                    </svg>
+                </div>
+
+                {regions.items.map((item) => (
+                    <div key={item.id} style={{
+                        flex: '1 1 220px',
+                        backgroundColor: 'rgba(30, 30, 30, 0.8)',
+                        borderRadius: '8px',
+                        padding: '12px',
+                        color: '#ddd',
+                        fontSize: '0.85rem'
+                    }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+                            <span style={{ color: '#fff' }}>{item.label}</span>
+                            <span style={{ color: '#888' }}>{item.totalPixels.toLocaleString()} px</span>
+                        </div>
+                        {item.totalPixels ? (
+                            <>
+                                {CHANNEL_BARS.map(({ key, label, color: barColor }) => (
+                                    <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                                        <span style={{ width: '12px', color: barColor }}>{label}</span>
+                                        <div style={{ flex: 1, height: '8px', backgroundColor: '#444', borderRadius: '4px' }}>
+                                            <div style={{
+                                                width: `${Math.min(item.overallCmyk[key], 100)}%`,
+                                                height: '100%',
+                                                backgroundColor: barColor,
+                                                borderRadius: '4px'
+                                            }} />
+                                        </div>
+                                        <span style={{ width: '44px', textAlign: 'right' }}>{item.overallCmyk[key].toFixed(1)}%</span>
+                                    </div>
+                                ))}
+                                {item.tac && (
+                                    <p style={{ margin: '8px 0 0 0', color: '#aaa' }}>
+                                        Max TAC {item.tac.max.toFixed(1)}% · 95% of the area at or below {histogramStats(item.coverage.tac).p95}%
+                                        {item.blacks.total > 0 && ` · ${item.blacks.rich.toLocaleString()} rich / ${item.blacks.kOnly.toLocaleString()} K-only black px`}
+                                    </p>
+                                )}
+                                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '10px' }}>
+                                    {item.colors.slice(0, 8).map((swatch) => (
+                                        <span
+                                            key={swatch.hex}
+                                            title={`${swatch.hex} · CMYK ${swatch.cmyk.join('/')} · ${swatch.percentage.toFixed(1)}%`}
+                                            style={{
+                                                padding: '4px 6px',
+                                                borderRadius: '3px',
+                                                backgroundColor: swatch.hex,
+                                                color: getContrastColor(swatch.hex),
+                                                fontSize: '0.7rem'
+                                            }}
+                                        >
+                                            {swatch.percentage.toFixed(0)}%
+                                        </span>
+                                    ))}
+                                </div>
+                            </>
+                        ) : (
+                            <p style={{ margin: 0, color: '#777' }}>Too small to contain a sampled pixel.</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
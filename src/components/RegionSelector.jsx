@@ -0,0 +1,185 @@
+import { useState, useRef } from 'react';
+import {
+    REGION_TOOLS,
+    DEFAULT_REGION_TOOL,
+    REGION_MODES,
+    MAX_REGIONS,
+    regionLabel,
+    regionBounds
+} from '../utils/regions';
+
+// Drags shorter than this (in normalized units) are treated as clicks.
+const MIN_REGION_SIZE = 0.01;
+
+const controlStyle = {
+    backgroundColor: '#333',
+    color: '#fff',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    padding: '4px 8px'
+};
+
+export const RegionShape = ({ region, color }) => {
+    const shapeProps = {
+        fill: `${color}33`,
+        stroke: color,
+        strokeWidth: 2,
+        vectorEffect: 'non-scaling-stroke'
+    };
+    if (region.type === 'lasso') {
+        return <polygon points={region.points.map(([x, y]) => `${x},${y}`).join(' ')} {...shapeProps} />;
+    }
+    const { x, y, width, height } = regionBounds(region);
+    if (region.type === 'ellipse') {
+        return <ellipse cx={x + width / 2} cy={y + height / 2} rx={width / 2} ry={height / 2} {...shapeProps} />;
+    }
+    return <rect x={x} y={y} width={width} height={height} {...shapeProps} />;
+};
+
+export default function RegionSelector({ image, regions, onChange, mode, onModeChange, disabled }) {
+    const [tool, setTool] = useState(DEFAULT_REGION_TOOL);
+    const [draft, setDraft] = useState(null);
+    const nextIdRef = useRef(1);
+    const color = mode === 'exclude' ? '#e74c3c' : '#2ecc71';
+    const full = regions.length >= MAX_REGIONS;
+
+    const toPoint = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return [
+            Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+            Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+        ];
+    };
+
+    const startRegion = (e) => {
+        if (disabled || full) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const point = toPoint(e);
+        setDraft({ type: tool, points: [point, point] });
+    };
+
+    const extendRegion = (e) => {
+        if (!draft) return;
+        const point = toPoint(e);
+        setDraft(prev => ({
+            ...prev,
+            points: prev.type === 'lasso' ? [...prev.points, point] : [prev.points[0], point]
+        }));
+    };
+
+    const finishRegion = () => {
+        if (!draft) return;
+        const { width, height } = regionBounds(draft);
+        if (width >= MIN_REGION_SIZE && height >= MIN_REGION_SIZE && (draft.type !== 'lasso' || draft.points.length > 2)) {
+            onChange([...regions, { ...draft, id: nextIdRef.current++ }]);
+        }
+        setDraft(null);
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '12px' }}>
+            <div style={{ position: 'relative', lineHeight: 0 }}>
+                <img
+                    src={image.src}
+                    alt="Preview"
+                    draggable={false}
+                    style={{
+                        maxWidth: '400px',
+                        maxHeight: '400px',
+                        borderRadius: '12px',
+                        boxShadow: '0 8px 20px rgba(0,0,0,0.5)',
+                        border: '1px solid rgba(255,255,255,0.1)'
+                    }}
+                />
+                <svg
+                    viewBox="0 0 1 1"
+                    preserveAspectRatio="none"
+                    onPointerDown={startRegion}
+                    onPointerMove={extendRegion}
+                    onPointerUp={finishRegion}
+                    onPointerCancel={() => setDraft(null)}
+                    style={{
+                        position: 'absolute',
+                        inset: 0,
+                        width: '100%',
+                        height: '100%',
+                        cursor: disabled || full ? 'default' : 'crosshair',
+                        touchAction: 'none'
+                    }}
+                >
+                    {regions.map(region => <RegionShape key={region.id} region={region} color={color} />)}
+                    {draft && <RegionShape region={draft} color="#f1c40f" />}
+                </svg>
+                {regions.map((region, index) => {
+                    const { x, y } = regionBounds(region);
+                    return (
+                        <span key={region.id} style={{
+                            position: 'absolute',
+                            left: `${x * 100}%`,
+                            top: `${y * 100}%`,
+                            padding: '2px 5px',
+                            backgroundColor: color,
+                            color: '#fff',
+                            fontSize: '0.7rem',
+                            lineHeight: 1.4,
+                            borderRadius: '3px',
+                            pointerEvents: 'none'
+                        }}>
+                            {index + 1}
+                        </span>
+                    );
+                })}
+            </div>
+            <div style={{
+                display: 'flex',
+                gap: '15px',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                justifyContent: 'center',
+                color: '#aaa',
+                fontSize: '0.9rem'
+            }}>
+                <label>
+                    Region tool{' '}
+                    <select value={tool} onChange={(e) => setTool(e.target.value)} disabled={disabled} style={controlStyle}>
+                        {Object.entries(REGION_TOOLS).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Mode{' '}
+                    <select
+                        value={mode}
+                        onChange={(e) => onModeChange(e.target.value)}
+                        disabled={disabled || !regions.length}
+                        style={controlStyle}
+                    >
+                        {Object.entries(REGION_MODES).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                {regions.map((region, index) => (
+                    <button
+                        key={region.id}
+                        onClick={() => onChange(regions.filter(r => r.id !== region.id))}
+                        disabled={disabled}
+                        title="Remove region"
+                        style={{ ...controlStyle, cursor: 'pointer' }}
+                    >
+                        {regionLabel(index)} ✕
+                    </button>
+                ))}
+                {regions.length > 0 ? (
+                    <button onClick={() => onChange([])} disabled={disabled} style={{ ...controlStyle, cursor: 'pointer' }}>
+                        Clear regions
+                    </button>
+                ) : (
+                    <span style={{ color: '#777' }}>Drag on the image to limit the analysis to a region</span>
+                )}
+                {full && <span style={{ color: '#777' }}>Up to {MAX_REGIONS} regions</span>}
+            </div>
+        </div>
+    );
+}
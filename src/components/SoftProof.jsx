@@ -0,0 +1,237 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { PAPER_PRESETS, DEFAULT_PAPER, MAX_DOT_GAIN, createSoftProof, createInkProof, proofUsesProfile } from '../utils/softProof';
+import { MAX_TAC } from '../utils/tac';
+
+const VIEWS = [
+    { key: 'proof', label: 'Proof' },
+    { key: 'original', label: 'Original' },
+    { key: 'wipe', label: 'Wipe' }
+];
+
+const controlStyle = {
+    backgroundColor: '#333',
+    color: '#fff',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    padding: '4px 8px'
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// A profile's tables already include its press's dot gain, so proofs through
+// a profile start without extra gain.
+const paperSettings = (paper, profiled) => {
+    const { dotGain, inkLimit } = PAPER_PRESETS[paper];
+    return { paper, dotGain: profiled ? 0 : dotGain, inkLimit };
+};
+
+// Remount with key={transform.name} so a new profile starts from its defaults.
+export default function SoftProof({ colorStats, image, transform }) {
+    const profiled = proofUsesProfile(transform);
+    const [enabled, setEnabled] = useState(false);
+    const [settings, setSettings] = useState(() => paperSettings(DEFAULT_PAPER, profiled));
+    const [view, setView] = useState('wipe');
+    const [wipe, setWipe] = useState(50);
+    const canvasRef = useRef(null);
+
+    const { canvasData } = colorStats;
+
+    const proof = useMemo(() => {
+        if (!enabled) return null;
+        // CMYK files print their own ink rather than a separation of the
+        // on-screen colors.
+        const simulate = canvasData.cmyk
+            ? createInkProof(transform, settings, canvasData.cmyk)
+            : createSoftProof(transform, settings);
+        const output = canvasData.ctx.getImageData(0, 0, canvasData.width, canvasData.height);
+        const { data } = output;
+        for (let i = 0; i < data.length; i += 4) {
+            const [r, g, b] = canvasData.cmyk ? simulate(i / 4) : simulate([data[i], data[i + 1], data[i + 2]]);
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+        }
+        return output;
+    }, [enabled, transform, settings, canvasData]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!proof || !canvas) return;
+        canvas.width = proof.width;
+        canvas.height = proof.height;
+        canvas.getContext('2d').putImageData(proof, 0, 0);
+    }, [proof]);
+
+    const selectPaper = (paper) => setSettings(paperSettings(paper, false));
+
+    const originalClip = view === 'wipe' ? `inset(0 ${100 - wipe}% 0 0)` : 'none';
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: enabled ? '20px' : 0
+            }}>
+                <h2 style={{
+                    margin: 0,
+                    color: '#fff',
+                    fontWeight: '400',
+                    fontSize: '1.3rem'
+                }}>
+                    Soft Proof
+                </h2>
+                <button
+                    onClick={() => setEnabled(!enabled)}
+                    style={{
+                        padding: '8px 16px',
+                        backgroundColor: enabled ? '#16a085' : 'rgba(60, 60, 60, 0.9)',
+                        color: '#fff',
+                        border: '1px solid #16a085',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '0.85rem',
+                        fontWeight: '500'
+                    }}
+                >
+                    {enabled ? 'Hide soft proof' : 'Simulate print'}
+                </button>
+            </div>
+
+            {enabled && (
+                <>
+                    <div style={{
+                        display: 'flex',
+                        gap: '15px',
+                        alignItems: 'center',
+                        flexWrap: 'wrap',
+                        marginBottom: '12px',
+                        color: '#aaa',
+                        fontSize: '0.85rem'
+                    }}>
+                        {profiled ? (
+                            <span>Press and paper of {transform.name}</span>
+                        ) : (
+                            <label>
+                                Paper{' '}
+                                <select value={settings.paper} onChange={(e) => selectPaper(e.target.value)} style={controlStyle}>
+                                    {Object.entries(PAPER_PRESETS).map(([key, { label }]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+                        <label>
+                            {profiled ? 'Extra dot gain at 50%' : 'Dot gain at 50%'}{' '}
+                            <input
+                                type="number"
+                                min={0}
+                                max={MAX_DOT_GAIN}
+                                value={settings.dotGain}
+                                onChange={(e) => setSettings(prev => ({
+                                    ...prev,
+                                    dotGain: clamp(Number(e.target.value), 0, MAX_DOT_GAIN)
+                                }))}
+                                style={{ ...controlStyle, width: '60px' }}
+                            />%
+                        </label>
+                        {!canvasData.cmyk && (
+                            <label>
+                                Ink limit{' '}
+                                <input
+                                    type="number"
+                                    min={100}
+                                    max={MAX_TAC}
+                                    step={10}
+                                    value={settings.inkLimit}
+                                    onChange={(e) => setSettings(prev => ({
+                                        ...prev,
+                                        inkLimit: clamp(Number(e.target.value), 100, MAX_TAC)
+                                    }))}
+                                    style={{ ...controlStyle, width: '70px' }}
+                                />%
+                            </label>
+                        )}
+                        <div style={{ display: 'flex', gap: '4px' }}>
+                            {VIEWS.map(({ key, label }) => (
+                                <button
+                                    key={key}
+                                    onClick={() => setView(key)}
+                                    style={{
+                                        ...controlStyle,
+                                        cursor: 'pointer',
+                                        backgroundColor: view === key ? '#16a085' : controlStyle.backgroundColor
+                                    }}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div style={{ position: 'relative', lineHeight: 0, maxWidth: '800px', margin: '0 auto' }}>
+                        <canvas ref={canvasRef} style={{ width: '100%', borderRadius: '8px' }} />
+                        {view !== 'proof' && (
+                            <img
+                                src={image.src}
+                                alt="Original"
+                                style={{
+                                    position: 'absolute',
+                                    inset: 0,
+                                    width: '100%',
+                                    height: '100%',
+                                    borderRadius: '8px',
+                                    clipPath: originalClip
+                                }}
+                            />
+                        )}
+                        {view === 'wipe' && (
+                            <div style={{
+                                position: 'absolute',
+                                top: 0,
+                                bottom: 0,
+                                left: `${wipe}%`,
+                                width: '2px',
+                                backgroundColor: '#fff',
+                                boxShadow: '0 0 4px rgba(0,0,0,0.6)',
+                                pointerEvents: 'none'
+                            }} />
+                        )}
+                    </div>
+                    {view === 'wipe' && (
+                        <input
+                            type="range"
+                            min={0}
+                            max={100}
+                            value={wipe}
+                            onChange={(e) => setWipe(Number(e.target.value))}
+                            aria-label="Wipe position"
+                            style={{ display: 'block', width: '100%', maxWidth: '800px', margin: '12px auto 0' }}
+                        />
+                    )}
+                    <p style={{ color: '#777', fontSize: '0.8rem', marginBottom: 0 }}>
+                        Original on the left of the wipe, proof on the right.{' '}
+                        {canvasData.cmyk
+                            ? 'The proof prints the file\'s own ink values'
+                            : 'The proof separates with the current profile and black generation, then prints'}{' '}
+                        {profiled
+                            ? `through ${transform.name}`
+                            : `on a ${PAPER_PRESETS[settings.paper].label.toLowerCase()} press model`} including its
+                        paper white, so compare it in a dim room on a calibrated display.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,218 @@
+import { useState, useMemo } from 'react';
+import {
+    REFERENCE_LIBRARY,
+    DEFAULT_SPOT_TOLERANCE,
+    MAX_SPOT_TOLERANCE,
+    loadSpotLibrary,
+    matchSpotColors
+} from '../utils/spotColors';
+import { DELTA_E_METRICS } from '../utils/deltaE';
+import { getContrastColor } from '../utils/color';
+
+const controlStyle = {
+    backgroundColor: '#333',
+    color: '#fff',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    padding: '4px 8px'
+};
+
+const chipStyle = (hex) => ({
+    display: 'inline-block',
+    minWidth: '70px',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    backgroundColor: hex,
+    color: getContrastColor(hex),
+    textAlign: 'center',
+    fontSize: '0.75rem'
+});
+
+export default function SpotColorMatching({ colorStats, gamut }) {
+    const [enabled, setEnabled] = useState(false);
+    const [libraries, setLibraries] = useState([REFERENCE_LIBRARY]);
+    const [libraryIndex, setLibraryIndex] = useState(0);
+    const [tolerance, setTolerance] = useState(DEFAULT_SPOT_TOLERANCE);
+    const [unmatchedOnly, setUnmatchedOnly] = useState(false);
+    const [libraryError, setLibraryError] = useState(null);
+    const [libraryNote, setLibraryNote] = useState(null);
+
+    const metric = colorStats.settings.quantizer.metric;
+    const library = libraries[libraryIndex];
+
+    const matches = useMemo(
+        () => (enabled ? matchSpotColors(colorStats.colors, library, { metric, gamut }) : []),
+        [enabled, colorStats, library, metric, gamut]
+    );
+
+    const importLibrary = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = await loadSpotLibrary(file);
+            setLibraries(prev => [...prev, imported]);
+            setLibraryIndex(libraries.length);
+            setLibraryError(null);
+            setLibraryNote(imported.skipped
+                ? `${imported.skipped} entr${imported.skipped === 1 ? 'y' : 'ies'} without Lab or RGB values skipped`
+                : null);
+        } catch (err) {
+            setLibraryError(`${file.name}: ${err.message}`);
+        }
+    };
+
+    const isAcceptable = ({ matches: candidates }) => candidates[0]?.deltaE <= tolerance;
+    const rows = unmatchedOnly ? matches.filter(row => !isAcceptable(row)) : matches;
+    const unmatchedCount = matches.filter(row => !isAcceptable(row)).length;
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: enabled ? '20px' : 0
+            }}>
+                <h2 style={{
+                    margin: 0,
+                    color: '#fff',
+                    fontWeight: '400',
+                    fontSize: '1.3rem'
+                }}>
+                    Spot Color Matching
+                </h2>
+                <button
+                    onClick={() => setEnabled(!enabled)}
+                    style={{
+                        padding: '8px 16px',
+                        backgroundColor: enabled ? '#9b59b6' : 'rgba(60, 60, 60, 0.9)',
+                        color: '#fff',
+                        border: '1px solid #9b59b6',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '0.85rem',
+                        fontWeight: '500'
+                    }}
+                >
+                    {enabled ? 'Hide spot matches' : 'Match spot colors'}
+                </button>
+            </div>
+
+            {enabled && (
+                <>
+                    <div style={{
+                        display: 'flex',
+                        gap: '15px',
+                        alignItems: 'center',
+                        flexWrap: 'wrap',
+                        marginBottom: '12px',
+                        color: '#aaa',
+                        fontSize: '0.85rem'
+                    }}>
+                        <label>
+                            Library{' '}
+                            <select
+                                value={libraryIndex}
+                                onChange={(e) => setLibraryIndex(Number(e.target.value))}
+                                style={controlStyle}
+                            >
+                                {libraries.map((entry, index) => (
+                                    <option key={index} value={index}>
+                                        {entry.name} ({entry.colors.length})
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            <input
+                                type="file"
+                                accept=".csv,.txt,.ase"
+                                onChange={importLibrary}
+                                style={{ display: 'none' }}
+                            />
+                            <span style={{ ...controlStyle, cursor: 'pointer' }}>Import library (.csv, .ase)</span>
+                        </label>
+                        <label>
+                            Acceptable {DELTA_E_METRICS[metric].label}{' '}
+                            <input
+                                type="range"
+                                min={0.5}
+                                max={MAX_SPOT_TOLERANCE}
+                                step={0.5}
+                                value={tolerance}
+                                onChange={(e) => setTolerance(Number(e.target.value))}
+                                style={{ verticalAlign: 'middle' }}
+                            />
+                            <span style={{ color: '#fff', marginLeft: '6px' }}>{tolerance.toFixed(1)}</span>
+                        </label>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={unmatchedOnly}
+                                onChange={(e) => setUnmatchedOnly(e.target.checked)}
+                            />{' '}
+                            Only colors without an acceptable match ({unmatchedCount})
+                        </label>
+                    </div>
+                    {libraryError && <p style={{ color: '#e74c3c', margin: '0 0 12px 0', fontSize: '0.85rem' }}>{libraryError}</p>}
+                    {libraryNote && <p style={{ color: '#888', margin: '0 0 12px 0', fontSize: '0.85rem' }}>{libraryNote}</p>}
+
+                    <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', color: '#ddd', fontSize: '0.85rem' }}>
+                            <thead>
+                                <tr style={{ color: '#aaa' }}>
+                                    <th style={{ textAlign: 'left', padding: '6px', fontWeight: '400' }}>Color</th>
+                                    <th style={{ textAlign: 'left', padding: '6px', fontWeight: '400' }}>Nearest spot colors</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(({ color, matches: candidates }) => (
+                                    <tr key={color.hex} style={{ borderTop: '1px solid #444' }}>
+                                        <td style={{ padding: '6px', whiteSpace: 'nowrap' }}>
+                                            <span style={chipStyle(color.hex)}>{color.hex}</span>
+                                            <span style={{ color: '#888', marginLeft: '8px' }}>{color.percentage.toFixed(1)}%</span>
+                                        </td>
+                                        <td style={{ padding: '6px' }}>
+                                            <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+                                                {candidates.map((match) => (
+                                                    <div key={match.name} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                                        <span style={chipStyle(match.hex)}>{match.name}</span>
+                                                        <span style={{ color: match.deltaE <= tolerance ? '#2ecc71' : '#e67e22' }}>
+                                                            {match.deltaE.toFixed(2)}
+                                                        </span>
+                                                        <span
+                                                            title={match.inGamut
+                                                                ? `Reproducible in ${gamut.name}`
+                                                                : `Outside the gamut of ${gamut.name}`}
+                                                            style={{ color: match.inGamut ? '#888' : '#e74c3c' }}
+                                                        >
+                                                            {match.inGamut ? 'in gamut' : 'out of gamut'}
+                                                        </span>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {!rows.length && (
+                        <p style={{ color: '#888', fontSize: '0.85rem' }}>Every color has an acceptable match.</p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
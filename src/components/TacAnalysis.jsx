@@ -0,0 +1,251 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, BarElement, CategoryScale, LinearScale } from 'chart.js';
+import {
+    TAC_SCALE,
+    TAC_BIN_SIZE,
+    TAC_OUTSIDE,
+    DEFAULT_INK_LIMIT,
+    INK_LIMIT_PRESETS,
+    countInkLimitViolations,
+    tacToHeatColor
+} from '../utils/tac';
+
+ChartJS.register(BarElement, CategoryScale, LinearScale);
+
+const HIGHLIGHT = [255, 0, 255];
+const OUTSIDE = [45, 45, 45];
+
+export default function TacAnalysis({ colorStats }) {
+    const [enabled, setEnabled] = useState(false);
+    const [inkLimit, setInkLimit] = useState(DEFAULT_INK_LIMIT);
+    const [view, setView] = useState('heatmap');
+    const canvasRef = useRef(null);
+
+    const { tac, canvasData } = colorStats;
+
+    const report = useMemo(
+        () => countInkLimitViolations(tac, inkLimit),
+        [tac, inkLimit]
+    );
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!enabled || !canvas) return;
+
+        canvas.width = canvasData.width;
+        canvas.height = canvasData.height;
+        const ctx = canvas.getContext('2d');
+        const output = view === 'overlay'
+            ? canvasData.ctx.getImageData(0, 0, canvasData.width, canvasData.height)
+            : ctx.createImageData(canvasData.width, canvasData.height);
+        const threshold = inkLimit * TAC_SCALE;
+
+        for (let p = 0; p < tac.map.length; p++) {
+            const i = p * 4;
+            let color = null;
+            if (tac.map[p] === TAC_OUTSIDE) {
+                if (view === 'heatmap') color = OUTSIDE;
+            } else if (tac.map[p] > threshold) {
+                color = HIGHLIGHT;
+            } else if (view === 'heatmap') {
+                color = tacToHeatColor(tac.map[p] / TAC_SCALE);
+            }
+            if (color) {
+                output.data[i] = color[0];
+                output.data[i + 1] = color[1];
+                output.data[i + 2] = color[2];
+            }
+            output.data[i + 3] = 255;
+        }
+
+        ctx.putImageData(output, 0, 0);
+    }, [enabled, view, inkLimit, tac, canvasData]);
+
+    const binLabels = tac.histogram.map((_, i) => `${i * TAC_BIN_SIZE}%`);
+
+    return (
+        <div style={{
+            width: 'calc(100% - 40px)',
+            backgroundColor: 'rgba(40, 40, 40, 0.8)',
+            borderRadius: '12px',
+            padding: '20px',
+            boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            marginBottom: '30px',
+            marginLeft: '20px',
+            marginRight: '20px'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: enabled ? '20px' : 0
+            }}>
+                <h2 style={{
+                    margin: 0,
+                    color: '#fff',
+                    fontWeight: '400',
+                    fontSize: '1.3rem'
+                }}>
+                    Total Area Coverage (TAC)
+                </h2>
+                <button
+                    onClick={() => setEnabled(!enabled)}
+                    style={{
+                        padding: '8px 16px',
+                        backgroundColor: enabled ? '#e67e22' : 'rgba(60, 60, 60, 0.9)',
+                        color: '#fff',
+                        border: '1px solid #e67e22',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '0.85rem',
+                        fontWeight: '500'
+                    }}
+                >
+                    {enabled ? 'Hide TAC analysis' : 'Analyze ink coverage'}
+                </button>
+            </div>
+
+            {enabled && (
+                <div style={{
+                    display: 'flex',
+                    gap: '30px',
+                    flexWrap: 'wrap',
+                    alignItems: 'flex-start'
+                }}>
+                    <div style={{ flex: '1 1 400px', minWidth: 0 }}>
+                        <div style={{
+                            display: 'flex',
+                            gap: '15px',
+                            alignItems: 'center',
+                            flexWrap: 'wrap',
+                            marginBottom: '12px',
+                            color: '#aaa',
+                            fontSize: '0.9rem'
+                        }}>
+                            <label>
+                                Ink limit{' '}
+                                <input
+                                    type="number"
+                                    min={100}
+                                    max={400}
+                                    step={5}
+                                    value={inkLimit}
+                                    onChange={(e) => setInkLimit(Number(e.target.value))}
+                                    style={{
+                                        width: '70px',
+                                        backgroundColor: 'rgba(60, 60, 60, 0.9)',
+                                        color: '#fff',
+                                        border: '1px solid rgba(255,255,255,0.2)',
+                                        borderRadius: '4px',
+                                        padding: '4px 6px'
+                                    }}
+                                />
+                                %
+                            </label>
+                            {INK_LIMIT_PRESETS.map((preset) => (
+                                <button
+                                    key={preset}
+                                    onClick={() => setInkLimit(preset)}
+                                    style={{
+                                        padding: '4px 8px',
+                                        backgroundColor: inkLimit === preset ? '#e67e22' : 'rgba(60, 60, 60, 0.9)',
+                                        color: '#fff',
+                                        border: '1px solid rgba(255,255,255,0.2)',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '0.8rem'
+                                    }}
+                                >
+                                    {preset}%
+                                </button>
+                            ))}
+                            <select
+                                value={view}
+                                onChange={(e) => setView(e.target.value)}
+                                style={{
+                                    backgroundColor: 'rgba(60, 60, 60, 0.9)',
+                                    color: '#fff',
+                                    border: '1px solid rgba(255,255,255,0.2)',
+                                    borderRadius: '4px',
+                                    padding: '4px 8px'
+                                }}
+                            >
+                                <option value="heatmap">Heatmap</option>
+                                <option value="overlay">Violations on image</option>
+                            </select>
+                        </div>
+                        <canvas
+                            ref={canvasRef}
+                            style={{
+                                width: '100%',
+                                borderRadius: '8px',
+                                display: 'block'
+                            }}
+                        />
+                        <p style={{ color: '#aaa', fontSize: '0.8rem', margin: '8px 0 0 0' }}>
+                            <span style={{ color: '#ff00ff' }}>■</span> above {inkLimit}% TAC
+                            {colorStats.regions && view === 'heatmap' && (
+                                <> · <span style={{ color: '#555' }}>■</span> not analyzed (regions)</>
+                            )}
+                        </p>
+                    </div>
+
+                    <div style={{ flex: '1 1 320px', minWidth: 0 }}>
+                        <div style={{
+                            display: 'grid',
+                            gridTemplateColumns: '1fr 1fr',
+                            gap: '10px',
+                            marginBottom: '20px'
+                        }}>
+                            <p style={{ margin: 0, color: '#aaa' }}>
+                                Max TAC: <span style={{ color: tac.max > inkLimit ? '#e74c3c' : '#2ecc71' }}>{tac.max.toFixed(1)}%</span>
+                            </p>
+                            <p style={{ margin: 0, color: '#aaa' }}>
+                                Area over limit: <span style={{ color: report.violations ? '#e74c3c' : '#2ecc71' }}>{report.percentage.toFixed(2)}%</span>
+                            </p>
+                            <p style={{ margin: 0, color: '#aaa', gridColumn: '1 / -1', fontSize: '0.85em' }}>
+                                {report.violations.toLocaleString()} of {report.total.toLocaleString()} pixels exceed the limit
+                            </p>
+                        </div>
+                        <div style={{ height: '260px' }}>
+                            <Bar
+                                data={{
+                                    labels: binLabels,
+                                    datasets: [{
+                                        label: 'Pixels',
+                                        data: tac.histogram,
+                                        backgroundColor: binLabels.map((_, i) => (
+                                            i * TAC_BIN_SIZE >= inkLimit
+                                                ? 'rgba(255, 0, 255, 0.8)'
+                                                : 'rgba(52, 152, 219, 0.8)'
+                                        ))
+                                    }]
+                                }}
+                                options={{
+                                    maintainAspectRatio: false,
+                                    plugins: {
+                                        legend: { display: false },
+                                        datalabels: { display: false }
+                                    },
+                                    scales: {
+                                        x: {
+                                            title: { display: true, text: 'TAC', color: '#aaa' },
+                                            ticks: { color: '#aaa', maxTicksLimit: 9 }
+                                        },
+                                        y: {
+                                            title: { display: true, text: 'Pixels', color: '#aaa' },
+                                            ticks: { color: '#aaa' },
+                                            grid: { color: 'rgba(255,255,255,0.05)' }
+                                        }
+                                    }
+                                }}
+                            />
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
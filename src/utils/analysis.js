@@ -0,0 +1,311 @@
+import { rasterizeRegions, regionLabel } from './regions';
+import { decodeImage, resampleInk, resampleRgba } from './decoders';
+import { readImageMetadata } from './metadata';
+import { DEFAULT_ANALYSIS_MODE, resolveSampling, samplingMode, scaledSize, analysisSizes } from './analysisCore';
+
+export {
+    MAX_DIMENSION,
+    SAMPLE_EVERY,
+    ANALYSIS_MODES,
+    DEFAULT_ANALYSIS_MODE,
+    SAMPLING_LIMITS,
+    resolveSampling,
+    samplingMode,
+    scaledSize,
+    analysisSizes,
+    describeSampling
+} from './analysisCore';
+
+// Analyses larger than the preview hand the image to the worker in row
+// strips of about this many pixels (16 MB of RGBA), so memory stays bounded
+// on very large images.
+export const STRIP_PIXELS = 1 << 22;
+
+export const describeFile = (file) => ({
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    lastModified: file.lastModified
+});
+
+// Decoded files are displayed through a preview of at most this many pixels
+// on the longest side; the analysis reads the decoded raster itself.
+export const DISPLAY_DIMENSION = 2000;
+
+// What was read from each file besides its pixels, keyed by the <img> that
+// displays it: { metadata, decoded, raster }, where `decoded` is true for
+// files that went through our own decoders and `raster` holds their decoded
+// pixels ({ width, height, rgba, cmyk }, see decoders/raster.js), or null
+// when the <img> itself is the image.
+const loadedImages = new WeakMap();
+
+// Images get data URLs rather than object URLs: their src is reused by
+// other <img> elements for as long as the image is shown, and a data URL is
+// freed along with the image instead of leaking until it is revoked.
+const blobToImage = (blob, { readError, decodeError }) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(decodeError));
+        img.src = e.target.result;
+    };
+    reader.onerror = () => reject(new Error(readError));
+    reader.readAsDataURL(blob);
+});
+
+const loadBrowserImage = (file) => blobToImage(file, {
+    readError: `${file.name} could not be read`,
+    decodeError: `${file.name} could not be decoded`
+});
+
+// Draws a downscaled raster ({ width, height, data }) onto a new canvas.
+const rasterCanvas = (raster, { width, height }, options) => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', options);
+    canvas.width = width;
+    canvas.height = height;
+    ctx.putImageData(new ImageData(resampleRgba(raster, width, height), width, height), 0, 0);
+    return { canvas, ctx };
+};
+
+// The <img> for a decoded raster: a preview no larger than
+// DISPLAY_DIMENSION, so huge files stay within the browser's canvas limits.
+const rasterPreview = (raster, file) => new Promise((resolve, reject) => {
+    const size = scaledSize(raster.width, raster.height, DISPLAY_DIMENSION);
+    const { canvas } = rasterCanvas({ width: raster.width, height: raster.height, data: raster.rgba }, size);
+    canvas.toBlob((blob) => {
+        const message = `${file.name} could not be displayed`;
+        if (!blob) {
+            reject(new Error(message));
+            return;
+        }
+        blobToImage(blob, { readError: message, decodeError: message }).then(resolve, reject);
+    });
+});
+
+export const loadImageFile = async (file) => {
+    let buffer;
+    try {
+        buffer = await file.arrayBuffer();
+    } catch {
+        throw new Error(`${file.name} could not be read`);
+    }
+
+    const metadata = await readImageMetadata(buffer);
+    let raster;
+    try {
+        raster = await decodeImage(buffer);
+    } catch (err) {
+        throw new Error(`${file.name} could not be decoded: ${err.message}`);
+    }
+
+    const img = raster ? await rasterPreview(raster, file) : await loadBrowserImage(file);
+    loadedImages.set(img, {
+        // The decoder knows the real pixel format better than the headers.
+        metadata: raster ? { ...metadata, bitDepth: raster.bitDepth, colorSpace: raster.colorSpace } : metadata,
+        decoded: Boolean(raster),
+        raster: raster && { width: raster.width, height: raster.height, rgba: raster.rgba, cmyk: raster.cmyk }
+    });
+    return img;
+};
+
+// Rebuilds an analysis stored without its canvas (see utils/history.js). The
+// stored preview becomes the displayed image and the analysis canvas, so
+// analyzing it again keeps the metadata and ink values but works at preview
+// resolution.
+export const restoreAnalysis = async ({ stats, preview, ink }) => {
+    const message = `The stored preview of ${stats.image?.name ?? 'this image'} could not be displayed`;
+    const image = await blobToImage(preview, { readError: message, decodeError: message });
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    canvas.width = image.width;
+    canvas.height = image.height;
+    ctx.drawImage(image, 0, 0);
+
+    loadedImages.set(image, {
+        metadata: stats.image?.metadata ?? null,
+        decoded: stats.image?.decoded ?? false,
+        raster: ink && {
+            width: image.width,
+            height: image.height,
+            rgba: ctx.getImageData(0, 0, image.width, image.height).data,
+            cmyk: ink
+        }
+    });
+    return {
+        image,
+        colorStats: { ...stats, canvasData: { canvas, ctx, width: canvas.width, height: canvas.height, cmyk: ink ?? null } }
+    };
+};
+
+export const isCancelled = (err) => err?.name === 'AbortError';
+
+// Draws the image onto a (downscaled) preview canvas and streams it to the
+// analysis worker, optionally restricted to `regions` ({ mode, shapes }).
+// `sampling` is a mode name or { maxDimension, sampleEvery }; when the
+// analysis is larger than the preview the worker reads strips of the image
+// at that size instead. Decoded files are read from their raster, not from
+// the displayed preview.
+// When the file was decoded from CMYK, its ink values travel with each strip
+// and replace the separation of the RGB pixels.
+// Returns the pending colorStats and a cancel function that terminates the
+// worker and rejects the promise with an AbortError.
+export const startAnalysis = (
+    image,
+    { file, quantizer, profile, blackGeneration, regions, sampling = DEFAULT_ANALYSIS_MODE },
+    { onProgress } = {}
+) => {
+    const loaded = loadedImages.get(image);
+    const raster = loaded?.raster ?? null;
+    const source = raster && { width: raster.width, height: raster.height, data: raster.rgba };
+    const { width, height } = raster ?? image;
+    const { maxDimension, sampleEvery } = resolveSampling(sampling);
+    const { preview, target } = analysisSizes(width, height, { maxDimension });
+
+    let canvas;
+    let ctx;
+    if (source) {
+        ({ canvas, ctx } = rasterCanvas(source, preview, { willReadFrequently: true }));
+    } else {
+        canvas = document.createElement('canvas');
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+        canvas.width = preview.width;
+        canvas.height = preview.height;
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    }
+
+    // When the analysis runs at preview size the preview canvas is the only
+    // strip; otherwise strips are resampled from the raster, or drawn one at
+    // a time into a reused canvas.
+    const single = target.width === preview.width && target.height === preview.height;
+    const stripRows = single ? target.height : Math.max(1, Math.floor(STRIP_PIXELS / target.width));
+    let stripCtx = null;
+    // Strip rows in image pixels, for analyses between preview and native size.
+    const scaleY = height / target.height;
+    const readStrip = (top, rows) => {
+        if (single) return ctx.getImageData(0, 0, target.width, target.height).data;
+        if (source) {
+            const data = resampleRgba(source, target.width, target.height, { top, rows });
+            // The raster's own buffer stays with the raster; strips are transferred.
+            return data === source.data ? data.slice() : data;
+        }
+        if (!stripCtx) {
+            const strip = document.createElement('canvas');
+            strip.width = target.width;
+            strip.height = stripRows;
+            stripCtx = strip.getContext('2d', { willReadFrequently: true });
+        }
+        stripCtx.clearRect(0, 0, target.width, stripRows);
+        stripCtx.drawImage(image, 0, top * scaleY, width, rows * scaleY, 0, 0, target.width, rows);
+        return stripCtx.getImageData(0, 0, target.width, rows).data;
+    };
+
+    const ink = raster?.cmyk ? raster : null;
+    const shapes = regions?.shapes.length ? regions.shapes : null;
+    const worker = new Worker(
+        new URL('../workers/analysisWorker.js', import.meta.url),
+        { type: 'module' }
+    );
+
+    let nextRow = 0;
+    const sendStrip = () => {
+        if (nextRow >= target.height) {
+            worker.postMessage({ type: 'finish' });
+            return;
+        }
+        const rows = Math.min(stripRows, target.height - nextRow);
+        const data = readStrip(nextRow, rows);
+        const mask = shapes && rasterizeRegions(shapes, target.width, target.height, { top: nextRow, rows });
+        const cmyk = ink && resampleInk(ink, target.width, target.height, { top: nextRow, rows });
+        // The buffers are copies owned by this strip, so they can be transferred.
+        worker.postMessage({
+            type: 'tile',
+            data,
+            x: 0,
+            y: nextRow,
+            width: target.width,
+            height: rows,
+            mask,
+            cmyk
+        }, [data, mask, cmyk].filter(Boolean).map(array => array.buffer));
+        nextRow += rows;
+    };
+
+    let rejectPromise;
+    const promise = new Promise((resolve, reject) => {
+        rejectPromise = reject;
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                onProgress?.(message.progress);
+            } else if (message.type === 'tile-done') {
+                sendStrip();
+            } else if (message.type === 'result') {
+                worker.terminate();
+                resolve({
+                    ...message.stats,
+                    settings: {
+                        mode: samplingMode({ maxDimension, sampleEvery }),
+                        maxDimension,
+                        sampleEvery,
+                        quantizer
+                    },
+                    image: {
+                        ...file,
+                        width,
+                        height,
+                        analyzedWidth: target.width,
+                        analyzedHeight: target.height,
+                        metadata: loaded?.metadata ?? null,
+                        decoded: loaded?.decoded ?? false,
+                        nativeInk: Boolean(ink)
+                    },
+                    // `cmyk` holds the file's ink values at preview size, or
+                    // null when they have to be separated from RGB.
+                    canvasData: {
+                        canvas,
+                        ctx,
+                        width: canvas.width,
+                        height: canvas.height,
+                        cmyk: ink && resampleInk(ink, canvas.width, canvas.height)
+                    }
+                });
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'Analysis failed'));
+        };
+    });
+
+    worker.postMessage({
+        type: 'begin',
+        width: target.width,
+        height: target.height,
+        previewWidth: preview.width,
+        previewHeight: preview.height,
+        sampleEvery,
+        quantizer,
+        profile,
+        blackGeneration,
+        regions: shapes && {
+            mode: regions.mode,
+            items: shapes.map(({ id, type, points }, index) => ({ id, type, points, label: regionLabel(index) }))
+        }
+    });
+    sendStrip();
+
+    const cancel = () => {
+        worker.terminate();
+        const err = new Error('Analysis cancelled');
+        err.name = 'AbortError';
+        rejectPromise(err);
+    };
+
+    return { promise, cancel };
+};
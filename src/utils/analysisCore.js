@@ -0,0 +1,351 @@
+import { rgbToHex } from './color';
+import { createHistogram, quantize, DEFAULT_QUANTIZER, DEFAULT_PALETTE_SIZE } from './quantize';
+import { rgbToLab, DEFAULT_DELTA_E_METRIC, DEFAULT_DELTA_E_TOLERANCE } from './deltaE';
+import { createCmykTransform, DEFAULT_RENDERING_INTENT } from './colorManagement';
+import { readInk, resampleInk, resampleRgba } from './decoders/raster';
+import { TAC_SCALE, TAC_BIN_COUNT, TAC_LEVELS, TAC_OUTSIDE, tacBin } from './tac';
+import {
+    COVERAGE_CHANNELS,
+    COVERAGE_BINS,
+    BLACK_MIN_K,
+    K_ONLY_MAX_CMY,
+    RICH_BLACK_MIN_CMY,
+    coverageBin,
+    tacCoverage
+} from './coverage';
+import {
+    BLACK_GENERATION_PRESETS,
+    DEFAULT_BLACK_GENERATION,
+    createBlackGeneration,
+    applyBlackGeneration
+} from './blackGeneration';
+
+// The analysis itself, free of the DOM and of workers: the browser runs it in
+// analysisWorker.js, the CLI (cli/coloranalyzer.js) calls analyzePixels.
+
+export const MAX_DIMENSION = 1000;
+export const SAMPLE_EVERY = 5;
+
+// Standard mode analyzes a downscaled copy on a sampling grid; exact mode
+// reads every pixel at the image's native resolution.
+export const ANALYSIS_MODES = {
+    standard: { label: 'Standard', maxDimension: MAX_DIMENSION, sampleEvery: SAMPLE_EVERY },
+    exact: { label: 'Exact', maxDimension: null, sampleEvery: 1 }
+};
+
+export const DEFAULT_ANALYSIS_MODE = 'standard';
+
+export const SAMPLING_LIMITS = {
+    maxDimension: { min: 100, max: 20000 },
+    sampleEvery: { min: 1, max: 50 }
+};
+
+const isWhole = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+
+// Sampling is { maxDimension, sampleEvery }: the longest side the image is
+// downscaled to (null keeps the native resolution) and the step of the
+// sampling grid. A mode name stands for that mode's values.
+export const resolveSampling = (sampling = DEFAULT_ANALYSIS_MODE) => {
+    const values = typeof sampling === 'string' ? ANALYSIS_MODES[sampling] : sampling;
+    if (!values) throw new Error(`Unknown sampling mode: ${sampling}`);
+    const { maxDimension = null, sampleEvery } = values;
+    if (maxDimension !== null && !isWhole(maxDimension, SAMPLING_LIMITS.maxDimension)) {
+        const { min, max } = SAMPLING_LIMITS.maxDimension;
+        throw new Error(`The longest side must be a whole number of pixels from ${min} to ${max}, or native`);
+    }
+    if (!isWhole(sampleEvery, SAMPLING_LIMITS.sampleEvery)) {
+        const { min, max } = SAMPLING_LIMITS.sampleEvery;
+        throw new Error(`The sampling step must be a whole number from ${min} to ${max}`);
+    }
+    return { maxDimension, sampleEvery };
+};
+
+// The mode matching a sampling, or 'custom'.
+export const samplingMode = ({ maxDimension, sampleEvery }) => Object.keys(ANALYSIS_MODES).find(key => (
+    ANALYSIS_MODES[key].maxDimension === maxDimension && ANALYSIS_MODES[key].sampleEvery === sampleEvery
+)) ?? 'custom';
+
+export const scaledSize = (width, height, maxDimension) => {
+    const scale = maxDimension && Math.max(width, height) > maxDimension
+        ? maxDimension / Math.max(width, height)
+        : 1;
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+// The preview canvas is MAX_DIMENSION at most, and never larger than the
+// analysis itself so every preview pixel is covered by the TAC map.
+export const analysisSizes = (width, height, { maxDimension }) => ({
+    preview: scaledSize(width, height, Math.min(MAX_DIMENSION, maxDimension ?? MAX_DIMENSION)),
+    target: scaledSize(width, height, maxDimension)
+});
+
+export const describeSampling = ({ settings, image }) => {
+    const size = `${image.analyzedWidth.toLocaleString()} × ${image.analyzedHeight.toLocaleString()} px`;
+    const grid = settings.sampleEvery === 1 ? 'every pixel' : `sampled every ${settings.sampleEvery} px`;
+    return `${ANALYSIS_MODES[settings.mode]?.label ?? 'Custom'} · ${size}, ${grid}`;
+};
+
+// Palette histogram and CMYK sums for one set of sampled pixels.
+const createAccumulator = () => ({
+    histogram: createHistogram(),
+    sums: [0, 0, 0, 0],
+    count: 0
+});
+
+// `native` marks `cmyk` as the file's own ink rather than a separation.
+const accumulate = (acc, r, g, b, cmyk, native) => {
+    acc.histogram.add(r, g, b, native ? cmyk : null);
+    for (let ch = 0; ch < 4; ch++) acc.sums[ch] += cmyk[ch];
+    acc.count++;
+};
+
+const summarize = (acc, quantizer, transform) => {
+    const [cyan, magenta, yellow, black] = acc.sums.map(v => (acc.count ? v / acc.count : 0));
+    const colors = acc.count
+        ? quantize(acc.histogram.points(), quantizer).map(({ rgb, count, percentage, ink }) => ({
+            hex: rgbToHex(...rgb),
+            count,
+            percentage,
+            // CMYK files report the mean of their own ink values.
+            cmyk: (ink ?? transform.rgbToCmyk(rgb)).map(Math.round),
+            lab: rgbToLab(rgb).map(v => Math.round(v * 10) / 10)
+        }))
+        : [];
+    return { colors, overallCmyk: { cyan, magenta, yellow, black }, totalPixels: acc.count };
+};
+
+// TAC, per-channel coverage and black areas for one area. Unlike the palette
+// they count every pixel, so thin rich-black details are not missed between
+// samples.
+const createInkStats = () => ({
+    tacHistogram: new Array(TAC_BIN_COUNT).fill(0),
+    tacDistribution: new Uint32Array(TAC_LEVELS),
+    maxTac: 0,
+    coverage: COVERAGE_CHANNELS.map(() => new Uint32Array(COVERAGE_BINS)),
+    // Black areas, split by how they are built (see coverage.js).
+    blacks: { total: 0, kOnly: 0, rich: 0 }
+});
+
+const addInk = (stats, cmyk, tac, level) => {
+    stats.tacDistribution[level]++;
+    stats.tacHistogram[tacBin(tac)]++;
+    if (tac > stats.maxTac) stats.maxTac = tac;
+    for (let ch = 0; ch < 4; ch++) stats.coverage[ch][coverageBin(cmyk[ch])]++;
+    if (cmyk[3] >= BLACK_MIN_K) {
+        const cmy = tac - cmyk[3];
+        stats.blacks.total++;
+        if (cmy <= K_ONLY_MAX_CMY) stats.blacks.kOnly++;
+        else if (cmy >= RICH_BLACK_MIN_CMY) stats.blacks.rich++;
+    }
+};
+
+const summarizeInk = (stats) => ({
+    tac: {
+        max: stats.maxTac,
+        histogram: stats.tacHistogram,
+        distribution: stats.tacDistribution
+    },
+    coverage: {
+        ...Object.fromEntries(COVERAGE_CHANNELS.map((channel, ch) => [channel, Array.from(stats.coverage[ch])])),
+        tac: tacCoverage(stats.tacDistribution)
+    },
+    blacks: stats.blacks
+});
+
+// An analysis session receives the image as a series of row strips so no
+// caller has to hold a full-resolution buffer. The TAC map is kept at preview
+// resolution (the maximum of the pixels each preview pixel covers); every
+// other measurement uses the full analysis resolution. `onProgress` gets
+// whole percentages as rows are processed.
+export const createAnalysisSession = ({
+    width,
+    height,
+    previewWidth,
+    previewHeight,
+    sampleEvery,
+    quantizer,
+    profile,
+    blackGeneration,
+    regions
+}, { onProgress } = {}) => {
+    const separation = createCmykTransform(profile.buffer, profile.intent);
+    const transform = applyBlackGeneration(separation, blackGeneration);
+    const selection = createAccumulator();
+    // Every strategy is accumulated on the sample grid so the results can
+    // compare ink usage without re-running the analysis.
+    const strategies = Object.keys(BLACK_GENERATION_PRESETS).map(strategy => ({
+        strategy,
+        generate: createBlackGeneration({ ...blackGeneration, strategy }),
+        sums: [0, 0, 0, 0]
+    }));
+    const inkStats = createInkStats();
+    // With regions, the overall results cover the union of the regions (or
+    // everything outside them) and each region gets its own accumulators.
+    const regionAccumulators = (regions?.items ?? []).map(createAccumulator);
+    const regionInkStats = (regions?.items ?? []).map(createInkStats);
+    const exclude = regions?.mode === 'exclude';
+    // Preview pixels with no analyzed pixel under them stay TAC_OUTSIDE.
+    const tacMap = new Uint16Array(previewWidth * previewHeight).fill(regions ? TAC_OUTSIDE : 0);
+    let processed = 0;
+    let lastProgress = 0;
+
+    const scaleX = previewWidth / width;
+    const scaleY = previewHeight / height;
+
+    // Strips of CMYK files carry the file's own ink values in `cmyk`; they are
+    // used as-is for the averages and TAC instead of separating the RGB pixels.
+    const addTile = ({ data, x: left, y: top, width: tileWidth, height: tileHeight, mask, cmyk: ink }) => {
+        for (let row = 0; row < tileHeight; row++) {
+            const y = top + row;
+            const sampleRow = y % sampleEvery === 0;
+            const previewRow = Math.floor(y * scaleY) * previewWidth;
+            for (let col = 0; col < tileWidth; col++) {
+                const x = left + col;
+                const p = row * tileWidth + col;
+                const i = p * 4;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+
+                const bits = mask ? mask[p] : 0;
+                const selected = !mask || (exclude ? bits === 0 : bits !== 0);
+                if (!selected && !bits) continue;
+
+                const cmyk = ink ? readInk(ink, p) : transform.rgbToCmyk([r, g, b]);
+                const tac = cmyk[0] + cmyk[1] + cmyk[2] + cmyk[3];
+                const level = Math.min(Math.round(tac * TAC_SCALE), TAC_LEVELS - 1);
+                if (selected) {
+                    const mapIndex = previewRow + Math.floor(x * scaleX);
+                    const mapped = tacMap[mapIndex];
+                    if (mapped === TAC_OUTSIDE || level > mapped) tacMap[mapIndex] = level;
+                    addInk(inkStats, cmyk, tac, level);
+                }
+                for (let index = 0; bits >> index; index++) {
+                    if (bits & (1 << index)) addInk(regionInkStats[index], cmyk, tac, level);
+                }
+
+                if (!sampleRow || x % sampleEvery !== 0) continue;
+
+                for (let index = 0; bits >> index; index++) {
+                    if (bits & (1 << index)) accumulate(regionAccumulators[index], r, g, b, cmyk, Boolean(ink));
+                }
+                if (!selected) continue;
+
+                accumulate(selection, r, g, b, cmyk, Boolean(ink));
+
+                // Native ink is re-split like a separation would be.
+                const separated = ink ? cmyk : separation.rgbToCmyk([r, g, b]);
+                for (const entry of strategies) {
+                    const values = entry.generate(separated);
+                    for (let ch = 0; ch < 4; ch++) entry.sums[ch] += values[ch];
+                }
+            }
+
+            processed += tileWidth;
+            const progress = Math.round((processed / (width * height)) * 100);
+            if (progress !== lastProgress) {
+                lastProgress = progress;
+                onProgress?.(progress);
+            }
+        }
+    };
+
+    const finish = () => {
+        const totalSamples = selection.count;
+        if (!totalSamples) {
+            throw new Error(exclude
+                ? 'The excluded regions cover the whole image'
+                : 'The selected regions contain no sampled pixels');
+        }
+        const overall = summarizeInk(inkStats);
+
+        return {
+            ...summarize(selection, quantizer, transform),
+            profile: { name: transform.name, intent: transform.intent },
+            blackGeneration,
+            inkComparison: strategies.map(({ strategy, sums }) => {
+                const [cyan, magenta, yellow, black] = sums.map(v => v / totalSamples);
+                return { strategy, cyan, magenta, yellow, black, total: cyan + magenta + yellow + black };
+            }),
+            ...overall,
+            tac: { ...overall.tac, map: tacMap },
+            regions: regions
+                ? {
+                    mode: regions.mode,
+                    items: regions.items.map((item, index) => ({
+                        ...item,
+                        ...summarize(regionAccumulators[index], quantizer, transform),
+                        ...summarizeInk(regionInkStats[index])
+                    }))
+                }
+                : null
+        };
+    };
+
+    return { addTile, finish };
+};
+
+export const DEFAULT_QUANTIZER_OPTIONS = {
+    method: DEFAULT_QUANTIZER,
+    paletteSize: DEFAULT_PALETTE_SIZE,
+    metric: DEFAULT_DELTA_E_METRIC,
+    tolerance: DEFAULT_DELTA_E_TOLERANCE
+};
+
+// Analyzes a raw RGBA buffer ({ width, height, data }, plus `cmyk` with the
+// file's own ink values for CMYK sources) and returns colorStats as the
+// browser builds them, minus `canvasData`. The buffer is downscaled for the
+// chosen sampling (a mode name or { maxDimension, sampleEvery }) with an
+// area average. `profile.buffer` is an ICC
+// profile's bytes, or null for the naive separation. Regions need a canvas
+// to rasterize and are not supported here.
+export const analyzePixels = (raster, {
+    quantizer = DEFAULT_QUANTIZER_OPTIONS,
+    profile = { buffer: null, intent: DEFAULT_RENDERING_INTENT },
+    blackGeneration = DEFAULT_BLACK_GENERATION,
+    sampling = DEFAULT_ANALYSIS_MODE,
+    image = {}
+} = {}, { onProgress } = {}) => {
+    const { maxDimension, sampleEvery } = resolveSampling(sampling);
+    const { preview, target } = analysisSizes(raster.width, raster.height, { maxDimension });
+
+    const session = createAnalysisSession({
+        width: target.width,
+        height: target.height,
+        previewWidth: preview.width,
+        previewHeight: preview.height,
+        sampleEvery,
+        quantizer,
+        profile,
+        blackGeneration,
+        regions: null
+    }, { onProgress });
+
+    session.addTile({
+        data: resampleRgba(raster, target.width, target.height),
+        x: 0,
+        y: 0,
+        width: target.width,
+        height: target.height,
+        mask: null,
+        cmyk: raster.cmyk && resampleInk(raster, target.width, target.height)
+    });
+
+    return {
+        ...session.finish(),
+        settings: {
+            mode: samplingMode({ maxDimension, sampleEvery }),
+            maxDimension,
+            sampleEvery,
+            quantizer
+        },
+        image: {
+            ...image,
+            width: raster.width,
+            height: raster.height,
+            analyzedWidth: target.width,
+            analyzedHeight: target.height,
+            nativeInk: Boolean(raster.cmyk)
+        }
+    };
+};
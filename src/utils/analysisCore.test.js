@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { analyzePixels, createAnalysisSession, resolveSampling, DEFAULT_QUANTIZER_OPTIONS } from './analysisCore';
+import { DEFAULT_BLACK_GENERATION } from './blackGeneration';
+import { DEFAULT_RENDERING_INTENT } from './colorManagement';
+import { countInkLimitViolations } from './tac';
+
+const EVERY_PIXEL = { maxDimension: null, sampleEvery: 1 };
+
+// An RGBA buffer whose pixel colors come from `colorAt(x, y)`.
+const createRaster = (width, height, colorAt) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) data.set([...colorAt(x, y), 255], (y * width + x) * 4);
+    }
+    return { width, height, data };
+};
+
+const leftHalf = (width) => (x) => x < width / 2;
+
+const runSession = (raster, { mask, mode, sampleEvery = 1 }) => {
+    const session = createAnalysisSession({
+        width: raster.width,
+        height: raster.height,
+        previewWidth: raster.width,
+        previewHeight: raster.height,
+        sampleEvery,
+        quantizer: DEFAULT_QUANTIZER_OPTIONS,
+        profile: { buffer: null, intent: DEFAULT_RENDERING_INTENT },
+        blackGeneration: DEFAULT_BLACK_GENERATION,
+        regions: { mode, items: [{ id: 'a', label: 'A' }] }
+    });
+    session.addTile({ ...raster, x: 0, y: 0, mask, cmyk: null });
+    return session.finish();
+};
+
+describe('analyzePixels', () => {
+    it('separates solid black into K only', () => {
+        const stats = analyzePixels(createRaster(8, 8, () => [0, 0, 0]), { sampling: EVERY_PIXEL });
+
+        expect(stats.overallCmyk).toEqual({ cyan: 0, magenta: 0, yellow: 0, black: 100 });
+        expect(stats.tac.max).toBe(100);
+        expect(stats.totalPixels).toBe(64);
+        expect(stats.colors).toHaveLength(1);
+        expect(stats.colors[0]).toMatchObject({ hex: '#000000', cmyk: [0, 0, 0, 100], percentage: 100 });
+        expect(stats.blacks).toEqual({ total: 64, kOnly: 64, rich: 0 });
+        expect(countInkLimitViolations(stats.tac, 90).percentage).toBe(100);
+    });
+
+    it('splits a half red, half blue image into two clusters of 50%', () => {
+        const isLeft = leftHalf(10);
+        const raster = createRaster(10, 10, (x) => (isLeft(x) ? [255, 0, 0] : [0, 0, 255]));
+        const stats = analyzePixels(raster, { sampling: EVERY_PIXEL });
+
+        expect(stats.colors.map(({ hex, percentage }) => [hex, percentage])).toEqual([
+            ['#0000ff', 50],
+            ['#ff0000', 50]
+        ]);
+        expect(stats.overallCmyk.cyan).toBeCloseTo(50);
+        expect(stats.overallCmyk.magenta).toBeCloseTo(100);
+        expect(stats.overallCmyk.yellow).toBeCloseTo(50);
+        expect(stats.tac.max).toBeCloseTo(200);
+    });
+
+    it('samples the grid for the palette but measures TAC on every pixel', () => {
+        const stats = analyzePixels(createRaster(10, 10, () => [128, 128, 128]), {
+            sampling: { maxDimension: null, sampleEvery: 5 }
+        });
+
+        expect(stats.totalPixels).toBe(4);
+        expect(stats.tac.distribution.reduce((sum, count) => sum + count, 0)).toBe(100);
+    });
+
+    it('downscales to the sampling size', () => {
+        const stats = analyzePixels(createRaster(400, 200, () => [255, 255, 255]), {
+            sampling: { maxDimension: 100, sampleEvery: 1 }
+        });
+
+        expect(stats.image).toMatchObject({ width: 400, height: 200, analyzedWidth: 100, analyzedHeight: 50 });
+        expect(stats.totalPixels).toBe(5000);
+        expect(stats.tac.max).toBe(0);
+    });
+
+    it('reports the native ink of CMYK sources', () => {
+        const raster = createRaster(4, 4, () => [30, 30, 30]);
+        // 60/40/40/100 as 0..255 ink values.
+        raster.cmyk = new Uint8Array(16 * 4);
+        for (let p = 0; p < 16; p++) raster.cmyk.set([153, 102, 102, 255], p * 4);
+        const stats = analyzePixels(raster, { sampling: EVERY_PIXEL });
+
+        expect(stats.colors[0].cmyk).toEqual([60, 40, 40, 100]);
+        expect(stats.tac.max).toBeCloseTo(240);
+        expect(stats.blacks.rich).toBe(16);
+        expect(stats.image.nativeInk).toBe(true);
+    });
+});
+
+describe('createAnalysisSession with regions', () => {
+    const isLeft = leftHalf(10);
+    // Black on the left, white on the right; the region covers the black half.
+    const raster = createRaster(10, 10, (x) => (isLeft(x) ? [0, 0, 0] : [255, 255, 255]));
+    const mask = new Uint8Array(100).map((_, p) => (isLeft(p % 10) ? 1 : 0));
+
+    it('measures only the region in include mode', () => {
+        const stats = runSession(raster, { mask, mode: 'include' });
+
+        expect(stats.totalPixels).toBe(50);
+        expect(stats.overallCmyk.black).toBe(100);
+        expect(stats.tac.distribution.reduce((sum, count) => sum + count, 0)).toBe(50);
+        expect(stats.coverage.black[100]).toBe(50);
+        expect(stats.coverage.black[0]).toBe(0);
+        expect(stats.blacks.total).toBe(50);
+        expect(stats.regions.items[0]).toMatchObject({ totalPixels: 50, blacks: { total: 50 } });
+        expect(stats.regions.items[0].tac.max).toBe(100);
+    });
+
+    it('measures everything else in exclude mode', () => {
+        const stats = runSession(raster, { mask, mode: 'exclude' });
+
+        expect(stats.totalPixels).toBe(50);
+        expect(stats.overallCmyk.black).toBe(0);
+        expect(stats.tac.max).toBe(0);
+        expect(stats.blacks.total).toBe(0);
+        expect(stats.coverage.black[0]).toBe(50);
+        // The region still gets its own figures.
+        expect(stats.regions.items[0].tac.max).toBe(100);
+        expect(stats.regions.items[0].totalPixels).toBe(50);
+    });
+
+    it('fails when the selection holds no sampled pixel', () => {
+        expect(() => runSession(raster, { mask: new Uint8Array(100), mode: 'include' }))
+            .toThrow('The selected regions contain no sampled pixels');
+    });
+});
+
+describe('resolveSampling', () => {
+    it('resolves mode names', () => {
+        expect(resolveSampling('exact')).toEqual({ maxDimension: null, sampleEvery: 1 });
+    });
+
+    it('rejects values outside the limits', () => {
+        expect(() => resolveSampling({ maxDimension: 50, sampleEvery: 1 })).toThrow(/longest side/);
+        expect(() => resolveSampling({ maxDimension: null, sampleEvery: 0 })).toThrow(/sampling step/);
+        expect(() => resolveSampling('fast')).toThrow('Unknown sampling mode: fast');
+    });
+});
@@ -0,0 +1,83 @@
+// Black generation re-splits a separation between CMY and K. The incoming K
+// is first folded back into CMY with the multiplicative ink model
+// (1 - C) = (1 - c)(1 - k), then each strategy decides how much of the gray
+// component min(C, M, Y) is printed with black instead.
+
+const ramp = (start) => (gray) => (gray <= start ? 0 : (gray - start) / (1 - start));
+
+const gcr = (amount, start) => {
+    const onset = ramp(start);
+    return (gray) => amount * onset(gray);
+};
+
+// UCR only replaces the gray component in dark, near-neutral areas.
+const ucrOnset = ramp(0.5);
+const ucr = (gray, C, M, Y) => {
+    const max = Math.max(C, M, Y);
+    const neutrality = max ? 1 - (max - gray) / max : 1;
+    return ucrOnset(gray) * gray * neutrality;
+};
+
+export const K_CURVE_POINTS = [0, 25, 50, 75, 100];
+export const DEFAULT_K_CURVE = [0, 10, 35, 65, 100];
+
+const curveK = (curve) => (gray) => {
+    const x = gray * 100;
+    for (let i = 1; i < K_CURVE_POINTS.length; i++) {
+        if (x <= K_CURVE_POINTS[i]) {
+            const t = (x - K_CURVE_POINTS[i - 1]) / (K_CURVE_POINTS[i] - K_CURVE_POINTS[i - 1]);
+            return (curve[i - 1] + (curve[i] - curve[i - 1]) * t) / 100;
+        }
+    }
+    return curve[curve.length - 1] / 100;
+};
+
+export const BLACK_GENERATION_PRESETS = {
+    none: { label: 'As separated', k: null },
+    ucr: { label: 'UCR', k: ucr },
+    'gcr-light': { label: 'Light GCR', k: gcr(0.4, 0.3) },
+    'gcr-medium': { label: 'Medium GCR', k: gcr(0.7, 0.15) },
+    'gcr-heavy': { label: 'Heavy GCR', k: gcr(0.9, 0.05) },
+    'max-k': { label: 'Maximum K', k: (gray) => gray },
+    custom: { label: 'Custom K curve', k: null }
+};
+
+export const DEFAULT_BLACK_GENERATION = { strategy: 'none', curve: DEFAULT_K_CURVE };
+
+const resolveK = ({ strategy, curve = DEFAULT_K_CURVE }) => {
+    if (strategy === 'custom') return curveK(curve);
+    const preset = BLACK_GENERATION_PRESETS[strategy];
+    if (!preset) throw new Error(`Unknown black generation strategy: ${strategy}`);
+    return preset.k;
+};
+
+// Returns a function mapping a 0..100 CMYK separation to the same color
+// separated with the chosen strategy.
+export const createBlackGeneration = (settings = DEFAULT_BLACK_GENERATION) => {
+    const kFor = resolveK(settings);
+    if (!kFor) return (cmyk) => cmyk;
+
+    return ([c, m, y, k]) => {
+        const kInk = k / 100;
+        const C = 1 - (1 - c / 100) * (1 - kInk);
+        const M = 1 - (1 - m / 100) * (1 - kInk);
+        const Y = 1 - (1 - y / 100) * (1 - kInk);
+        const gray = Math.min(C, M, Y);
+        const K = Math.min(Math.max(kFor(gray, C, M, Y), 0), gray);
+        if (K >= 1) return [0, 0, 0, 100];
+        return [
+            ((C - K) / (1 - K)) * 100,
+            ((M - K) / (1 - K)) * 100,
+            ((Y - K) / (1 - K)) * 100,
+            K * 100
+        ];
+    };
+};
+
+export const applyBlackGeneration = (transform, settings) => {
+    const generate = createBlackGeneration(settings);
+    return {
+        ...transform,
+        rgbToCmyk: (rgb) => generate(transform.rgbToCmyk(rgb))
+    };
+};
@@ -0,0 +1,95 @@
+import { readInk } from './decoders';
+
+const CHANNELS = ['cyan', 'magenta', 'yellow', 'black'];
+
+export const CHANNEL_VIEW_MODES = {
+    ink: { label: 'Ink color' },
+    plate: { label: 'Grayscale plate' },
+    overprint: { label: 'Overprint' }
+};
+
+export const DEFAULT_CHANNEL_VIEW_MODE = 'ink';
+
+export const OVERPRINT_PRESETS = [
+    { label: 'All four', channels: ['cyan', 'magenta', 'yellow', 'black'] },
+    { label: 'CMY (no K)', channels: ['cyan', 'magenta', 'yellow'] },
+    { label: 'C + M', channels: ['cyan', 'magenta'] },
+    { label: 'M + Y', channels: ['magenta', 'yellow'] },
+    { label: 'C + Y', channels: ['cyan', 'yellow'] }
+];
+
+// One separation per preview canvas, redone only when the transform changes.
+const separations = new WeakMap();
+
+// Whole-percent ink values (interleaved CMYK) for every preview pixel: the
+// file's own values for CMYK sources, otherwise separated with `transform`.
+export const getSeparation = (canvasData, transform) => {
+    const cached = separations.get(canvasData);
+    if (cached && (canvasData.cmyk || cached.transform === transform)) return cached.separation;
+
+    const { width, height } = canvasData;
+    const separation = new Uint8Array(width * height * 4);
+    const { data } = canvasData.ctx.getImageData(0, 0, width, height);
+    for (let p = 0; p < width * height; p++) {
+        const i = p * 4;
+        const cmyk = canvasData.cmyk
+            ? readInk(canvasData.cmyk, p)
+            : transform.rgbToCmyk([data[i], data[i + 1], data[i + 2]]);
+        for (let ch = 0; ch < 4; ch++) separation[i + ch] = Math.round(cmyk[ch]);
+    }
+    separations.set(canvasData, { transform, separation });
+    return separation;
+};
+
+// Renders `channels` of a separation as ImageData. `ink` prints a single
+// channel in its own ink, `plate` shows it as a grayscale plate (black is
+// 100% ink, like film), and `overprint` composites any set of channels as
+// overprinted inks on paper.
+export const renderSeparation = (separation, { width, height }, transform, { mode, channels }) => {
+    const output = new ImageData(width, height);
+    const { data } = output;
+    const selected = CHANNELS.map(channel => channels.includes(channel));
+    const cache = new Map();
+
+    const inkColor = (c, m, y, k) => {
+        const key = c | (m << 7) | (y << 14) | (k << 21);
+        let rgb = cache.get(key);
+        if (!rgb) {
+            rgb = transform.cmykToRgb([c, m, y, k]);
+            cache.set(key, rgb);
+        }
+        return rgb;
+    };
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (mode === 'plate') {
+            const index = selected.indexOf(true);
+            const gray = Math.round(255 * (1 - separation[i + index] / 100));
+            data[i] = gray;
+            data[i + 1] = gray;
+            data[i + 2] = gray;
+        } else {
+            const [r, g, b] = inkColor(
+                selected[0] ? separation[i] : 0,
+                selected[1] ? separation[i + 1] : 0,
+                selected[2] ? separation[i + 2] : 0,
+                selected[3] ? separation[i + 3] : 0
+            );
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+        }
+        data[i + 3] = 255;
+    }
+    return output;
+};
+
+// Renders a channel view of the analyzed preview to a PNG data URL.
+export const channelPreviewUrl = (canvasData, transform, view) => {
+    const separation = getSeparation(canvasData, transform);
+    const canvas = document.createElement('canvas');
+    canvas.width = canvasData.width;
+    canvas.height = canvasData.height;
+    canvas.getContext('2d').putImageData(renderSeparation(separation, canvasData, transform, view), 0, 0);
+    return canvas.toDataURL();
+};
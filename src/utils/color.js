@@ -0,0 +1,15 @@
+export const hexToRgb = (hex) => {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return [r, g, b];
+};
+
+export const rgbToHex = (r, g, b) =>
+    `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+
+export const getContrastColor = (hexColor) => {
+    const [r, g, b] = hexToRgb(hexColor);
+    const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+    return brightness > 128 ? '#000' : '#fff';
+};
@@ -0,0 +1,327 @@
+// Minimal ICC parser covering what an output (printer) profile needs for
+// RGB <-> CMYK work: header, description, media white point and the
+// AToB/BToA lookup tables in lut8, lut16, lutAToB and lutBToA form.
+
+const readSignature = (view, offset) => String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+);
+
+const readS15Fixed16 = (view, offset) => view.getInt32(offset) / 65536;
+
+const readXYZ = (view, offset) => [
+    readS15Fixed16(view, offset + 8),
+    readS15Fixed16(view, offset + 12),
+    readS15Fixed16(view, offset + 16)
+];
+
+const readText = (view, offset) => {
+    const type = readSignature(view, offset);
+    if (type === 'desc') {
+        const length = view.getUint32(offset + 8);
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            const code = view.getUint8(offset + 12 + i);
+            if (!code) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+    if (type === 'mluc') {
+        const length = view.getUint32(offset + 20);
+        const start = offset + view.getUint32(offset + 24);
+        let text = '';
+        for (let i = 0; i < length; i += 2) {
+            text += String.fromCharCode(view.getUint16(start + i));
+        }
+        return text.replace(/\0+$/, '');
+    }
+    if (type === 'text') {
+        const size = view.byteLength - offset;
+        let text = '';
+        for (let i = 8; i < size; i++) {
+            const code = view.getUint8(offset + i);
+            if (!code) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+    return null;
+};
+
+// Curves map a normalized 0..1 value to a normalized 0..1 value.
+const identity = (x) => x;
+
+const tableCurve = (table) => {
+    const last = table.length - 1;
+    return (x) => {
+        const pos = Math.min(Math.max(x, 0), 1) * last;
+        const i = Math.floor(pos);
+        if (i >= last) return table[last];
+        const t = pos - i;
+        return table[i] + (table[i + 1] - table[i]) * t;
+    };
+};
+
+const readCurve = (view, offset) => {
+    const type = readSignature(view, offset);
+    if (type === 'curv') {
+        const count = view.getUint32(offset + 8);
+        if (count === 0) return { curve: identity, size: 12 };
+        if (count === 1) {
+            const gamma = view.getUint16(offset + 12) / 256;
+            return { curve: (x) => Math.pow(Math.max(x, 0), gamma), size: 14 };
+        }
+        const table = new Float64Array(count);
+        for (let i = 0; i < count; i++) table[i] = view.getUint16(offset + 12 + i * 2) / 65535;
+        return { curve: tableCurve(table), size: 12 + count * 2 };
+    }
+    if (type === 'para') {
+        const fn = view.getUint16(offset + 8);
+        const paramCount = [1, 3, 4, 5, 7][fn];
+        if (paramCount === undefined) throw new Error(`Unsupported parametric curve type ${fn}`);
+        const [g, a, b, c, d, e, f] = Array.from(
+            { length: paramCount },
+            (_, i) => readS15Fixed16(view, offset + 12 + i * 4)
+        );
+        const pow = (x) => Math.pow(Math.max(x, 0), g);
+        const curves = [
+            (x) => pow(x),
+            (x) => (x >= -b / a ? pow(a * x + b) : 0),
+            (x) => (x >= -b / a ? pow(a * x + b) + c : c),
+            (x) => (x >= d ? pow(a * x + b) : c * x),
+            (x) => (x >= d ? pow(a * x + b) + e : c * x + f)
+        ];
+        return { curve: curves[fn], size: 12 + paramCount * 4 };
+    }
+    throw new Error(`Unsupported curve type '${type}'`);
+};
+
+const readCurves = (view, offset, count) => {
+    const curves = [];
+    let position = offset;
+    for (let i = 0; i < count; i++) {
+        const { curve, size } = readCurve(view, position);
+        curves.push(curve);
+        position += size;
+        position += (4 - (position % 4)) % 4;
+    }
+    return curves;
+};
+
+// Multilinear interpolation over an n-dimensional grid. The first input
+// channel varies slowest, as laid out in the ICC spec.
+const createClut = (gridPoints, outputChannels, data) => {
+    const inputs = gridPoints.length;
+    const strides = new Array(inputs);
+    let stride = outputChannels;
+    for (let i = inputs - 1; i >= 0; i--) {
+        strides[i] = stride;
+        stride *= gridPoints[i];
+    }
+    const corners = 1 << inputs;
+    const base = new Array(inputs);
+    const frac = new Array(inputs);
+
+    return (input) => {
+        for (let i = 0; i < inputs; i++) {
+            const max = gridPoints[i] - 1;
+            const pos = Math.min(Math.max(input[i], 0), 1) * max;
+            const cell = Math.min(Math.floor(pos), max - 1);
+            base[i] = Math.max(cell, 0);
+            frac[i] = max > 0 ? pos - base[i] : 0;
+        }
+        const output = new Array(outputChannels).fill(0);
+        for (let corner = 0; corner < corners; corner++) {
+            let weight = 1;
+            let index = 0;
+            for (let i = 0; i < inputs; i++) {
+                const bit = (corner >> (inputs - 1 - i)) & 1;
+                weight *= bit ? frac[i] : 1 - frac[i];
+                index += (base[i] + bit) * strides[i];
+            }
+            if (!weight) continue;
+            for (let o = 0; o < outputChannels; o++) {
+                output[o] += data[index + o] * weight;
+            }
+        }
+        return output;
+    };
+};
+
+const applyMatrix3 = (m, v, offset = [0, 0, 0]) => [
+    m[0] * v[0] + m[1] * v[1] + m[2] * v[2] + offset[0],
+    m[3] * v[0] + m[4] * v[1] + m[5] * v[2] + offset[1],
+    m[6] * v[0] + m[7] * v[1] + m[8] * v[2] + offset[2]
+];
+
+const applyCurves = (curves, values) => values.map((v, i) => curves[i](v));
+
+const readLut8or16 = (view, offset, bytes) => {
+    const inputChannels = view.getUint8(offset + 8);
+    const outputChannels = view.getUint8(offset + 9);
+    const grid = view.getUint8(offset + 10);
+    const matrix = Array.from({ length: 9 }, (_, i) => readS15Fixed16(view, offset + 12 + i * 4));
+
+    let position = offset + 48;
+    let inputEntries = 256;
+    let outputEntries = 256;
+    if (bytes === 2) {
+        inputEntries = view.getUint16(position);
+        outputEntries = view.getUint16(position + 2);
+        position += 4;
+    }
+    const max = bytes === 2 ? 65535 : 255;
+    const read = (pos) => (bytes === 2 ? view.getUint16(pos) : view.getUint8(pos)) / max;
+
+    const readTables = (count, entries) => {
+        const tables = [];
+        for (let c = 0; c < count; c++) {
+            const table = new Float64Array(entries);
+            for (let i = 0; i < entries; i++) {
+                table[i] = read(position);
+                position += bytes;
+            }
+            tables.push(tableCurve(table));
+        }
+        return tables;
+    };
+
+    const inputCurves = readTables(inputChannels, inputEntries);
+    const clutSize = Math.pow(grid, inputChannels) * outputChannels;
+    const clutData = new Float64Array(clutSize);
+    for (let i = 0; i < clutSize; i++) {
+        clutData[i] = read(position);
+        position += bytes;
+    }
+    const clut = createClut(new Array(inputChannels).fill(grid), outputChannels, clutData);
+    const outputCurves = readTables(outputChannels, outputEntries);
+
+    const isIdentity = matrix.every((v, i) => v === (i % 4 === 0 ? 1 : 0));
+    return {
+        inputChannels,
+        outputChannels,
+        pcsEncoding: bytes === 2 ? 'lab16-legacy' : 'lab8',
+        matrix: isIdentity ? null : matrix,
+        evaluate(input, { inputIsXYZ = false } = {}) {
+            let values = input;
+            if (this.matrix && inputIsXYZ) values = applyMatrix3(this.matrix, values);
+            return applyCurves(outputCurves, clut(applyCurves(inputCurves, values)));
+        }
+    };
+};
+
+const readClutStage = (view, offset, inputChannels, outputChannels) => {
+    const gridPoints = [];
+    for (let i = 0; i < inputChannels; i++) gridPoints.push(view.getUint8(offset + i));
+    const precision = view.getUint8(offset + 16);
+    const size = gridPoints.reduce((acc, g) => acc * g, 1) * outputChannels;
+    const data = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        data[i] = precision === 1
+            ? view.getUint8(offset + 20 + i) / 255
+            : view.getUint16(offset + 20 + i * 2) / 65535;
+    }
+    return createClut(gridPoints, outputChannels, data);
+};
+
+const readMatrixStage = (view, offset) => {
+    const values = Array.from({ length: 12 }, (_, i) => readS15Fixed16(view, offset + i * 4));
+    return (v) => applyMatrix3(values.slice(0, 9), v, values.slice(9));
+};
+
+// lutAToBType runs A curves -> CLUT -> M curves -> matrix -> B curves;
+// lutBToAType runs the same stages in reverse.
+const readLutAB = (view, offset, direction) => {
+    const inputChannels = view.getUint8(offset + 8);
+    const outputChannels = view.getUint8(offset + 9);
+    const at = (rel) => {
+        const value = view.getUint32(offset + rel);
+        return value ? offset + value : 0;
+    };
+    const bOffset = at(12);
+    const matrixOffset = at(16);
+    const mOffset = at(20);
+    const clutOffset = at(24);
+    const aOffset = at(28);
+
+    const stages = [];
+    const curveStage = (pos, count) => {
+        if (!pos) return;
+        const curves = readCurves(view, pos, count);
+        stages.push((v) => applyCurves(curves, v));
+    };
+
+    if (direction === 'AToB') {
+        curveStage(aOffset, inputChannels);
+        if (clutOffset) stages.push(readClutStage(view, clutOffset, inputChannels, outputChannels));
+        curveStage(mOffset, outputChannels);
+        if (matrixOffset) stages.push(readMatrixStage(view, matrixOffset));
+        curveStage(bOffset, outputChannels);
+    } else {
+        curveStage(bOffset, inputChannels);
+        if (matrixOffset) stages.push(readMatrixStage(view, matrixOffset));
+        curveStage(mOffset, inputChannels);
+        if (clutOffset) stages.push(readClutStage(view, clutOffset, inputChannels, outputChannels));
+        curveStage(aOffset, outputChannels);
+    }
+
+    return {
+        inputChannels,
+        outputChannels,
+        pcsEncoding: 'lab-v4',
+        evaluate(input) {
+            return stages.reduce((values, stage) => stage(values), input);
+        }
+    };
+};
+
+const readLut = (view, offset, direction) => {
+    const type = readSignature(view, offset);
+    if (type === 'mft1') return readLut8or16(view, offset, 1);
+    if (type === 'mft2') return readLut8or16(view, offset, 2);
+    if (type === 'mAB ' && direction === 'AToB') return readLutAB(view, offset, direction);
+    if (type === 'mBA ' && direction === 'BToA') return readLutAB(view, offset, direction);
+    throw new Error(`Unsupported lookup table type '${type}'`);
+};
+
+export const parseIccProfile = (buffer) => {
+    const view = new DataView(buffer);
+    if (view.byteLength < 132 || readSignature(view, 36) !== 'acsp') {
+        throw new Error('Not a valid ICC profile');
+    }
+
+    const header = {
+        version: `${view.getUint8(8)}.${view.getUint8(9) >> 4}`,
+        deviceClass: readSignature(view, 12),
+        colorSpace: readSignature(view, 16).trim(),
+        pcs: readSignature(view, 20).trim()
+    };
+
+    const tags = new Map();
+    const tagCount = view.getUint32(128);
+    for (let i = 0; i < tagCount; i++) {
+        const entry = 132 + i * 12;
+        tags.set(readSignature(view, entry), view.getUint32(entry + 4));
+    }
+
+    const luts = { AToB: {}, BToA: {} };
+    for (const direction of ['AToB', 'BToA']) {
+        for (const intent of [0, 1, 2]) {
+            const offset = tags.get(`${direction[0]}2${direction[3]}${intent}`);
+            if (offset !== undefined) luts[direction][intent] = readLut(view, offset, direction);
+        }
+    }
+
+    const descOffset = tags.get('desc');
+    const wtptOffset = tags.get('wtpt');
+
+    return {
+        ...header,
+        name: (descOffset !== undefined && readText(view, descOffset)) || 'Unnamed profile',
+        mediaWhitePoint: wtptOffset !== undefined ? readXYZ(view, wtptOffset) : null,
+        luts
+    };
+};
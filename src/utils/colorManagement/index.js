@@ -0,0 +1,173 @@
+import convert from 'color-convert';
+import { parseIccProfile } from './icc';
+
+export { parseIccProfile };
+
+export const RENDERING_INTENTS = {
+    perceptual: { label: 'Perceptual', tag: 0 },
+    relative: { label: 'Relative colorimetric', tag: 1 },
+    saturation: { label: 'Saturation', tag: 2 },
+    absolute: { label: 'Absolute colorimetric', tag: 1 }
+};
+
+export const DEFAULT_RENDERING_INTENT = 'relative';
+
+export const NAIVE_PROFILE_NAME = 'Naive (color-convert)';
+
+const D50 = [0.9642, 1.0, 0.8249];
+
+// sRGB primaries, Bradford-adapted to the D50 PCS white.
+const SRGB_TO_XYZ_D50 = [
+    0.4360747, 0.3850649, 0.1430804,
+    0.2225045, 0.7168786, 0.0606169,
+    0.0139322, 0.0971045, 0.7141733
+];
+const XYZ_D50_TO_SRGB = [
+    3.1338561, -1.6168667, -0.4906146,
+    -0.9787684, 1.9161415, 0.0334540,
+    0.0719453, -0.2289914, 1.4052427
+];
+
+const multiply = (m, [a, b, c]) => [
+    m[0] * a + m[1] * b + m[2] * c,
+    m[3] * a + m[4] * b + m[5] * c,
+    m[6] * a + m[7] * b + m[8] * c
+];
+
+const toLinear = (v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+const fromLinear = (v) => {
+    const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(Math.max(v, 0), 1 / 2.4) - 0.055;
+    return Math.round(Math.min(Math.max(c, 0), 1) * 255);
+};
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+const labFInv = (t) => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+
+const xyzToLab = ([x, y, z]) => {
+    const fx = labF(x / D50[0]);
+    const fy = labF(y / D50[1]);
+    const fz = labF(z / D50[2]);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+const labToXyz = ([L, a, b]) => {
+    const fy = (L + 16) / 116;
+    return [
+        labFInv(fy + a / 500) * D50[0],
+        labFInv(fy) * D50[1],
+        labFInv(fy - b / 200) * D50[2]
+    ];
+};
+
+// The PCS side of a lookup table expects normalized 0..1 values whose
+// meaning depends on the table type.
+const XYZ_SCALE = 65535 / 32768;
+
+const encodePcs = (xyz, pcs, encoding) => {
+    if (pcs === 'XYZ') return xyz.map(v => v / XYZ_SCALE);
+    const [L, a, b] = xyzToLab(xyz);
+    if (encoding === 'lab16-legacy') {
+        return [L * 652.8 / 65535, (a + 128) * 256 / 65535, (b + 128) * 256 / 65535];
+    }
+    return [L / 100, (a + 128) / 255, (b + 128) / 255];
+};
+
+const decodePcs = (values, pcs, encoding) => {
+    if (pcs === 'XYZ') return values.map(v => v * XYZ_SCALE);
+    const lab = encoding === 'lab16-legacy'
+        ? [values[0] * 65535 / 652.8, values[1] * 65535 / 256 - 128, values[2] * 65535 / 256 - 128]
+        : [values[0] * 100, values[1] * 255 - 128, values[2] * 255 - 128];
+    return labToXyz(lab);
+};
+
+const clampPercent = (v) => Math.min(Math.max(v, 0), 1) * 100;
+
+const memoize = (fn, key, limit = 1 << 18) => {
+    const cache = new Map();
+    return (value) => {
+        const k = key(value);
+        let result = cache.get(k);
+        if (result === undefined) {
+            if (cache.size >= limit) cache.clear();
+            result = fn(value);
+            cache.set(k, result);
+        }
+        return result;
+    };
+};
+
+const rgbKey = ([r, g, b]) => (r << 16) | (g << 8) | b;
+const cmykKey = (cmyk) => cmyk.map(v => Math.round(v * 10)).join(',');
+
+// Both transforms share the same shape: rgbToCmyk returns unrounded 0..100
+// percentages and cmykToRgb takes 0..100 percentages back to 8-bit sRGB.
+// Profile transforms add cmykToPaperRgb, the absolute colorimetric print.
+export const createNaiveTransform = () => ({
+    name: NAIVE_PROFILE_NAME,
+    intent: null,
+    rgbToCmyk: (rgb) => convert.rgb.cmyk.raw(rgb),
+    cmykToRgb: (cmyk) => convert.cmyk.rgb(cmyk)
+});
+
+export const createProfileTransform = (profile, intent = DEFAULT_RENDERING_INTENT) => {
+    if (profile.colorSpace !== 'CMYK') {
+        throw new Error(`${profile.name} is a ${profile.colorSpace} profile, not CMYK`);
+    }
+    const { tag } = RENDERING_INTENTS[intent] || RENDERING_INTENTS[DEFAULT_RENDERING_INTENT];
+    const toCmyk = profile.luts.BToA[tag] || profile.luts.BToA[0];
+    const fromCmyk = profile.luts.AToB[tag] || profile.luts.AToB[0];
+    if (!toCmyk || !fromCmyk) {
+        throw new Error(`${profile.name} has no usable AToB/BToA tables`);
+    }
+
+    // Absolute colorimetric keeps the source white instead of mapping it to
+    // the paper, so scale by the media white point around the relative tables.
+    const white = intent === 'absolute' && profile.mediaWhitePoint;
+    const toRelative = white ? (xyz) => xyz.map((v, i) => v * D50[i] / white[i]) : (xyz) => xyz;
+    const toAbsolute = white ? (xyz) => xyz.map((v, i) => v * white[i] / D50[i]) : (xyz) => xyz;
+    const inputIsXYZ = profile.pcs === 'XYZ';
+
+    const rgbToCmyk = (rgb) => {
+        const xyz = toRelative(multiply(SRGB_TO_XYZ_D50, rgb.map(toLinear)));
+        const pcs = encodePcs(xyz, profile.pcs, toCmyk.pcsEncoding);
+        return toCmyk.evaluate(pcs, { inputIsXYZ }).map(clampPercent);
+    };
+
+    const cmykToRgb = (cmyk) => {
+        const pcs = fromCmyk.evaluate(cmyk.map(v => v / 100));
+        const xyz = toAbsolute(decodePcs(pcs, profile.pcs, fromCmyk.pcsEncoding));
+        return multiply(XYZ_D50_TO_SRGB, xyz).map(fromLinear);
+    };
+
+    // How an ink build prints on the profile's own paper, through the
+    // colorimetric AToB table scaled to the media white (absolute), whatever
+    // the separation intent. Used by the soft proof.
+    const proofTable = profile.luts.AToB[1] || profile.luts.AToB[0];
+    const paperWhite = profile.mediaWhitePoint;
+    const cmykToPaperRgb = (cmyk) => {
+        const pcs = proofTable.evaluate(cmyk.map(v => v / 100));
+        const xyz = decodePcs(pcs, profile.pcs, proofTable.pcsEncoding);
+        const absolute = paperWhite ? xyz.map((v, i) => v * paperWhite[i] / D50[i]) : xyz;
+        return multiply(XYZ_D50_TO_SRGB, absolute).map(fromLinear);
+    };
+
+    return {
+        name: profile.name,
+        intent,
+        rgbToCmyk: memoize(rgbToCmyk, rgbKey),
+        cmykToRgb: memoize(cmykToRgb, cmykKey),
+        cmykToPaperRgb: memoize(cmykToPaperRgb, cmykKey)
+    };
+};
+
+// Builds the transform for an optional raw ICC buffer; without one the
+// naive color-convert math is used.
+export const createCmykTransform = (profileBuffer, intent) => (
+    profileBuffer
+        ? createProfileTransform(parseIccProfile(profileBuffer), intent)
+        : createNaiveTransform()
+);
@@ -0,0 +1,80 @@
+import { hexToRgb } from './color';
+import { rgbToLab, deltaE, deltaE76 } from './deltaE';
+
+export const CHANNELS = ['cyan', 'magenta', 'yellow', 'black'];
+
+export const cmykDeltas = (statsA, statsB) => Object.fromEntries(
+    CHANNELS.map(channel => [channel, statsB.overallCmyk[channel] - statsA.overallCmyk[channel]])
+);
+
+// For every color in `from`, the perceptually closest color in `to`.
+export const matchPalettes = (from, to, metric) => {
+    const targets = to.map(color => ({ color, lab: rgbToLab(hexToRgb(color.hex)) }));
+    return from.map(color => {
+        const lab = rgbToLab(hexToRgb(color.hex));
+        let best = null;
+        for (const target of targets) {
+            const distance = deltaE(lab, target.lab, metric);
+            if (!best || distance < best.deltaE) best = { match: target.color, deltaE: distance };
+        }
+        return { color, ...best };
+    });
+};
+
+export const sameAspectRatio = (a, b, tolerance = 0.01) => {
+    const ratioA = a.width / a.height;
+    const ratioB = b.width / b.height;
+    return Math.abs(ratioA - ratioB) / ratioA <= tolerance;
+};
+
+export const DIFFERENCE_THRESHOLDS = [2, 5, 10];
+export const DIFFERENCE_MAP_MAX = 20;
+
+// Per-pixel ΔE76 between two equally sized RGBA buffers. ΔE76 keeps this
+// affordable on a million pixels; Lab values are cached per RGB triple.
+export const computeDifferenceMap = (dataA, dataB) => {
+    const cache = new Map();
+    const lab = (data, i) => {
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        let value = cache.get(key);
+        if (!value) {
+            value = rgbToLab([data[i], data[i + 1], data[i + 2]]);
+            cache.set(key, value);
+        }
+        return value;
+    };
+
+    const pixels = dataA.length / 4;
+    const map = new Float32Array(pixels);
+    const over = DIFFERENCE_THRESHOLDS.map(() => 0);
+    let sum = 0;
+    let max = 0;
+    for (let p = 0; p < pixels; p++) {
+        const i = p * 4;
+        const distance = deltaE76(lab(dataA, i), lab(dataB, i));
+        map[p] = distance;
+        sum += distance;
+        if (distance > max) max = distance;
+        DIFFERENCE_THRESHOLDS.forEach((threshold, t) => {
+            if (distance > threshold) over[t]++;
+        });
+    }
+
+    return {
+        map,
+        mean: pixels ? sum / pixels : 0,
+        max,
+        over: DIFFERENCE_THRESHOLDS.map((threshold, t) => ({
+            threshold,
+            percentage: pixels ? (over[t] / pixels) * 100 : 0
+        }))
+    };
+};
+
+// Black (identical) through red and yellow to white at DIFFERENCE_MAP_MAX.
+export const differenceToColor = (distance) => {
+    const t = Math.min(distance / DIFFERENCE_MAP_MAX, 1) * 3;
+    if (t < 1) return [Math.round(255 * t), 0, 0];
+    if (t < 2) return [255, Math.round(255 * (t - 1)), 0];
+    return [255, 255, Math.round(255 * (t - 2))];
+};
@@ -0,0 +1,50 @@
+import { TAC_SCALE, MAX_TAC } from './tac';
+
+export const COVERAGE_CHANNELS = ['cyan', 'magenta', 'yellow', 'black'];
+
+// Per-channel coverage is counted in whole percent, 0..100.
+export const COVERAGE_BINS = 101;
+
+export const coverageBin = (value) => Math.min(Math.max(Math.round(value), 0), COVERAGE_BINS - 1);
+
+// Folds the tenth-of-a-percent TAC distribution into 1% bins, 0..400.
+export const tacCoverage = (distribution) => {
+    const bins = new Array(MAX_TAC + 1).fill(0);
+    for (let level = 0; level < distribution.length; level++) {
+        bins[Math.min(Math.round(level / TAC_SCALE), MAX_TAC)] += distribution[level];
+    }
+    return bins;
+};
+
+// Pixels with at least BLACK_MIN_K% black count as black areas (text, rules
+// and solids). They are K-only while C+M+Y stays at or below K_ONLY_MAX_CMY
+// and rich black from RICH_BLACK_MIN_CMY up.
+export const BLACK_MIN_K = 80;
+export const K_ONLY_MAX_CMY = 10;
+export const RICH_BLACK_MIN_CMY = 30;
+
+// Median, 95th percentile and the share of the area with no ink and with
+// 100% or more, from a histogram of 1% bins.
+export const histogramStats = (bins) => {
+    const total = bins.reduce((sum, count) => sum + count, 0);
+    if (!total) return { total, median: 0, p95: 0, atZero: 0, atFull: 0 };
+
+    const percentile = (q) => {
+        const target = q * total;
+        let cumulative = 0;
+        for (let bin = 0; bin < bins.length; bin++) {
+            cumulative += bins[bin];
+            if (cumulative >= target) return bin;
+        }
+        return bins.length - 1;
+    };
+    const full = bins.slice(100).reduce((sum, count) => sum + count, 0);
+
+    return {
+        total,
+        median: percentile(0.5),
+        p95: percentile(0.95),
+        atZero: (bins[0] / total) * 100,
+        atFull: (full / total) * 100
+    };
+};
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import UTIF from 'utif';
+import { decodeImage, decodeRaster, resampleRgba } from '.';
+import { detectImageFormat } from '../imageFormat';
+
+const PSD_MODES = { rgb: 3, cmyk: 4 };
+
+// A minimal 8-bit PSD: header, empty color mode, resource and layer
+// sections, then the composite as raw (`compression` 0) or PackBits (1)
+// planes.
+const buildPsd = ({ width, height, mode, channels, compression = 0, data }) => {
+    const bytes = new Uint8Array(26 + 12 + 2 + data.length);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x38, 0x42, 0x50, 0x53]);
+    view.setUint16(4, 1);
+    view.setUint16(12, channels);
+    view.setUint32(14, height);
+    view.setUint32(18, width);
+    view.setUint16(22, 8);
+    view.setUint16(24, PSD_MODES[mode]);
+    view.setUint16(38, compression);
+    bytes.set(data, 40);
+    return bytes.buffer;
+};
+
+describe('decodeImage', () => {
+    it('reads the ink values of a CMYK PSD', async () => {
+        // Two pixels, cyan and black; Photoshop stores CMYK inverted.
+        const raster = await decodeImage(buildPsd({
+            width: 2,
+            height: 1,
+            mode: 'cmyk',
+            channels: 4,
+            data: [0, 255, 255, 255, 255, 255, 255, 0]
+        }));
+
+        expect(raster).toMatchObject({ format: 'PSD', width: 2, height: 1, colorSpace: 'CMYK', bitDepth: 8 });
+        expect(Array.from(raster.cmyk)).toEqual([255, 0, 0, 0, 0, 0, 0, 255]);
+        expect(Array.from(raster.rgba)).toEqual([0, 255, 255, 255, 0, 0, 0, 255]);
+    });
+
+    it('unpacks PackBits-compressed PSD composites', async () => {
+        // Per row: byte counts first, then a two-byte run of each value.
+        const rows = [10, 20, 30];
+        const data = [...rows.flatMap(() => [0, 2]), ...rows.flatMap(value => [255, value])];
+        const raster = await decodeImage(buildPsd({ width: 2, height: 1, mode: 'rgb', channels: 3, compression: 1, data }));
+
+        expect(raster.colorSpace).toBe('RGB');
+        expect(Array.from(raster.rgba)).toEqual([10, 20, 30, 255, 10, 20, 30, 255]);
+        expect(raster.cmyk).toBeNull();
+    });
+
+    it('decodes RGB TIFFs', async () => {
+        const rgba = new Uint8Array([255, 0, 0, 255, 0, 0, 255, 255]);
+        const raster = await decodeImage(UTIF.encodeImage(rgba, 2, 1));
+
+        expect(raster).toMatchObject({ format: 'TIFF', width: 2, height: 1, cmyk: null });
+        expect(Array.from(raster.rgba)).toEqual(Array.from(rgba));
+    });
+
+    it('leaves formats the browser can draw to an <img>', async () => {
+        const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        expect(await decodeImage(png.buffer)).toBeNull();
+    });
+});
+
+describe('decodeRaster', () => {
+    it('rejects files it cannot identify', async () => {
+        await expect(decodeRaster(new Uint8Array(16).buffer)).rejects.toThrow('Unrecognized image format');
+    });
+
+    it('rejects WebP outside the browser', async () => {
+        const webp = new TextEncoder().encode('RIFF\0\0\0\0WEBPVP8 ');
+        await expect(decodeRaster(webp.buffer)).rejects.toThrow('WebP files can only be analyzed in the browser');
+    });
+});
+
+describe('resampleRgba', () => {
+    const raster = { width: 9, height: 7, data: new Uint8ClampedArray(9 * 7 * 4).map((_, i) => (i * 37) % 256) };
+
+    it('downscales strips exactly as the whole image', () => {
+        const whole = resampleRgba(raster, 4, 3);
+        const strips = [resampleRgba(raster, 4, 3, { top: 0, rows: 2 }), resampleRgba(raster, 4, 3, { top: 2, rows: 1 })];
+
+        expect(Array.from(strips[0]).concat(Array.from(strips[1]))).toEqual(Array.from(whole));
+    });
+
+    it('copies strips of a raster at its own size', () => {
+        expect(resampleRgba(raster, 9, 7)).toBe(raster.data);
+        expect(Array.from(resampleRgba(raster, 9, 7, { top: 5, rows: 2 }))).toEqual(Array.from(raster.data.slice(9 * 5 * 4)));
+    });
+});
+
+describe('detectImageFormat', () => {
+    it('identifies files by their magic bytes', () => {
+        expect(detectImageFormat(new Uint8Array([0xff, 0xd8, 0xff]))).toBe('JPEG');
+        expect(detectImageFormat(new Uint8Array([0x4d, 0x4d, 0x00, 0x2a]))).toBe('TIFF');
+        expect(detectImageFormat(new Uint8Array([0x38, 0x42, 0x50, 0x53]))).toBe('PSD');
+        expect(detectImageFormat(new Uint8Array(12))).toBeNull();
+    });
+});
@@ -0,0 +1,46 @@
+import { detectImageFormat } from '../imageFormat';
+import { decodePsd } from './psd';
+import { jpegComponentCount, decodeCmykJpeg, decodeJpeg } from './jpeg';
+import { decodePng } from './png';
+
+export { readInk, resampleInk, resampleRgba } from './raster';
+
+// Dropzone accept map shared by every upload target.
+export const ACCEPTED_IMAGE_TYPES = {
+    'image/*': ['.jpeg', '.jpg', '.png', '.webp'],
+    'image/tiff': ['.tif', '.tiff'],
+    'image/vnd.adobe.photoshop': ['.psd']
+};
+
+// Decodes the formats browsers cannot draw (TIFF, PSD) or would convert
+// lossily (CMYK JPEG) into a raster; returns null for everything else so it
+// can go through a regular <img>.
+export const decodeImage = async (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    const format = detectImageFormat(bytes);
+
+    if (format === 'TIFF') {
+        // UTIF and its inflate dependency are only loaded for TIFFs.
+        const { decodeTiff } = await import('./tiff');
+        return decodeTiff(buffer);
+    }
+    if (format === 'PSD') {
+        return decodePsd(buffer);
+    }
+    if (format === 'JPEG' && jpegComponentCount(bytes) === 4) {
+        return decodeCmykJpeg(buffer);
+    }
+    return null;
+};
+
+// Decodes every format the analysis can read without a browser, for the CLI.
+// WebP has no decoder of ours and is rejected.
+export const decodeRaster = async (buffer) => {
+    const raster = await decodeImage(buffer);
+    if (raster) return raster;
+
+    const format = detectImageFormat(new Uint8Array(buffer));
+    if (format === 'PNG') return decodePng(buffer);
+    if (format === 'JPEG') return decodeJpeg(buffer);
+    throw new Error(format ? `${format} files can only be analyzed in the browser` : 'Unrecognized image format');
+};
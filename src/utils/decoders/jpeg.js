@@ -0,0 +1,48 @@
+import { cmykToRgba } from './raster';
+
+// Finds the frame header and returns its component count without decoding
+// the image, so only four-component (CMYK/YCCK) files take the slow path.
+export const jpegComponentCount = (bytes) => {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xff) return null;
+        const marker = bytes[offset + 1];
+        // SOF0..SOF15, excluding DHT (C4), JPG (C8) and DAC (CC).
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return bytes[offset + 9];
+        }
+        offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+    return null;
+};
+
+// Browsers convert CMYK JPEGs to RGB and drop the channels, so they are
+// decoded here instead. pdf.js's decoder (loaded on demand) handles the
+// inverted channels and YCCK transform Adobe applications write.
+export const decodeCmykJpeg = async (buffer) => {
+    const { JpegImage } = await import('pdfjs-dist/image_decoders/pdf.image_decoders.mjs');
+    const jpeg = new JpegImage();
+    jpeg.parse(new Uint8Array(buffer));
+    const { width, height } = jpeg;
+    const cmyk = new Uint8Array(jpeg.getData({ width, height }).buffer);
+    return { format: 'JPEG', width, height, bitDepth: 8, colorSpace: 'CMYK', rgba: cmykToRgba(cmyk, width, height), cmyk };
+};
+
+// Gray and RGB JPEGs, for environments without an <img> (the CLI).
+export const decodeJpeg = async (buffer) => {
+    if (jpegComponentCount(new Uint8Array(buffer)) === 4) return decodeCmykJpeg(buffer);
+    const { JpegImage } = await import('pdfjs-dist/image_decoders/pdf.image_decoders.mjs');
+    const jpeg = new JpegImage();
+    jpeg.parse(new Uint8Array(buffer));
+    const { width, height } = jpeg;
+    const rgb = jpeg.getData({ width, height, forceRGB: true });
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        rgba[p * 4] = rgb[p * 3];
+        rgba[p * 4 + 1] = rgb[p * 3 + 1];
+        rgba[p * 4 + 2] = rgb[p * 3 + 2];
+        rgba[p * 4 + 3] = 255;
+    }
+    const colorSpace = jpeg.numComponents === 1 ? 'Gray' : 'RGB';
+    return { format: 'JPEG', width, height, bitDepth: 8, colorSpace, rgba, cmyk: null };
+};
@@ -0,0 +1,159 @@
+// PNG decoding for environments without an <img> (the CLI). Browsers draw
+// PNGs themselves, so decodeImage never uses this.
+
+const SIGNATURE_LENGTH = 8;
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const COLOR_SPACES = { 0: 'Gray', 2: 'RGB', 3: 'Indexed', 4: 'Gray', 6: 'RGB' };
+
+// Adam7 passes: [x start, y start, x step, y step].
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+const inflate = async (bytes) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+};
+
+// Reverses the per-scanline filters and returns the raw rows.
+const unfilter = (data, offset, rowBytes, rows, bpp) => {
+    const out = new Uint8Array(rowBytes * rows);
+    for (let y = 0; y < rows; y++) {
+        const filter = data[offset + y * (rowBytes + 1)];
+        const source = offset + y * (rowBytes + 1) + 1;
+        const row = y * rowBytes;
+        const previous = row - rowBytes;
+        for (let x = 0; x < rowBytes; x++) {
+            const left = x >= bpp ? out[row + x - bpp] : 0;
+            const up = y > 0 ? out[previous + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? out[previous + x - bpp] : 0;
+            const value = data[source + x];
+            switch (filter) {
+                case 0: out[row + x] = value; break;
+                case 1: out[row + x] = value + left; break;
+                case 2: out[row + x] = value + up; break;
+                case 3: out[row + x] = value + ((left + up) >> 1); break;
+                case 4: out[row + x] = value + paeth(left, up, upLeft); break;
+                default: throw new Error(`Unknown PNG filter ${filter}`);
+            }
+        }
+    }
+    return out;
+};
+
+export const decodePng = async (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const chunks = [];
+
+    let offset = SIGNATURE_LENGTH;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = offset + 8;
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(data),
+                height: view.getUint32(data + 4),
+                bitDepth: bytes[data + 8],
+                colorType: bytes[data + 9],
+                interlaced: bytes[data + 12] === 1
+            };
+        } else if (type === 'PLTE') {
+            palette = bytes.subarray(data, data + length);
+        } else if (type === 'tRNS') {
+            transparency = bytes.subarray(data, data + length);
+        } else if (type === 'IDAT') {
+            chunks.push(bytes.subarray(data, data + length));
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset = data + length + 4;
+    }
+    if (!header || !chunks.length) throw new Error('The PNG has no image data');
+
+    const { width, height, bitDepth, colorType, interlaced } = header;
+    const channels = CHANNELS[colorType];
+    if (!channels) throw new Error(`Unknown PNG color type ${colorType}`);
+    if (colorType === 3 && !palette) throw new Error('The indexed PNG has no palette');
+
+    const compressed = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    chunks.reduce((position, chunk) => {
+        compressed.set(chunk, position);
+        return position + chunk.length;
+    }, 0);
+    const data = await inflate(compressed);
+
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const max = (1 << bitDepth) - 1;
+    // Single transparent gray or RGB value, compared at the file's depth.
+    const key = transparency && (colorType === 0 || colorType === 2)
+        ? Array.from({ length: channels }, (_, ch) => (transparency[ch * 2] << 8) | transparency[ch * 2 + 1])
+        : null;
+    const rgba = new Uint8ClampedArray(width * height * 4);
+
+    const readSample = (rows, row, rowBytes, index) => {
+        if (bitDepth === 16) {
+            const i = row * rowBytes + index * 2;
+            return (rows[i] << 8) | rows[i + 1];
+        }
+        if (bitDepth === 8) return rows[row * rowBytes + index];
+        const bit = index * bitDepth;
+        return (rows[row * rowBytes + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & max;
+    };
+    const to8 = (value) => (bitDepth === 16 ? value >> 8 : Math.round((value * 255) / max));
+
+    const writePixel = (rows, row, rowBytes, column, target) => {
+        const base = column * channels;
+        const i = target * 4;
+        if (colorType === 3) {
+            const entry = readSample(rows, row, rowBytes, base);
+            rgba[i] = palette[entry * 3];
+            rgba[i + 1] = palette[entry * 3 + 1];
+            rgba[i + 2] = palette[entry * 3 + 2];
+            rgba[i + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+            return;
+        }
+        const color = channels >= 3;
+        const r = readSample(rows, row, rowBytes, base);
+        const g = color ? readSample(rows, row, rowBytes, base + 1) : r;
+        const b = color ? readSample(rows, row, rowBytes, base + 2) : r;
+        rgba[i] = to8(r);
+        rgba[i + 1] = to8(g);
+        rgba[i + 2] = to8(b);
+        if (key && r === key[0] && (!color || (g === key[1] && b === key[2]))) {
+            rgba[i + 3] = 0;
+        } else {
+            rgba[i + 3] = channels === 2 || channels === 4 ? to8(readSample(rows, row, rowBytes, base + channels - 1)) : 255;
+        }
+    };
+
+    const passes = interlaced ? ADAM7 : [[0, 0, 1, 1]];
+    let position = 0;
+    for (const [startX, startY, stepX, stepY] of passes) {
+        const passWidth = Math.ceil((width - startX) / stepX);
+        const passHeight = Math.ceil((height - startY) / stepY);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+        const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+        const rows = unfilter(data, position, rowBytes, passHeight, bpp);
+        position += (rowBytes + 1) * passHeight;
+        for (let row = 0; row < passHeight; row++) {
+            for (let column = 0; column < passWidth; column++) {
+                writePixel(rows, row, rowBytes, column, (startY + row * stepY) * width + startX + column * stepX);
+            }
+        }
+    }
+
+    return { format: 'PNG', width, height, bitDepth, colorSpace: COLOR_SPACES[colorType], rgba, cmyk: null };
+};
@@ -0,0 +1,107 @@
+import { createSampleReader, cmykToRgba } from './raster';
+
+const MODE_GRAYSCALE = 1;
+const MODE_RGB = 3;
+const MODE_CMYK = 4;
+const COMPRESSION_RAW = 0;
+const COMPRESSION_RLE = 1;
+
+// PackBits, as used for the scanlines of the composite image.
+const unpackBits = (bytes, offset, length, out, outOffset) => {
+    const end = offset + length;
+    let i = offset;
+    let o = outOffset;
+    while (i < end) {
+        const header = bytes[i++];
+        if (header < 128) {
+            const count = header + 1;
+            out.set(bytes.subarray(i, i + count), o);
+            i += count;
+            o += count;
+        } else if (header > 128) {
+            const count = 257 - header;
+            out.fill(bytes[i++], o, o + count);
+            o += count;
+        }
+    }
+};
+
+// Reads the planar channel data of the flattened composite that Photoshop
+// stores after the layers ("Maximize compatibility" must have been on).
+const readPlanes = (bytes, view, offset, { width, height, channels, bitDepth }) => {
+    const rowBytes = width * (bitDepth / 8);
+    const planeBytes = rowBytes * height;
+    const planes = new Uint8Array(planeBytes * channels);
+    const compression = view.getUint16(offset);
+    let position = offset + 2;
+
+    if (compression === COMPRESSION_RAW) {
+        planes.set(bytes.subarray(position, position + planes.length));
+    } else if (compression === COMPRESSION_RLE) {
+        const rows = channels * height;
+        let data = position + rows * 2;
+        for (let row = 0; row < rows; row++) {
+            const length = view.getUint16(position + row * 2);
+            unpackBits(bytes, data, length, planes, row * rowBytes);
+            data += length;
+        }
+    } else {
+        throw new Error('ZIP-compressed PSD composites are not supported');
+    }
+    return { planes, planeBytes };
+};
+
+// Decodes the composite image of an 8- or 16-bit grayscale, RGB or CMYK PSD.
+// Layers are not rendered; the composite is what Photoshop saved flattened.
+export const decodePsd = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    if (view.getUint16(4) !== 1) throw new Error('Large document (PSB) files are not supported');
+
+    const channels = view.getUint16(12);
+    const height = view.getUint32(14);
+    const width = view.getUint32(18);
+    const bitDepth = view.getUint16(22);
+    const mode = view.getUint16(24);
+    if (![MODE_GRAYSCALE, MODE_RGB, MODE_CMYK].includes(mode)) {
+        throw new Error('Only grayscale, RGB and CMYK PSDs are supported');
+    }
+    if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`${bitDepth}-bit PSDs are not supported`);
+
+    // Skip the color mode data, image resources and layer sections.
+    let offset = 26;
+    for (let section = 0; section < 3; section++) {
+        offset += 4 + view.getUint32(offset);
+    }
+
+    const { planes, planeBytes } = readPlanes(bytes, view, offset, { width, height, channels, bitDepth });
+    const read = createSampleReader(planes, bitDepth, false);
+    const planeSamples = planeBytes / (bitDepth / 8);
+    const pixels = width * height;
+
+    if (mode === MODE_CMYK) {
+        if (channels < 4) throw new Error('The CMYK composite has fewer than four channels');
+        // Photoshop stores CMYK inverted: 255 is paper white.
+        const cmyk = new Uint8Array(pixels * 4);
+        for (let p = 0; p < pixels; p++) {
+            for (let ch = 0; ch < 4; ch++) cmyk[p * 4 + ch] = 255 - read(ch * planeSamples + p);
+        }
+        return { format: 'PSD', width, height, bitDepth, colorSpace: 'CMYK', rgba: cmykToRgba(cmyk, width, height), cmyk };
+    }
+
+    const rgba = new Uint8ClampedArray(pixels * 4);
+    const sources = mode === MODE_RGB ? [0, 1, 2] : [0, 0, 0];
+    for (let p = 0; p < pixels; p++) {
+        for (let ch = 0; ch < 3; ch++) rgba[p * 4 + ch] = read(sources[ch] * planeSamples + p);
+        rgba[p * 4 + 3] = 255;
+    }
+    return {
+        format: 'PSD',
+        width,
+        height,
+        bitDepth,
+        colorSpace: mode === MODE_RGB ? 'RGB' : 'Gray',
+        rgba,
+        cmyk: null
+    };
+};
@@ -0,0 +1,92 @@
+// A decoded raster is { format, width, height, bitDepth, colorSpace, rgba,
+// cmyk }. `rgba` is what gets drawn on screen; `cmyk` holds the file's own
+// ink values (0..255 per channel, interleaved) when the source is CMYK and
+// is null otherwise.
+
+export const INK_SCALE = 100 / 255;
+
+// CMYK percentages of pixel `index` in an interleaved ink buffer.
+export const readInk = (cmyk, index) => {
+    const i = index * 4;
+    return [cmyk[i] * INK_SCALE, cmyk[i + 1] * INK_SCALE, cmyk[i + 2] * INK_SCALE, cmyk[i + 3] * INK_SCALE];
+};
+
+// Returns a reader for 8- or 16-bit samples that yields 8-bit values, so
+// every decoder can treat deep files like ordinary ones.
+export const createSampleReader = (bytes, bitDepth, littleEndian) => {
+    if (bitDepth === 8) return (index) => bytes[index];
+    if (bitDepth === 16) {
+        const high = littleEndian ? 1 : 0;
+        return (index) => bytes[index * 2 + high];
+    }
+    throw new Error(`${bitDepth}-bit samples are not supported`);
+};
+
+// On-screen colors for CMYK ink values, using the same uncalibrated formula
+// a browser applies to an untagged CMYK file.
+export const cmykToRgba = (cmyk, width, height) => {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        const white = 255 - cmyk[i + 3];
+        rgba[i] = (255 - cmyk[i]) * white / 255;
+        rgba[i + 1] = (255 - cmyk[i + 1]) * white / 255;
+        rgba[i + 2] = (255 - cmyk[i + 2]) * white / 255;
+        rgba[i + 3] = 255;
+    }
+    return rgba;
+};
+
+// Nearest-neighbour resampling of rows `top`..`top + rows` of the ink buffer
+// at `width` x `height`. Ink values are not averaged, so solid and
+// overprint combinations (and their TAC) survive downscaling unchanged.
+export const resampleInk = (raster, width, height, { top = 0, rows = height } = {}) => {
+    const out = new Uint8Array(width * rows * 4);
+    const scaleX = raster.width / width;
+    const scaleY = raster.height / height;
+    for (let row = 0; row < rows; row++) {
+        const sourceRow = Math.min(Math.floor((top + row + 0.5) * scaleY), raster.height - 1) * raster.width;
+        for (let x = 0; x < width; x++) {
+            const source = (sourceRow + Math.min(Math.floor((x + 0.5) * scaleX), raster.width - 1)) * 4;
+            const target = (row * width + x) * 4;
+            out[target] = raster.cmyk[source];
+            out[target + 1] = raster.cmyk[source + 1];
+            out[target + 2] = raster.cmyk[source + 2];
+            out[target + 3] = raster.cmyk[source + 3];
+        }
+    }
+    return out;
+};
+
+// Area-average downscale of rows `top`..`top + rows` of an RGBA raster
+// ({ width, height, data }) at `width` x `height`, the stand-in for drawing
+// the image onto a smaller canvas. Returns the pixels unchanged when the
+// whole raster is asked for at its own size.
+export const resampleRgba = (raster, width, height, { top = 0, rows = height } = {}) => {
+    if (width === raster.width && height === raster.height) {
+        if (top === 0 && rows === height) return raster.data;
+        return raster.data.slice(top * width * 4, (top + rows) * width * 4);
+    }
+    const out = new Uint8ClampedArray(width * rows * 4);
+    const scaleX = raster.width / width;
+    const scaleY = raster.height / height;
+    for (let row = 0; row < rows; row++) {
+        const y = top + row;
+        const sourceTop = Math.floor(y * scaleY);
+        const bottom = Math.max(Math.min(Math.floor((y + 1) * scaleY), raster.height), sourceTop + 1);
+        for (let x = 0; x < width; x++) {
+            const left = Math.floor(x * scaleX);
+            const right = Math.max(Math.min(Math.floor((x + 1) * scaleX), raster.width), left + 1);
+            const sums = [0, 0, 0, 0];
+            for (let sy = sourceTop; sy < bottom; sy++) {
+                for (let sx = left; sx < right; sx++) {
+                    const i = (sy * raster.width + sx) * 4;
+                    for (let ch = 0; ch < 4; ch++) sums[ch] += raster.data[i + ch];
+                }
+            }
+            const count = (bottom - sourceTop) * (right - left);
+            const target = (row * width + x) * 4;
+            for (let ch = 0; ch < 4; ch++) out[target + ch] = sums[ch] / count;
+        }
+    }
+    return out;
+};
@@ -0,0 +1,51 @@
+import UTIF from 'utif';
+import { createSampleReader, cmykToRgba } from './raster';
+
+const PHOTOMETRIC_RGB = 2;
+const PHOTOMETRIC_SEPARATED = 5;
+// Interpretations UTIF.toRGBA8 can convert: WhiteIsZero, BlackIsZero, RGB
+// and palette.
+const RGBA_COLOR_SPACES = ['Gray', 'Gray', 'RGB', 'Indexed'];
+const INK_SET_CMYK = 1;
+
+// Decodes the first page of a TIFF. CMYK (separated) files keep their ink
+// values; everything else UTIF understands is converted to 8-bit RGBA.
+export const decodeTiff = (buffer) => {
+    const [ifd] = UTIF.decode(buffer);
+    if (!ifd?.t256) throw new Error('The TIFF contains no image');
+    if (ifd.t284?.[0] === 2) throw new Error('Planar TIFFs are not supported; save with interleaved channels');
+
+    UTIF.decodeImage(buffer, ifd);
+    const { width, height } = ifd;
+    const photometric = ifd.t262?.[0] ?? PHOTOMETRIC_RGB;
+    const bitDepth = ifd.t258?.[0] ?? 1;
+    const channels = ifd.t277?.[0] ?? ifd.t258?.length ?? 1;
+
+    if (photometric === PHOTOMETRIC_SEPARATED) {
+        if ((ifd.t332?.[0] ?? INK_SET_CMYK) !== INK_SET_CMYK || channels < 4) {
+            throw new Error('Only CMYK separated TIFFs are supported');
+        }
+        // UTIF has already swapped 16-bit samples to little-endian.
+        const read = createSampleReader(ifd.data, bitDepth, true);
+        const cmyk = new Uint8Array(width * height * 4);
+        for (let p = 0; p < width * height; p++) {
+            for (let ch = 0; ch < 4; ch++) cmyk[p * 4 + ch] = read(p * channels + ch);
+        }
+        return { format: 'TIFF', width, height, bitDepth, colorSpace: 'CMYK', rgba: cmykToRgba(cmyk, width, height), cmyk };
+    }
+
+    const colorSpace = RGBA_COLOR_SPACES[photometric];
+    if (!colorSpace) {
+        throw new Error(`TIFF photometric interpretation ${photometric} is not supported`);
+    }
+    const rgba = UTIF.toRGBA8(ifd);
+    return {
+        format: 'TIFF',
+        width,
+        height,
+        bitDepth,
+        colorSpace,
+        rgba: new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.length),
+        cmyk: null
+    };
+};
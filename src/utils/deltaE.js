@@ -0,0 +1,118 @@
+import convert from 'color-convert';
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+// D65 / 2° observer, unrounded so small differences survive.
+export const rgbToLab = (rgb) => convert.rgb.lab.raw(rgb);
+
+const D50_WHITE = [96.422, 100, 82.521];
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+// Bradford adaptation of XYZ from D50 to D65.
+const BRADFORD_D50_TO_D65 = [
+    [0.9555766, -0.0230393, 0.0631636],
+    [-0.0282895, 1.0099416, 0.0210077],
+    [0.0122982, -0.0204830, 1.3299098]
+];
+
+// Measured and exchanged Lab (ASE swatches, spectrophotometer readings) is
+// relative to D50 by graphic-arts convention; this brings it to the D65 of
+// rgbToLab so ΔE between the two carries no white point bias.
+export const labD50ToD65 = ([L, a, b]) => {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = (f) => (f ** 3 > LAB_EPSILON ? f ** 3 : (116 * f - 16) / LAB_KAPPA);
+    const xyz = [
+        inverse(fx) * D50_WHITE[0],
+        (L > LAB_KAPPA * LAB_EPSILON ? fy ** 3 : L / LAB_KAPPA) * D50_WHITE[1],
+        inverse(fz) * D50_WHITE[2]
+    ];
+    return convert.xyz.lab.raw(BRADFORD_D50_TO_D65.map(row => row[0] * xyz[0] + row[1] * xyz[1] + row[2] * xyz[2]));
+};
+
+export const deltaE76 = ([L1, a1, b1], [L2, a2, b2]) =>
+    Math.sqrt((L2 - L1) ** 2 + (a2 - a1) ** 2 + (b2 - b1) ** 2);
+
+// Graphic arts weighting (kL = 1, K1 = 0.045, K2 = 0.015).
+export const deltaE94 = ([L1, a1, b1], [L2, a2, b2]) => {
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const dL = L1 - L2;
+    const dC = C1 - C2;
+    const dH2 = Math.max(0, (a1 - a2) ** 2 + (b1 - b2) ** 2 - dC * dC);
+    const sC = 1 + 0.045 * C1;
+    const sH = 1 + 0.015 * C1;
+    return Math.sqrt(dL * dL + (dC / sC) ** 2 + dH2 / (sH * sH));
+};
+
+// CIEDE2000 per Sharma, Wu & Dalal (2005), kL = kC = kH = 1.
+export const deltaE2000 = ([L1, a1, b1], [L2, a2, b2]) => {
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const Cbar7 = ((C1 + C2) / 2) ** 7;
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+    const h1p = C1p === 0 ? 0 : (toDegrees(Math.atan2(b1, a1p)) + 360) % 360;
+    const h2p = C2p === 0 ? 0 : (toDegrees(Math.atan2(b2, a2p)) + 360) % 360;
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+        else hbarp = h1p + h2p < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos(toRadians(hbarp - 30))
+        + 0.24 * Math.cos(toRadians(2 * hbarp))
+        + 0.32 * Math.cos(toRadians(3 * hbarp + 6))
+        - 0.20 * Math.cos(toRadians(4 * hbarp - 63));
+    const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+    const Cbarp7 = Cbarp ** 7;
+    const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7));
+    const SL = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+    const SC = 1 + 0.045 * Cbarp;
+    const SH = 1 + 0.015 * Cbarp * T;
+    const RT = -Math.sin(toRadians(2 * dTheta)) * RC;
+
+    return Math.sqrt(
+        (dLp / SL) ** 2 +
+        (dCp / SC) ** 2 +
+        (dHp / SH) ** 2 +
+        RT * (dCp / SC) * (dHp / SH)
+    );
+};
+
+export const DELTA_E_METRICS = {
+    de76: { label: 'ΔE76', run: deltaE76 },
+    de94: { label: 'ΔE94', run: deltaE94 },
+    de2000: { label: 'ΔE2000', run: deltaE2000 }
+};
+
+export const DEFAULT_DELTA_E_METRIC = 'de2000';
+export const DEFAULT_DELTA_E_TOLERANCE = 3;
+export const MAX_DELTA_E_TOLERANCE = 20;
+
+export const deltaE = (lab1, lab2, metric = DEFAULT_DELTA_E_METRIC) => {
+    const entry = DELTA_E_METRICS[metric];
+    if (!entry) throw new Error(`Unknown ΔE metric: ${metric}`);
+    return entry.run(lab1, lab2);
+};
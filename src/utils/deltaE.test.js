@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { deltaE, deltaE76, deltaE94, deltaE2000, labD50ToD65, rgbToLab } from './deltaE';
+
+// Pairs from Sharma, Wu & Dalal (2005), table 1.
+const SHARMA_PAIRS = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+    [[50, 0, 0], [50, -1, 2], 2.3669],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644]
+];
+
+describe('deltaE2000', () => {
+    it('matches the published test data', () => {
+        for (const [lab1, lab2, expected] of SHARMA_PAIRS) {
+            expect(deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4);
+            expect(deltaE2000(lab2, lab1)).toBeCloseTo(expected, 4);
+        }
+    });
+});
+
+describe('deltaE76 and deltaE94', () => {
+    it('measure the Euclidean and chroma-weighted distance', () => {
+        expect(deltaE76([50, 0, 0], [53, 4, 0])).toBe(5);
+        // Neutral reference: no chroma weighting, so the hue difference counts in full.
+        expect(deltaE94([50, 0, 0], [50, -1, 2])).toBeCloseTo(Math.sqrt(5));
+    });
+
+    it('are selected by metric name', () => {
+        expect(deltaE([50, 0, 0], [53, 4, 0], 'de76')).toBe(5);
+        expect(() => deltaE([0, 0, 0], [0, 0, 0], 'de00')).toThrow('Unknown ΔE metric: de00');
+    });
+});
+
+describe('labD50ToD65', () => {
+    it('keeps neutrals neutral', () => {
+        for (const L of [0, 20, 50, 100]) {
+            const [L65, a, b] = labD50ToD65([L, 0, 0]);
+            expect(L65).toBeCloseTo(L, 3);
+            expect(a).toBeCloseTo(0, 3);
+            expect(b).toBeCloseTo(0, 3);
+        }
+    });
+
+    it('moves chromatic colors by a small white point correction', () => {
+        const red = [53.1, 69.8, 39.2];
+        const shift = deltaE76(red, labD50ToD65(red));
+        expect(shift).toBeGreaterThan(0.5);
+        expect(shift).toBeLessThan(5);
+    });
+});
+
+describe('rgbToLab', () => {
+    it('puts sRGB white at the D65 white point', () => {
+        const [L, a, b] = rgbToLab([255, 255, 255]);
+        expect(L).toBeCloseTo(100, 1);
+        expect(Math.hypot(a, b)).toBeLessThan(0.1);
+    });
+});
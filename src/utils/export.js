@@ -0,0 +1,287 @@
+import { hexToRgb } from './color';
+import { describeSampling } from './analysisCore';
+import { describeFormat } from './metadata';
+import { describePreflightIssues } from './preflight';
+
+const CHANNELS = ['cyan', 'magenta', 'yellow', 'black'];
+
+export const downloadFile = (content, filename, type) => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exportBaseName = (colorStats) => {
+    const name = colorStats.image?.name || 'image';
+    return `${name.replace(/\.[^.]+$/, '')}-color-analysis`;
+};
+
+const serializeTac = (tac) => tac && { max: tac.max, histogram: tac.histogram };
+
+// colorStats without the canvas, the per-pixel TAC map and the raw TAC
+// distributions (overall and per region), which are only meaningful inside
+// the running page.
+export const serializeColorStats = (colorStats) => {
+    const { canvasData: _canvasData, tac, regions, ...rest } = colorStats;
+    return {
+        ...rest,
+        tac: serializeTac(tac),
+        regions: regions && {
+            ...regions,
+            items: regions.items.map(item => ({ ...item, tac: serializeTac(item.tac) }))
+        }
+    };
+};
+
+// `samples` are the pinned eyedropper points (see utils/eyedropper.js) and
+// `preflight` the result of evaluatePreflight (see utils/preflight.js).
+export const buildAnalysisJson = (colorStats, { samples = [], preflight = null } = {}) => JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ...serializeColorStats(colorStats),
+    preflight,
+    samples
+}, null, 2);
+
+const csvCell = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const buildCsv = (header, rows) => [header, ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n') + '\n';
+
+export const buildPaletteCsv = (colors) => buildCsv(
+    ['hex', 'r', 'g', 'b', 'c', 'm', 'y', 'k', 'percentage', 'count'],
+    colors.map(color => [
+        color.hex,
+        ...hexToRgb(color.hex),
+        ...color.cmyk,
+        color.percentage.toFixed(2),
+        color.count
+    ])
+);
+
+export const buildSamplesCsv = (samples) => buildCsv(
+    ['point', 'image_x', 'image_y', 'hex', 'r', 'g', 'b', 'lab_l', 'lab_a', 'lab_b', 'c', 'm', 'y', 'k', 'tac', 'cluster', 'cluster_hex', 'cluster_delta_e'],
+    samples.map((sample, index) => [
+        index + 1,
+        sample.x,
+        sample.y,
+        sample.hex,
+        ...sample.rgb,
+        ...sample.lab,
+        ...sample.cmyk,
+        sample.tac,
+        sample.cluster ? sample.cluster.index + 1 : '',
+        sample.cluster?.hex ?? '',
+        sample.cluster?.deltaE ?? ''
+    ])
+);
+
+const imageToJpeg = (source, maxSize = 800) => {
+    const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return { data: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height };
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load image for the report'));
+    img.src = src;
+});
+
+const fitBox = (image, maxWidth, maxHeight) => {
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+    return [image.width * scale, image.height * scale];
+};
+
+const PDF_VERDICT_COLORS = { pass: [39, 174, 96], warn: [211, 84, 0], fail: [192, 57, 43] };
+
+// Builds an A4 report: summary and thumbnail, the CMYK pie, the preflight
+// verdict, the swatch grid, any pinned sample points and the four channel
+// separations.
+// `channelPreviews` maps channel names to image URLs and `pieImage` is a data
+// URL of the rendered chart.
+export const buildPdfReport = async ({ colorStats, image, pieImage, channelPreviews, samples = [], preflight = null }) => {
+    const { jsPDF } = await import('jspdf');
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 15;
+    const contentWidth = pageWidth - margin * 2;
+
+    doc.setFontSize(20);
+    doc.text('Image Color Analysis', margin, margin + 5);
+    doc.setFontSize(9);
+    doc.setTextColor(110);
+    const details = [
+        colorStats.image?.name,
+        new Date().toLocaleString(),
+        `Profile: ${colorStats.profile.name}`,
+        `${colorStats.totalPixels.toLocaleString()} pixels analyzed (${describeSampling(colorStats)})`
+    ].filter(Boolean);
+    doc.text(details.join('  ·  '), margin, margin + 12);
+    const { metadata } = colorStats.image ?? {};
+    if (metadata) {
+        const fileDetails = [
+            `${colorStats.image.width} × ${colorStats.image.height} px ${describeFormat(metadata)}`,
+            metadata.dpi && `${metadata.dpi.x} dpi`,
+            `Embedded profile: ${metadata.profile?.name ?? 'none'}`
+        ].filter(Boolean);
+        doc.text(fileDetails.join('  ·  '), margin, margin + 16);
+    }
+    doc.setTextColor(0);
+
+    let y = margin + 20;
+    const thumbnail = imageToJpeg(image);
+    const [thumbWidth, thumbHeight] = fitBox(thumbnail, contentWidth / 2 - 5, 80);
+    doc.addImage(thumbnail.data, 'JPEG', margin, y, thumbWidth, thumbHeight);
+
+    if (pieImage) {
+        const pie = await loadImage(pieImage);
+        const [pieWidth, pieHeight] = fitBox(pie, contentWidth / 2 - 5, 80);
+        doc.addImage(pieImage, 'PNG', margin + contentWidth / 2 + 5, y, pieWidth, pieHeight);
+    }
+    y += 85;
+
+    doc.setFontSize(12);
+    doc.text('Overall CMYK Composition', margin, y);
+    doc.setFontSize(10);
+    y += 6;
+    CHANNELS.forEach((channel, index) => {
+        const label = `${channel.charAt(0).toUpperCase() + channel.slice(1)}: ${colorStats.overallCmyk[channel].toFixed(1)}%`;
+        doc.text(label, margin + index * (contentWidth / 4), y);
+    });
+    if (colorStats.tac) {
+        y += 6;
+        doc.text(`Maximum TAC: ${colorStats.tac.max.toFixed(1)}%`, margin, y);
+    }
+    y += 10;
+
+    if (preflight) {
+        doc.setFontSize(12);
+        doc.text(`Preflight: ${preflight.verdict.toUpperCase()} (${preflight.profile})`, margin, y);
+        doc.setFontSize(8);
+        for (const result of preflight.results) {
+            y += 5;
+            const lines = doc.splitTextToSize(`${result.verdict.toUpperCase()}  ${result.label}: ${result.message}`, contentWidth);
+            doc.setTextColor(...PDF_VERDICT_COLORS[result.verdict]);
+            doc.text(lines, margin, y);
+            y += (lines.length - 1) * 3.5;
+        }
+        doc.setTextColor(0);
+        y += 10;
+    }
+
+    doc.setFontSize(12);
+    doc.text(`Top Colors (${colorStats.colors.length})`, margin, y);
+    y += 4;
+    const columns = 8;
+    const cell = contentWidth / columns;
+    const swatch = cell - 3;
+    colorStats.colors.forEach((color, index) => {
+        const column = index % columns;
+        if (column === 0 && index > 0) y += swatch + 10;
+        if (column === 0 && y + swatch + 10 > pageHeight - margin) {
+            doc.addPage();
+            y = margin;
+        }
+        const x = margin + column * cell;
+        doc.setFillColor(...hexToRgb(color.hex));
+        doc.setDrawColor(200);
+        doc.rect(x, y, swatch, swatch, 'FD');
+        doc.setFontSize(6.5);
+        doc.text(`${color.hex}  ${color.percentage.toFixed(1)}%`, x, y + swatch + 3);
+        doc.text(`CMYK ${color.cmyk.join('/')}`, x, y + swatch + 6);
+    });
+
+    if (samples.length) {
+        y += swatch + 16;
+        if (y + 10 > pageHeight - margin) {
+            doc.addPage();
+            y = margin;
+        }
+        doc.setFontSize(12);
+        doc.text(`Sample Points (${samples.length})`, margin, y);
+        doc.setFontSize(8);
+        samples.forEach((sample, index) => {
+            y += 8;
+            if (y + 4 > pageHeight - margin) {
+                doc.addPage();
+                y = margin;
+            }
+            doc.setFillColor(...sample.rgb);
+            doc.setDrawColor(200);
+            doc.rect(margin, y - 3, 6, 6, 'FD');
+            const cluster = sample.cluster
+                ? `  ·  Palette #${sample.cluster.index + 1} ${sample.cluster.hex} (dE ${sample.cluster.deltaE})`
+                : '';
+            doc.text(
+                `#${index + 1}  x ${sample.x}, y ${sample.y}  ·  ${sample.hex}  ·  RGB ${sample.rgb.join('/')}  ·  Lab ${sample.lab.join('/')}`,
+                margin + 8,
+                y
+            );
+            doc.text(`CMYK ${sample.cmyk.join('/')}  ·  TAC ${sample.tac}%${cluster}`, margin + 8, y + 3.5);
+        });
+    }
+
+    doc.addPage();
+    doc.setFontSize(12);
+    doc.text('Channel Separations', margin, margin + 5);
+    const slotWidth = contentWidth / 2 - 5;
+    const slotHeight = (pageHeight - margin * 2 - 30) / 2;
+    for (const [index, channel] of CHANNELS.entries()) {
+        const src = channelPreviews[channel];
+        if (!src) continue;
+        const preview = imageToJpeg(await loadImage(src));
+        const [width, height] = fitBox(preview, slotWidth, slotHeight - 8);
+        const x = margin + (index % 2) * (slotWidth + 10);
+        const top = margin + 12 + Math.floor(index / 2) * slotHeight;
+        doc.setFontSize(10);
+        doc.text(channel.charAt(0).toUpperCase() + channel.slice(1), x, top + 4);
+        doc.addImage(preview.data, 'JPEG', x, top + 6, width, height);
+    }
+
+    return doc.output('blob');
+};
+
+// Combined report for a batch: one row per image, dominant colors as a
+// space-separated list of hex codes. Results are { name, stats, preflight }.
+export const buildBatchCsv = (results) => buildCsv(
+    [
+        'file', 'cyan', 'magenta', 'yellow', 'black', 'max_tac', 'pixels_analyzed', 'dominant_colors', 'profile',
+        'preflight', 'preflight_issues'
+    ],
+    results.map(({ name, stats, preflight }) => [
+        name,
+        stats.overallCmyk.cyan.toFixed(2),
+        stats.overallCmyk.magenta.toFixed(2),
+        stats.overallCmyk.yellow.toFixed(2),
+        stats.overallCmyk.black.toFixed(2),
+        stats.tac.max.toFixed(1),
+        stats.totalPixels,
+        stats.colors.slice(0, 5).map(color => color.hex).join(' '),
+        stats.profile.name,
+        preflight?.verdict ?? '',
+        preflight ? describePreflightIssues(preflight) : ''
+    ])
+);
+
+export const buildBatchJson = (results) => JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    images: results.map(({ stats, preflight = null }) => ({ ...serializeColorStats(stats), preflight }))
+}, null, 2);
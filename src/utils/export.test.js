@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { createAnalysisSession, DEFAULT_QUANTIZER_OPTIONS } from './analysisCore';
+import { DEFAULT_BLACK_GENERATION } from './blackGeneration';
+import { DEFAULT_RENDERING_INTENT } from './colorManagement';
+import { serializeColorStats } from './export';
+
+describe('serializeColorStats', () => {
+    it('leaves the TAC map and distributions out, including per region', () => {
+        const session = createAnalysisSession({
+            width: 4,
+            height: 4,
+            previewWidth: 4,
+            previewHeight: 4,
+            sampleEvery: 1,
+            quantizer: DEFAULT_QUANTIZER_OPTIONS,
+            profile: { buffer: null, intent: DEFAULT_RENDERING_INTENT },
+            blackGeneration: DEFAULT_BLACK_GENERATION,
+            regions: { mode: 'include', items: [{ id: 'a', label: 'A' }] }
+        });
+        session.addTile({
+            data: new Uint8ClampedArray(4 * 4 * 4).fill(255),
+            x: 0,
+            y: 0,
+            width: 4,
+            height: 4,
+            mask: new Uint8Array(16).fill(1),
+            cmyk: null
+        });
+        const stats = session.finish();
+        const serialized = serializeColorStats(stats);
+
+        expect(serialized.tac).toEqual({ max: 0, histogram: stats.tac.histogram });
+        expect(serialized.regions.items[0].tac).toEqual({ max: 0, histogram: stats.regions.items[0].tac.histogram });
+        expect(JSON.stringify(serialized).length).toBeLessThan(10000);
+    });
+});
@@ -0,0 +1,49 @@
+import { rgbToHex } from './color';
+import { rgbToLab, deltaE } from './deltaE';
+import { readInk } from './decoders';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Maps a pointer position over an element showing the analysis canvas (at
+// any display size) to a pixel of that canvas.
+export const pointerToPixel = (event, element, { width, height }) => {
+    const rect = element.getBoundingClientRect();
+    const clamp = (value, max) => Math.min(Math.max(Math.floor(value), 0), max - 1);
+    return {
+        x: clamp(((event.clientX - rect.left) / rect.width) * width, width),
+        y: clamp(((event.clientY - rect.top) / rect.height) * height, height)
+    };
+};
+
+// Everything known about one pixel of the analysis canvas. `point` is in
+// canvas pixels; the returned `x`/`y` are in pixels of the original image.
+// CMYK files report their own ink values, others are separated with
+// `transform`. The cluster is the nearest palette color by the ΔE metric
+// the palette was grouped with.
+export const readSample = (colorStats, transform, point) => {
+    const { canvasData, colors, settings } = colorStats;
+    const image = colorStats.image ?? canvasData;
+    const [r, g, b] = canvasData.ctx.getImageData(point.x, point.y, 1, 1).data;
+    const rgb = [r, g, b];
+    const lab = rgbToLab(rgb);
+    const cmyk = canvasData.cmyk
+        ? readInk(canvasData.cmyk, point.y * canvasData.width + point.x)
+        : transform.rgbToCmyk(rgb);
+
+    let cluster = null;
+    colors.forEach((color, index) => {
+        const distance = deltaE(lab, color.lab, settings.quantizer.metric);
+        if (!cluster || distance < cluster.deltaE) cluster = { index, hex: color.hex, deltaE: distance };
+    });
+
+    return {
+        x: Math.floor(((point.x + 0.5) * image.width) / canvasData.width),
+        y: Math.floor(((point.y + 0.5) * image.height) / canvasData.height),
+        rgb,
+        hex: rgbToHex(r, g, b),
+        lab: lab.map(round),
+        cmyk: cmyk.map(round),
+        tac: round(cmyk.reduce((sum, value) => sum + value, 0)),
+        cluster: cluster && { ...cluster, deltaE: round(cluster.deltaE) }
+    };
+};
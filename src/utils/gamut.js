@@ -0,0 +1,129 @@
+import convert from 'color-convert';
+import { rgbToLab } from './deltaE';
+import { NAIVE_PROFILE_NAME } from './colorManagement';
+import { createPressModel, COATED_PRIMARIES } from './pressModel';
+
+export const DEFAULT_GAMUT_OVERLAY = '#00ff00';
+
+// Chroma (in ΔE units) a color may exceed the boundary by before it is
+// flagged; absorbs the coarseness of the boundary grid.
+export const GAMUT_TOLERANCE = 3;
+
+export const REFERENCE_GAMUT_NAME = 'Reference coated press';
+
+const L_STEP = 5;
+const L_BINS = 100 / L_STEP + 1;
+const HUE_STEP = 10;
+const HUE_BINS = 360 / HUE_STEP;
+const SAMPLE_STEPS = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+const BLACK_STEPS = [0, 25, 50, 75, 100];
+
+const toLch = ([L, a, b]) => [L, Math.sqrt(a * a + b * b), (Math.atan2(b, a) * 180 / Math.PI + 360) % 360];
+
+// Gamut boundary descriptor: the maximum printable chroma per lightness and
+// hue bin, sampled from a CMYK -> Lab function. Samples are rescaled so the
+// paper is white and the darkest ink build is black (media-relative with
+// black point compensation), which is how images are mapped to the press.
+export const createGamutBoundary = (cmykToLab) => {
+    const samples = [];
+    for (const c of SAMPLE_STEPS) {
+        for (const m of SAMPLE_STEPS) {
+            for (const y of SAMPLE_STEPS) {
+                for (const k of BLACK_STEPS) samples.push(cmykToLab([c, m, y, k]));
+            }
+        }
+    }
+
+    const paper = cmykToLab([0, 0, 0, 0]);
+    const blackL = Math.min(...samples.map(([L]) => L));
+    const range = paper[0] - blackL;
+
+    const chroma = new Float32Array(L_BINS * HUE_BINS).fill(-1);
+    for (const [L, a, b] of samples) {
+        const t = Math.min(Math.max((L - blackL) / range, 0), 1);
+        const [, C, h] = toLch([L, a - paper[1] * t, b - paper[2] * t]);
+        const bin = Math.round(t * 100 / L_STEP) * HUE_BINS + Math.round(h / HUE_STEP) % HUE_BINS;
+        if (C > chroma[bin]) chroma[bin] = C;
+    }
+
+    // Hue bins the grid missed take the smaller of their nearest filled
+    // neighbours; rows without any sample stay at zero chroma.
+    for (let row = 0; row < L_BINS; row++) {
+        const base = row * HUE_BINS;
+        const filled = [];
+        for (let h = 0; h < HUE_BINS; h++) if (chroma[base + h] >= 0) filled.push(h);
+        for (let h = 0; h < HUE_BINS; h++) {
+            if (chroma[base + h] >= 0) continue;
+            if (!filled.length) {
+                chroma[base + h] = 0;
+                continue;
+            }
+            const distance = (f) => Math.min(Math.abs(f - h), HUE_BINS - Math.abs(f - h));
+            const nearest = [...filled].sort((a, b) => distance(a) - distance(b)).slice(0, 2);
+            chroma[base + h] = Math.min(...nearest.map(f => chroma[base + f]));
+        }
+    }
+
+    const maxChroma = (L, h) => {
+        const l = Math.min(Math.max(L, 0), 100) / L_STEP;
+        const l0 = Math.floor(l);
+        const l1 = Math.min(l0 + 1, L_BINS - 1);
+        const hb = h / HUE_STEP;
+        const h0 = Math.floor(hb) % HUE_BINS;
+        const h1 = (h0 + 1) % HUE_BINS;
+        const lt = l - l0;
+        const ht = hb - Math.floor(hb);
+        const at = (row, hue) => chroma[row * HUE_BINS + hue];
+        const top = at(l0, h0) * (1 - ht) + at(l0, h1) * ht;
+        const bottom = at(l1, h0) * (1 - ht) + at(l1, h1) * ht;
+        return top * (1 - lt) + bottom * lt;
+    };
+
+    return {
+        contains: (lab, tolerance = GAMUT_TOLERANCE) => {
+            const [L, C, h] = toLch(lab);
+            return C <= maxChroma(L, h) + tolerance;
+        },
+        // Moves an out-of-gamut color to the closest boundary point of the
+        // same hue, trading lightness for chroma where that is nearer.
+        clip: (lab) => {
+            const [L, C, h] = toLch(lab);
+            if (C <= maxChroma(L, h)) return lab;
+            let best = null;
+            for (let candidateL = 0; candidateL <= 100; candidateL++) {
+                const candidateC = Math.min(C, maxChroma(candidateL, h));
+                const distance = (candidateL - L) ** 2 + (candidateC - C) ** 2;
+                if (!best || distance < best.distance) best = { L: candidateL, C: candidateC, distance };
+            }
+            const scale = C ? best.C / C : 0;
+            return [best.L, lab[1] * scale, lab[2] * scale];
+        }
+    };
+};
+
+// Gamut check for a CMYK transform. The naive formula has no gamut of its
+// own, so it is checked against the reference press model instead.
+export const createGamutCheck = (transform) => {
+    const usesReference = transform.name === NAIVE_PROFILE_NAME;
+    const boundary = createGamutBoundary(usesReference
+        ? createPressModel(COATED_PRIMARIES)
+        : (cmyk) => rgbToLab(transform.cmykToRgb(cmyk)));
+
+    const cache = new Map();
+    const isInGamut = (rgb) => {
+        const key = (rgb[0] << 16) | (rgb[1] << 8) | rgb[2];
+        let inGamut = cache.get(key);
+        if (inGamut === undefined) {
+            inGamut = boundary.contains(rgbToLab(rgb));
+            cache.set(key, inGamut);
+        }
+        return inGamut;
+    };
+
+    return {
+        name: usesReference ? REFERENCE_GAMUT_NAME : transform.name,
+        isInGamut,
+        isLabInGamut: (lab) => boundary.contains(lab),
+        toInGamut: (rgb) => convert.lab.rgb(boundary.clip(rgbToLab(rgb)))
+    };
+};
@@ -0,0 +1,178 @@
+// Past analyses, kept in this browser's IndexedDB so they can be reopened
+// without the original file. The list and the full results live in separate
+// stores so browsing the history never loads every preview and TAC map.
+//
+// entries: { id, name, createdAt, thumbnail (a small JPEG data URL), summary,
+//            profileKey }
+// results: { id, stats, ink, preview, settings }, where `stats` is colorStats
+// without `canvasData` and `preview` the analysis canvas as a PNG.
+// profiles: { key, name, buffer }, each ICC profile stored once; results
+//           refer to it with settings.iccProfile = { name, key }.
+
+const DB_NAME = 'coloranalyzer';
+const DB_VERSION = 1;
+const ENTRIES = 'entries';
+const RESULTS = 'results';
+const PROFILES = 'profiles';
+const THUMBNAIL_SIZE = 160;
+
+let database = null;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser does not support IndexedDB'));
+        return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(ENTRIES, { keyPath: 'id', autoIncrement: true }).createIndex('profileKey', 'profileKey');
+        db.createObjectStore(RESULTS, { keyPath: 'id' });
+        db.createObjectStore(PROFILES, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const getDatabase = () => {
+    // A failed open is retried on the next call instead of being cached.
+    database ??= openDatabase().catch((err) => {
+        database = null;
+        throw err;
+    });
+    return database;
+};
+
+// Runs `work(transaction)` and resolves once the transaction has committed,
+// with work's return value (called first if it is a function, so it can read
+// request results).
+const withTransaction = async (stores, mode, work) => {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(stores, mode);
+        const result = work(transaction);
+        transaction.oncomplete = () => {
+            try {
+                resolve(typeof result === 'function' ? result() : result);
+            } catch (err) {
+                reject(err);
+            }
+        };
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error ?? new Error('The history could not be updated'));
+    });
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The preview could not be encoded'))), type, quality);
+});
+
+const createThumbnail = (source) => {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(source.width, source.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.width * scale));
+    canvas.height = Math.max(1, Math.round(source.height * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+};
+
+// Profiles are keyed by a hash of their bytes, so re-analyzing with the same
+// profile adds no copy. Without WebCrypto (plain http) the name and size
+// stand in.
+const profileKey = async ({ name, buffer }) => {
+    if (!globalThis.crypto?.subtle) return `${name}:${buffer.byteLength}`;
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Stores a finished analysis. `settings` are the options it was run with, so
+// reopening it can restore them; `settings.iccProfile` ({ name, buffer } or
+// null) goes to the profiles store. Resolves with the new entry's id.
+export const saveToHistory = async (colorStats, { iccProfile, ...settings }) => {
+    const { canvasData, ...stats } = colorStats;
+    const preview = await canvasToBlob(canvasData.canvas, 'image/png');
+    const profile = iccProfile && { ...iccProfile, key: await profileKey(iccProfile) };
+    const entry = {
+        name: stats.image?.name || 'Untitled image',
+        createdAt: Date.now(),
+        thumbnail: createThumbnail(canvasData.canvas),
+        summary: {
+            width: stats.image?.width,
+            height: stats.image?.height,
+            profile: stats.profile.name,
+            mode: stats.settings.mode,
+            overallCmyk: stats.overallCmyk,
+            colors: stats.colors.slice(0, 6).map(color => color.hex)
+        },
+        profileKey: profile?.key ?? null
+    };
+    return withTransaction([ENTRIES, RESULTS, PROFILES], 'readwrite', (transaction) => {
+        if (profile) {
+            const profiles = transaction.objectStore(PROFILES);
+            const stored = profiles.count(profile.key);
+            stored.onsuccess = () => {
+                if (!stored.result) profiles.add(profile);
+            };
+        }
+        const request = transaction.objectStore(ENTRIES).add(entry);
+        request.onsuccess = () => {
+            transaction.objectStore(RESULTS).put({
+                id: request.result,
+                stats,
+                ink: canvasData.cmyk,
+                preview,
+                settings: { ...settings, iccProfile: profile && { name: profile.name, key: profile.key } }
+            });
+        };
+        return () => request.result;
+    });
+};
+
+// Every entry without its results, newest first.
+export const listHistory = () => withTransaction([ENTRIES], 'readonly', (transaction) => {
+    const request = transaction.objectStore(ENTRIES).getAll();
+    return () => request.result.sort((a, b) => b.createdAt - a.createdAt);
+});
+
+// The stored result with its ICC profile's bytes put back into
+// settings.iccProfile ({ name, buffer }).
+export const loadHistoryResult = (id) => withTransaction([RESULTS, PROFILES], 'readonly', (transaction) => {
+    const request = transaction.objectStore(RESULTS).get(id);
+    let profile = null;
+    request.onsuccess = () => {
+        const key = request.result?.settings.iccProfile?.key;
+        if (key) profile = transaction.objectStore(PROFILES).get(key);
+    };
+    return () => {
+        const result = request.result;
+        if (!result) throw new Error('This analysis is no longer in the history');
+        if (!profile) return result;
+        if (!profile.result) throw new Error(`The ICC profile ${result.settings.iccProfile.name} of this analysis is no longer stored`);
+        const { name, buffer } = profile.result;
+        return { ...result, settings: { ...result.settings, iccProfile: { name, buffer } } };
+    };
+});
+
+// Deletes the entry and, when no other entry uses it, its ICC profile.
+export const deleteHistoryEntry = (id) => withTransaction([ENTRIES, RESULTS, PROFILES], 'readwrite', (transaction) => {
+    const entries = transaction.objectStore(ENTRIES);
+    const entry = entries.get(id);
+    entry.onsuccess = () => {
+        const key = entry.result?.profileKey;
+        entries.delete(id);
+        transaction.objectStore(RESULTS).delete(id);
+        if (!key) return;
+        const users = entries.index('profileKey').count(key);
+        users.onsuccess = () => {
+            if (!users.result) transaction.objectStore(PROFILES).delete(key);
+        };
+    };
+});
+
+// Case-insensitive match on the file name and the profile it was separated with.
+export const matchesHistorySearch = (entry, query) => {
+    const text = query.trim().toLowerCase();
+    return !text
+        || entry.name.toLowerCase().includes(text)
+        || entry.summary.profile.toLowerCase().includes(text);
+};
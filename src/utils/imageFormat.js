@@ -0,0 +1,18 @@
+const SIGNATURES = [
+    { format: 'JPEG', bytes: [0xff, 0xd8] },
+    { format: 'PNG', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { format: 'TIFF', bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { format: 'TIFF', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+    { format: 'PSD', bytes: [0x38, 0x42, 0x50, 0x53] }
+];
+
+const isWebp = (bytes) => String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF'
+    && String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP';
+
+// Identifies an image file by its magic bytes rather than its extension or
+// MIME type, which are often missing or wrong for print files.
+export const detectImageFormat = (bytes) => {
+    const match = SIGNATURES.find(({ bytes: signature }) => signature.every((value, i) => bytes[i] === value));
+    if (match) return match.format;
+    return isWebp(bytes) ? 'WebP' : null;
+};
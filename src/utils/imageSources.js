@@ -0,0 +1,98 @@
+// Ways to get an image besides dropping a file: the clipboard, a URL and a
+// camera. Each produces File objects for the same flow as the drop area.
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/tiff': 'tif',
+    'image/vnd.adobe.photoshop': 'psd'
+};
+
+// Clipboard images and camera frames have no useful name of their own.
+const timestampedName = (prefix, type) => {
+    const stamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '-');
+    return `${prefix} ${stamp}.${EXTENSIONS[type] ?? 'png'}`;
+};
+
+// The image files in a paste event's clipboardData, or an empty array when
+// the paste is text (so typing in inputs is left alone).
+export const imageFilesFromClipboard = (clipboardData) => Array.from(clipboardData?.files ?? [])
+    .filter(file => file.type.startsWith('image/'))
+    .map(file => new File([file], timestampedName('Pasted image', file.type), {
+        type: file.type,
+        lastModified: Date.now()
+    }));
+
+const fileNameFromUrl = (url, type) => {
+    if (url.protocol === 'data:' || url.protocol === 'blob:') return timestampedName('Image from URL', type);
+    const last = decodeURIComponent(url.pathname.split('/').pop() ?? '');
+    return last.includes('.') ? last : `${last || url.hostname}.${EXTENSIONS[type] ?? 'png'}`;
+};
+
+// Downloads an image for analysis. The page can only read images from
+// servers that allow it (CORS), so failures say which of the likely causes
+// applies instead of surfacing the browser's bare "Failed to fetch".
+export const fetchImageFile = async (input, { signal } = {}) => {
+    let url;
+    try {
+        url = new URL(input.trim());
+    } catch {
+        throw new Error('Enter a full URL, starting with https://');
+    }
+    if (!['http:', 'https:', 'data:', 'blob:'].includes(url.protocol)) {
+        throw new Error(`${url.protocol.slice(0, -1)} URLs cannot be loaded; use an http(s) address`);
+    }
+
+    let response;
+    try {
+        response = await fetch(url, { mode: 'cors', signal });
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        if (!navigator.onLine) throw new Error('You are offline, so the image cannot be downloaded');
+        throw new Error(
+            `${url.hostname || 'The server'} did not allow this page to read the image (CORS), or could not be reached. `
+            + 'Save the image and drop or paste it here instead.'
+        );
+    }
+    if (!response.ok) {
+        throw new Error(`The server answered ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+    }
+    const blob = await response.blob();
+    if (/^(text|application\/(json|xml|xhtml))/.test(blob.type)) {
+        throw new Error(`The URL points to a web page or document (${blob.type.split(';')[0]}), not an image`);
+    }
+    return new File([blob], fileNameFromUrl(url, blob.type), {
+        type: blob.type,
+        lastModified: Date.now()
+    });
+};
+
+// The current frame of a playing <video> as a lossless PNG file.
+export const captureVideoFrame = (video) => new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    canvas.toBlob((blob) => {
+        if (!blob) {
+            reject(new Error('The camera frame could not be captured'));
+            return;
+        }
+        resolve(new File([blob], timestampedName('Camera capture', 'image/png'), {
+            type: 'image/png',
+            lastModified: Date.now()
+        }));
+    }, 'image/png');
+});
+
+export const cameraSupported = () => Boolean(navigator.mediaDevices?.getUserMedia);
+
+export const describeCameraError = (err) => {
+    switch (err?.name) {
+        case 'NotAllowedError': return 'Camera access was denied; allow it in the browser\'s site settings to capture proofs';
+        case 'NotFoundError': return 'No camera was found';
+        case 'NotReadableError': return 'The camera is in use by another application';
+        default: return err?.message || 'The camera could not be started';
+    }
+};
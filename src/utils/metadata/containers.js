@@ -0,0 +1,208 @@
+import { readExifTags } from './tiffTags';
+
+// Each reader walks one container format and returns the raw metadata:
+// { format, bitDepth, colorSpace, dpi, icc, srgb, tags, xmp }, where `icc`
+// is the embedded profile's bytes, `srgb` flags a PNG sRGB chunk, `tags`
+// is a Map of TIFF/EXIF tags and `xmp` is the XMP packet as text.
+
+const CM_PER_INCH = 2.54;
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const ICC_HEADER = 'ICC_PROFILE\0';
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+const utf8 = (bytes) => new TextDecoder().decode(bytes);
+
+const concat = (chunks) => {
+    const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return out;
+};
+
+const emptyMetadata = (format) => ({
+    format,
+    bitDepth: null,
+    colorSpace: null,
+    dpi: null,
+    icc: null,
+    srgb: false,
+    tags: null,
+    xmp: null
+});
+
+const JPEG_COLOR_SPACES = { 1: 'Gray', 3: 'RGB', 4: 'CMYK' };
+
+export const readJpeg = (bytes, view) => {
+    const meta = emptyMetadata('JPEG');
+    const iccChunks = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+            offset += marker === 0xff ? 1 : 2;
+            continue;
+        }
+        if (marker === 0xda || marker === 0xd9) break;
+        const length = view.getUint16(offset + 2);
+        const data = offset + 4;
+        const size = length - 2;
+
+        if (marker === 0xe0 && ascii(bytes, data, 5) === 'JFIF\0') {
+            const units = bytes[data + 7];
+            const scale = units === 1 ? 1 : units === 2 ? CM_PER_INCH : 0;
+            if (scale) meta.dpi = { x: view.getUint16(data + 8) * scale, y: view.getUint16(data + 10) * scale };
+        } else if (marker === 0xe1 && ascii(bytes, data, 6) === EXIF_HEADER) {
+            meta.tags = readExifTags(view, data + 6);
+        } else if (marker === 0xe1 && ascii(bytes, data, XMP_HEADER.length) === XMP_HEADER) {
+            meta.xmp = utf8(bytes.subarray(data + XMP_HEADER.length, data + size));
+        } else if (marker === 0xe2 && ascii(bytes, data, ICC_HEADER.length) === ICC_HEADER) {
+            // Profiles larger than one segment are split; byte 12 is the
+            // 1-based sequence number.
+            iccChunks[bytes[data + 12] - 1] = bytes.subarray(data + 14, data + size);
+        } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            meta.bitDepth = bytes[data];
+            meta.colorSpace = JPEG_COLOR_SPACES[bytes[data + 5]] ?? null;
+        }
+        offset += 2 + length;
+    }
+
+    if (iccChunks.length && iccChunks.every(Boolean)) meta.icc = concat(iccChunks);
+    return meta;
+};
+
+const PNG_COLOR_SPACES = { 0: 'Gray', 2: 'RGB', 3: 'Indexed', 4: 'Gray', 6: 'RGB' };
+
+// zlib-wrapped deflate, as used by the PNG iCCP chunk.
+const inflate = async (bytes) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+export const readPng = async (bytes, view) => {
+    const meta = emptyMetadata('PNG');
+    let offset = 8;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = ascii(bytes, offset + 4, 4);
+        const data = offset + 8;
+        if (type === 'IDAT' || type === 'IEND') break;
+
+        if (type === 'IHDR') {
+            meta.bitDepth = bytes[data + 8];
+            meta.colorSpace = PNG_COLOR_SPACES[bytes[data + 9]] ?? null;
+        } else if (type === 'pHYs' && bytes[data + 8] === 1) {
+            // Pixels per metre.
+            meta.dpi = { x: view.getUint32(data) * 0.0254, y: view.getUint32(data + 4) * 0.0254 };
+        } else if (type === 'sRGB') {
+            meta.srgb = true;
+        } else if (type === 'iCCP') {
+            const nameEnd = bytes.indexOf(0, data);
+            meta.icc = await inflate(bytes.subarray(nameEnd + 2, data + length));
+        } else if (type === 'eXIf') {
+            meta.tags = readExifTags(view, data);
+        } else if (type === 'iTXt' && ascii(bytes, data, 18) === 'XML:com.adobe.xmp\0') {
+            // Keyword, compression flag and method, then language and
+            // translated keyword (both null-terminated) before the text.
+            if (bytes[data + 18] === 0) {
+                const language = bytes.indexOf(0, data + 20);
+                const translated = bytes.indexOf(0, language + 1);
+                meta.xmp = utf8(bytes.subarray(translated + 1, data + length));
+            }
+        }
+        offset += 12 + length;
+    }
+    return meta;
+};
+
+export const readWebp = (bytes, view) => {
+    const meta = { ...emptyMetadata('WebP'), bitDepth: 8, colorSpace: 'RGB' };
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const type = ascii(bytes, offset, 4);
+        const length = view.getUint32(offset + 4, true);
+        const data = offset + 8;
+
+        if (type === 'ICCP') {
+            meta.icc = bytes.subarray(data, data + length);
+        } else if (type === 'EXIF') {
+            // Some writers keep the JPEG-style "Exif" prefix.
+            meta.tags = readExifTags(view, ascii(bytes, data, 6) === EXIF_HEADER ? data + 6 : data);
+        } else if (type === 'XMP ') {
+            meta.xmp = utf8(bytes.subarray(data, data + length));
+        }
+        offset = data + length + (length % 2);
+    }
+    return meta;
+};
+
+const TIFF_COLOR_SPACES = { 0: 'Gray', 1: 'Gray', 2: 'RGB', 3: 'Indexed', 5: 'CMYK', 6: 'RGB', 8: 'Lab' };
+const TAG_BITS_PER_SAMPLE = 258;
+const TAG_PHOTOMETRIC = 262;
+const TAG_ICC = 34675;
+const TAG_XMP = 700;
+
+export const readTiff = (bytes, view) => {
+    const meta = emptyMetadata('TIFF');
+    const tags = readExifTags(view, 0);
+    if (!tags) return meta;
+
+    const bits = tags.get(TAG_BITS_PER_SAMPLE);
+    meta.bitDepth = Array.isArray(bits) ? bits[0] : bits ?? 1;
+    meta.colorSpace = TIFF_COLOR_SPACES[tags.get(TAG_PHOTOMETRIC)] ?? null;
+    const icc = tags.get(TAG_ICC);
+    if (icc instanceof Uint8Array) meta.icc = icc;
+    const xmp = tags.get(TAG_XMP);
+    if (xmp instanceof Uint8Array) meta.xmp = utf8(xmp);
+    // Resolution lives in the same IFD as the EXIF fields, so it is read
+    // by the caller like any other EXIF source.
+    meta.tags = tags;
+    return meta;
+};
+
+const PSD_COLOR_SPACES = { 0: 'Bitmap', 1: 'Gray', 2: 'Indexed', 3: 'RGB', 4: 'CMYK', 7: 'Multichannel', 8: 'Duotone', 9: 'Lab' };
+const RESOURCE_RESOLUTION = 1005;
+const RESOURCE_ICC = 1039;
+const RESOURCE_EXIF = 1058;
+const RESOURCE_XMP = 1060;
+
+export const readPsd = (bytes, view) => {
+    const meta = {
+        ...emptyMetadata('PSD'),
+        bitDepth: view.getUint16(22),
+        colorSpace: PSD_COLOR_SPACES[view.getUint16(24)] ?? null
+    };
+
+    // Image resources follow the color mode data.
+    let offset = 26 + 4 + view.getUint32(26);
+    const end = offset + 4 + view.getUint32(offset);
+    offset += 4;
+
+    while (offset + 12 <= end && ascii(bytes, offset, 4) === '8BIM') {
+        const id = view.getUint16(offset + 4);
+        // Pascal string name, padded to an even length including its length byte.
+        const nameLength = bytes[offset + 6];
+        const sizeOffset = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+        const size = view.getUint32(sizeOffset);
+        const data = sizeOffset + 4;
+
+        if (id === RESOURCE_RESOLUTION) {
+            // 16.16 fixed-point pixels per inch, whatever unit is displayed.
+            meta.dpi = { x: view.getUint32(data) / 65536, y: view.getUint32(data + 8) / 65536 };
+        } else if (id === RESOURCE_ICC) {
+            meta.icc = bytes.subarray(data, data + size);
+        } else if (id === RESOURCE_EXIF) {
+            meta.tags = readExifTags(view, data);
+        } else if (id === RESOURCE_XMP) {
+            meta.xmp = utf8(bytes.subarray(data, data + size));
+        }
+        offset = data + size + (size % 2);
+    }
+    return meta;
+};
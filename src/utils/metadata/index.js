@@ -0,0 +1,172 @@
+import { parseIccProfile } from '../colorManagement';
+import { detectImageFormat } from '../imageFormat';
+import { readJpeg, readPng, readWebp, readTiff, readPsd } from './containers';
+
+const READERS = { JPEG: readJpeg, PNG: readPng, WebP: readWebp, TIFF: readTiff, PSD: readPsd };
+
+const EXIF_FIELDS = {
+    make: 271,
+    model: 272,
+    orientation: 274,
+    xResolution: 282,
+    yResolution: 283,
+    resolutionUnit: 296,
+    software: 305,
+    dateTime: 306,
+    artist: 315,
+    copyright: 33432,
+    dateTimeOriginal: 36867,
+    colorSpace: 40961,
+    lensModel: 42036
+};
+
+const XMP_FIELDS = {
+    creatorTool: 'xmp:CreatorTool',
+    createDate: 'xmp:CreateDate',
+    modifyDate: 'xmp:ModifyDate',
+    title: 'dc:title',
+    creator: 'dc:creator',
+    rights: 'dc:rights',
+    iccProfile: 'photoshop:ICCProfile'
+};
+
+// Display labels for the EXIF and XMP fields, in display order.
+export const METADATA_FIELD_LABELS = {
+    camera: 'Camera',
+    lensModel: 'Lens',
+    software: 'Software',
+    creatorTool: 'Creator tool',
+    captured: 'Captured',
+    createDate: 'Created',
+    modifyDate: 'Modified',
+    title: 'Title',
+    creator: 'Author',
+    copyright: 'Copyright'
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const unescapeXml = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+
+// Reads a property written either as an attribute or as an element, taking
+// the first rdf:li of Alt/Seq/Bag containers.
+const readXmpField = (xml, name) => {
+    const attribute = xml.match(new RegExp(`${name}="([^"]*)"`));
+    if (attribute) return unescapeXml(attribute[1]).trim() || null;
+    const element = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+    if (!element) return null;
+    const item = element[1].match(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/);
+    return unescapeXml(item ? item[1] : element[1]).trim() || null;
+};
+
+const compact = (object) => {
+    const entries = Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== '');
+    return entries.length ? Object.fromEntries(entries) : null;
+};
+
+const readExif = (tags) => {
+    if (!tags) return null;
+    const text = (tag) => (typeof tags.get(tag) === 'string' ? tags.get(tag) : null);
+    const make = text(EXIF_FIELDS.make);
+    const model = text(EXIF_FIELDS.model);
+    return compact({
+        camera: make && model && !model.startsWith(make) ? `${make} ${model}` : model || make,
+        lensModel: text(EXIF_FIELDS.lensModel),
+        software: text(EXIF_FIELDS.software),
+        captured: text(EXIF_FIELDS.dateTimeOriginal) || text(EXIF_FIELDS.dateTime),
+        artist: text(EXIF_FIELDS.artist),
+        copyright: text(EXIF_FIELDS.copyright),
+        orientation: tags.get(EXIF_FIELDS.orientation) ?? null,
+        colorSpace: { 1: 'sRGB', 2: 'Adobe RGB', 65535: 'Uncalibrated' }[tags.get(EXIF_FIELDS.colorSpace)] ?? null
+    });
+};
+
+// EXIF resolution in pixels per inch, ignoring files that declare no unit.
+const exifDpi = (tags) => {
+    const x = tags?.get(EXIF_FIELDS.xResolution);
+    const y = tags?.get(EXIF_FIELDS.yResolution);
+    const unit = tags?.get(EXIF_FIELDS.resolutionUnit) ?? 2;
+    if (typeof x !== 'number' || !x || (unit !== 2 && unit !== 3)) return null;
+    const scale = unit === 3 ? 2.54 : 1;
+    return { x: x * scale, y: (typeof y === 'number' && y ? y : x) * scale };
+};
+
+const readXmp = (xml) => {
+    if (!xml) return null;
+    return compact(Object.fromEntries(
+        Object.entries(XMP_FIELDS).map(([key, name]) => [key, readXmpField(xml, name)])
+    ));
+};
+
+const readProfile = (raw) => {
+    if (raw.icc) {
+        try {
+            const { name, colorSpace } = parseIccProfile(raw.icc.slice().buffer);
+            return { name, colorSpace, embedded: true };
+        } catch {
+            return { name: 'Unreadable profile', colorSpace: null, embedded: true };
+        }
+    }
+    if (raw.srgb) return { name: 'sRGB (PNG sRGB chunk)', colorSpace: 'RGB', embedded: true };
+    return null;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Reads format, bit depth, resolution, the embedded ICC profile and the
+// EXIF/XMP fields worth showing from an image file's bytes. Metadata is
+// best-effort: a damaged or unknown container yields what could be read.
+export const readImageMetadata = async (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    const format = detectImageFormat(bytes);
+    const empty = { format, bitDepth: null, colorSpace: null, dpi: null, profile: null, exif: null, xmp: null };
+    if (!format) return empty;
+
+    try {
+        const raw = await READERS[format](bytes, new DataView(buffer));
+        const dpi = raw.dpi || exifDpi(raw.tags);
+        const xmp = readXmp(raw.xmp);
+        return {
+            format,
+            bitDepth: raw.bitDepth,
+            colorSpace: raw.colorSpace,
+            dpi: dpi && dpi.x > 0 ? { x: round(dpi.x), y: round(dpi.y) } : null,
+            profile: readProfile(raw)
+                ?? (xmp?.iccProfile ? { name: xmp.iccProfile, colorSpace: null, embedded: false } : null),
+            exif: readExif(raw.tags),
+            xmp
+        };
+    } catch {
+        return empty;
+    }
+};
+
+// "16-bit CMYK TIFF", leaving out whatever is unknown.
+export const describeFormat = (metadata) => [
+    metadata.bitDepth && `${metadata.bitDepth}-bit`,
+    metadata.colorSpace,
+    metadata.format
+].filter(Boolean).join(' ');
+
+// The EXIF and XMP fields as [label, value] rows; XMP fills in whatever
+// EXIF lacks.
+export const metadataFields = ({ exif, xmp }) => {
+    const values = { ...xmp, copyright: xmp?.rights, ...exif, creator: exif?.artist || xmp?.creator };
+    return Object.entries(METADATA_FIELD_LABELS)
+        .filter(([key]) => values[key])
+        .map(([key, label]) => [label, values[key]]);
+};
+
+const WIDE_GAMUT = /adobe ?rgb|display ?p3|dci-?p3|prophoto|rec\.? ?2020|bt\.? ?2020/i;
+
+// Notes on how the embedded profile affects the analysis. `decoded` is true
+// when the file went through our own decoders, which do not apply profiles.
+export const profileWarnings = ({ metadata, decoded }) => {
+    const { profile, colorSpace } = metadata;
+    if (colorSpace === 'CMYK') return [];
+    if (!profile) return ['No embedded profile: colors are assumed to be sRGB.'];
+    if (!profile.embedded) return [`The ${profile.name} profile is named but not embedded, so colors are treated as sRGB.`];
+    if (!WIDE_GAMUT.test(profile.name)) return [];
+    return [decoded
+        ? `${profile.name} is not applied to decoded files, so colors are read as if they were sRGB.`
+        : `${profile.name} is wider than sRGB; the browser converts to sRGB, so its most saturated colors are clipped.`];
+};
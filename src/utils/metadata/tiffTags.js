@@ -0,0 +1,77 @@
+// Reader for TIFF-structured data: TIFF files themselves and the EXIF blocks
+// embedded in JPEG, PNG, WebP and PSD files. Offsets inside the structure
+// are relative to `base`, the position of the byte-order mark.
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const readValue = (view, offset, type, littleEndian) => {
+    switch (type) {
+        case 3: return view.getUint16(offset, littleEndian);
+        case 4: return view.getUint32(offset, littleEndian);
+        case 9: return view.getInt32(offset, littleEndian);
+        case 5: return view.getUint32(offset, littleEndian) / (view.getUint32(offset + 4, littleEndian) || 1);
+        case 10: return view.getInt32(offset, littleEndian) / (view.getInt32(offset + 4, littleEndian) || 1);
+        default: return view.getUint8(offset);
+    }
+};
+
+// Returns { littleEndian, firstIfd } or null when `base` is not a TIFF header.
+export const readTiffHeader = (view, base) => {
+    if (base + 8 > view.byteLength) return null;
+    const order = view.getUint16(base);
+    if (order !== 0x4949 && order !== 0x4d4d) return null;
+    const littleEndian = order === 0x4949;
+    if (view.getUint16(base + 2, littleEndian) !== 42) return null;
+    return { littleEndian, firstIfd: view.getUint32(base + 4, littleEndian) };
+};
+
+// Reads the IFD at `offset` into a Map of tag number to value. ASCII values
+// become strings, BYTE/UNDEFINED values longer than four bytes stay raw
+// (Uint8Array views of ICC profiles, XMP packets and the like), single
+// numbers are unwrapped and everything else is an array.
+export const readIfd = (view, base, offset, littleEndian) => {
+    const tags = new Map();
+    const start = base + offset;
+    if (start + 2 > view.byteLength) return tags;
+    const count = view.getUint16(start, littleEndian);
+
+    for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const length = view.getUint32(entry + 4, littleEndian);
+        const size = TYPE_SIZES[type];
+        if (!size) continue;
+
+        const bytes = size * length;
+        const valueOffset = bytes > 4 ? base + view.getUint32(entry + 8, littleEndian) : entry + 8;
+        if (valueOffset + bytes > view.byteLength) continue;
+
+        if (type === 2) {
+            const chars = new Uint8Array(view.buffer, view.byteOffset + valueOffset, length);
+            tags.set(tag, new TextDecoder('latin1').decode(chars).replace(/\0+$/, '').trim());
+        } else if ((type === 1 || type === 7) && bytes > 4) {
+            tags.set(tag, new Uint8Array(view.buffer, view.byteOffset + valueOffset, length));
+        } else {
+            const values = Array.from({ length }, (_, n) => readValue(view, valueOffset + n * size, type, littleEndian));
+            tags.set(tag, length === 1 ? values[0] : values);
+        }
+    }
+    return tags;
+};
+
+const EXIF_IFD_POINTER = 34665;
+
+// Tags of IFD0 merged with those of the EXIF sub-IFD, or null when there is
+// no valid TIFF structure at `base`.
+export const readExifTags = (view, base) => {
+    const header = readTiffHeader(view, base);
+    if (!header) return null;
+    const tags = readIfd(view, base, header.firstIfd, header.littleEndian);
+    const pointer = tags.get(EXIF_IFD_POINTER);
+    if (typeof pointer === 'number') {
+        for (const [tag, value] of readIfd(view, base, pointer, header.littleEndian)) tags.set(tag, value);
+    }
+    return tags;
+};
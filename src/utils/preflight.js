@@ -0,0 +1,210 @@
+import { nativePrintSize, effectivePpi, TARGET_PPI } from './printResolution';
+import { BLACK_MIN_K, K_ONLY_MAX_CMY, RICH_BLACK_MIN_CMY } from './coverage';
+import { countInkLimitViolations } from './tac';
+import { readStoredJson, storeJson } from './storage';
+
+const CHANNELS = ['cyan', 'magenta', 'yellow', 'black'];
+
+export const PREFLIGHT_VERDICTS = ['pass', 'warn', 'fail'];
+
+export const PREFLIGHT_SEVERITIES = {
+    warn: { label: 'Warning' },
+    fail: { label: 'Failure' }
+};
+
+export const BLACK_EXPECTATIONS = {
+    'k-only': { label: 'K-only' },
+    rich: { label: 'Rich black' }
+};
+
+export const BLACK_AREA_DEFINITION = `K ${BLACK_MIN_K}% or more; K-only up to ${K_ONLY_MAX_CMY}% C+M+Y, rich from ${RICH_BLACK_MIN_CMY}%`;
+
+// Every rule is { enabled, severity, ...parameters }; a violated rule gives
+// its severity as the verdict, a satisfied one passes.
+export const PREFLIGHT_RULES = {
+    maxTac: { label: 'Maximum TAC' },
+    minPpi: { label: 'Minimum effective resolution' },
+    maxColors: { label: 'Dominant colors' },
+    rgbOnly: { label: 'RGB-only colors' },
+    black: { label: 'Black areas' },
+    coverage: { label: 'Channel coverage' }
+};
+
+export const DEFAULT_PREFLIGHT_PROFILE = {
+    name: 'Coated offset',
+    rules: {
+        // `tolerance` is the share of the area (%) allowed above the limit.
+        maxTac: { enabled: true, severity: 'fail', limit: 300, tolerance: 0 },
+        minPpi: { enabled: true, severity: 'warn', minimum: TARGET_PPI },
+        // Only colors covering at least `minShare` % of the image count.
+        maxColors: { enabled: false, severity: 'warn', max: 6, minShare: 2 },
+        rgbOnly: { enabled: true, severity: 'warn', minShare: 1 },
+        // `tolerance` is the share of the black area (%) allowed to be built
+        // the other way. Off by default: every dark pixel counts, so the
+        // shadows of ordinary photos would be flagged as rich black text.
+        black: { enabled: false, severity: 'warn', expect: 'k-only', tolerance: 10 },
+        // Average coverage bounds in %; null leaves a side open.
+        coverage: {
+            enabled: false,
+            severity: 'warn',
+            channels: Object.fromEntries(CHANNELS.map(channel => [channel, { min: null, max: null }]))
+        }
+    }
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Fills in what an imported profile leaves out and rejects values the rules
+// cannot use, so a hand-edited file fails on load rather than mid-check.
+export const normalizePreflightProfile = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('A preflight profile must be a JSON object');
+    }
+    const rules = {};
+    for (const [key, defaults] of Object.entries(DEFAULT_PREFLIGHT_PROFILE.rules)) {
+        const rule = { ...defaults, ...input.rules?.[key] };
+        const label = PREFLIGHT_RULES[key].label;
+        if (!PREFLIGHT_SEVERITIES[rule.severity]) throw new Error(`${label}: severity must be "warn" or "fail"`);
+        rule.enabled = Boolean(rule.enabled);
+        for (const [name, value] of Object.entries(rule)) {
+            if (typeof defaults[name] === 'number' && !isNumber(value)) throw new Error(`${label}: ${name} must be a number`);
+        }
+        if (key === 'black' && !BLACK_EXPECTATIONS[rule.expect]) throw new Error(`${label}: expect must be "k-only" or "rich"`);
+        if (key === 'coverage') {
+            rule.channels = Object.fromEntries(CHANNELS.map((channel) => {
+                const bounds = { ...defaults.channels[channel], ...input.rules?.coverage?.channels?.[channel] };
+                for (const side of ['min', 'max']) {
+                    if (bounds[side] !== null && !isNumber(bounds[side])) {
+                        throw new Error(`${label}: ${channel} ${side} must be a number or null`);
+                    }
+                }
+                return [channel, bounds];
+            }));
+        }
+        rules[key] = rule;
+    }
+    return { name: typeof input.name === 'string' && input.name ? input.name : 'Untitled profile', rules };
+};
+
+const STORAGE_KEY = 'preflightProfile';
+
+// The profile last edited in this browser, or the default.
+export const loadStoredPreflightProfile = () => {
+    const stored = readStoredJson(STORAGE_KEY);
+    if (!stored) return DEFAULT_PREFLIGHT_PROFILE;
+    try {
+        return normalizePreflightProfile(stored);
+    } catch {
+        return DEFAULT_PREFLIGHT_PROFILE;
+    }
+};
+
+export const storePreflightProfile = (profile) => storeJson(STORAGE_KEY, profile);
+
+// Tiny shares still show as non-zero so a failing rule never reads "0%".
+const percent = (value) => (value > 0 && value < 0.1 ? '< 0.1%' : `${Math.round(value * 10) / 10}%`);
+
+const CHECKS = {
+    // Counted on the tenth-of-a-percent distribution, like the TAC panel.
+    maxTac: (rule, { colorStats }) => {
+        const { violations: above, percentage: share } = countInkLimitViolations(colorStats.tac, rule.limit);
+        const max = colorStats.tac.max;
+        return {
+            passed: share <= rule.tolerance,
+            message: above
+                ? `Maximum ${percent(max)}; ${percent(share)} of the area is above ${rule.limit}%`
+                : `Maximum ${percent(max)}, within ${rule.limit}%`,
+            values: { max, shareAbove: share }
+        };
+    },
+    minPpi: (rule, { colorStats, printSize }) => {
+        const { image } = colorStats;
+        const size = printSize ?? nativePrintSize(image, image.metadata?.dpi);
+        const ppi = size && effectivePpi(image, size);
+        if (!ppi) {
+            return { verdict: 'warn', message: 'No print size or resolution to check against', values: { ppi: null } };
+        }
+        return {
+            passed: ppi >= rule.minimum,
+            message: `${Math.round(ppi)} ppi at ${size.width} × ${size.height} ${size.unit} (minimum ${rule.minimum})`,
+            values: { ppi, printSize: size }
+        };
+    },
+    maxColors: (rule, { colorStats }) => {
+        const dominant = colorStats.colors.filter(color => color.percentage >= rule.minShare);
+        return {
+            passed: dominant.length <= rule.max,
+            message: `${dominant.length} colors cover at least ${rule.minShare}% each (maximum ${rule.max})`,
+            values: { count: dominant.length, colors: dominant.map(color => color.hex) }
+        };
+    },
+    rgbOnly: (rule, { colorStats, gamut }) => {
+        // A CMYK file's own ink is what the press prints.
+        if (colorStats.image?.nativeInk) {
+            return {
+                passed: true,
+                message: 'The file\'s own CMYK ink values are printable as they are',
+                values: { colors: [] }
+            };
+        }
+        const outside = colorStats.colors.filter(color => color.percentage >= rule.minShare && !gamut.isLabInGamut(color.lab));
+        return {
+            passed: outside.length === 0,
+            message: outside.length
+                ? `Outside the ${gamut.name} gamut: ${outside.map(color => `${color.hex} (${percent(color.percentage)})`).join(', ')}`
+                : `All colors covering ${rule.minShare}% or more are printable`,
+            values: { colors: outside.map(color => ({ hex: color.hex, percentage: color.percentage })) }
+        };
+    },
+    black: (rule, { colorStats }) => {
+        const { total, kOnly, rich } = colorStats.blacks;
+        if (!total) return { passed: true, message: `No black areas (K ${BLACK_MIN_K}% or more)`, values: { kOnly: 0, rich: 0 } };
+        const other = rule.expect === 'k-only' ? rich : kOnly;
+        const share = (other / total) * 100;
+        return {
+            passed: share <= rule.tolerance,
+            message: `${percent((kOnly / total) * 100)} K-only, ${percent((rich / total) * 100)} rich; `
+                + `expected ${BLACK_EXPECTATIONS[rule.expect].label}`,
+            values: { kOnly: (kOnly / total) * 100, rich: (rich / total) * 100 }
+        };
+    },
+    coverage: (rule, { colorStats }) => {
+        const offending = CHANNELS.flatMap((channel) => {
+            const value = colorStats.overallCmyk[channel];
+            const { min, max } = rule.channels[channel];
+            if (min !== null && value < min) return [`${channel} ${percent(value)} < ${min}%`];
+            if (max !== null && value > max) return [`${channel} ${percent(value)} > ${max}%`];
+            return [];
+        });
+        return {
+            passed: offending.length === 0,
+            message: offending.length ? offending.join(', ') : 'Every channel is within its bounds',
+            values: { ...colorStats.overallCmyk }
+        };
+    }
+};
+
+const worst = (verdicts) => verdicts.reduce(
+    (result, verdict) => (PREFLIGHT_VERDICTS.indexOf(verdict) > PREFLIGHT_VERDICTS.indexOf(result) ? verdict : result),
+    'pass'
+);
+
+// Checks colorStats against a profile. `printSize` is the size the user
+// entered (null falls back to the embedded resolution) and `gamut` the gamut
+// check of the transform the results were separated with.
+// Returns { profile, verdict, results: [{ rule, label, verdict, message, values }] }.
+export const evaluatePreflight = (colorStats, profile, { printSize = null, gamut }) => {
+    const results = Object.entries(profile.rules)
+        .filter(([, rule]) => rule.enabled)
+        .map(([key, rule]) => {
+            const { passed, verdict, message, values } = CHECKS[key](rule, { colorStats, printSize, gamut });
+            return { rule: key, label: PREFLIGHT_RULES[key].label, verdict: verdict ?? (passed ? 'pass' : rule.severity), message, values };
+        });
+    return { profile: profile.name, verdict: worst(results.map(result => result.verdict)), results };
+};
+
+// The rules that did not pass, as one line for CSV cells and summaries.
+export const describePreflightIssues = (preflight) => preflight.results
+    .filter(result => result.verdict !== 'pass')
+    .map(result => `${result.label}: ${result.message}`)
+    .join('; ');
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { analyzePixels } from './analysisCore';
+import { createNaiveTransform } from './colorManagement';
+import { createGamutCheck } from './gamut';
+import { DEFAULT_PREFLIGHT_PROFILE, evaluatePreflight } from './preflight';
+
+const gamut = createGamutCheck(createNaiveTransform());
+
+// A 4 x 4 solid of `rgb`, with `ink` (0..255 per channel) as its native
+// CMYK values when given.
+const analyzeSolid = (rgb, ink = null) => {
+    const data = new Uint8ClampedArray(16 * 4);
+    for (let p = 0; p < 16; p++) data.set([...rgb, 255], p * 4);
+    const cmyk = ink && new Uint8Array(16 * 4).map((_, i) => ink[i % 4]);
+    return analyzePixels({ width: 4, height: 4, data, cmyk }, { sampling: { maxDimension: null, sampleEvery: 1 } });
+};
+
+// Checks `colorStats` against a profile with only the rule `key` enabled.
+const check = (colorStats, key, rule = {}) => {
+    const profile = { name: 'Test', rules: { [key]: { ...DEFAULT_PREFLIGHT_PROFILE.rules[key], enabled: true, ...rule } } };
+    return evaluatePreflight(colorStats, profile, { gamut }).results[0];
+};
+
+describe('maxTac', () => {
+    it('passes ink exactly at the limit', () => {
+        const result = check(analyzeSolid([20, 20, 20], [255, 255, 255, 0]), 'maxTac', { limit: 300 });
+
+        expect(result.verdict).toBe('pass');
+        expect(result.message).toBe('Maximum 300%, within 300%');
+    });
+
+    it('fails ink a fraction of a percent above the limit', () => {
+        // K at 1/255 puts the TAC at 300.39%.
+        const result = check(analyzeSolid([20, 20, 20], [255, 255, 255, 1]), 'maxTac', { limit: 300 });
+
+        expect(result.verdict).toBe('fail');
+        expect(result.values.shareAbove).toBe(100);
+        expect(result.message).toBe('Maximum 300.4%; 100% of the area is above 300%');
+    });
+});
+
+describe('rgbOnly', () => {
+    it('flags saturated RGB colors outside the gamut', () => {
+        const result = check(analyzeSolid([0, 255, 255]), 'rgbOnly');
+
+        expect(result.verdict).toBe('warn');
+        expect(result.values.colors).toEqual([{ hex: '#00ffff', percentage: 100 }]);
+    });
+
+    it('passes the native ink of CMYK files', () => {
+        const result = check(analyzeSolid([0, 255, 255], [255, 0, 0, 0]), 'rgbOnly');
+
+        expect(result.verdict).toBe('pass');
+        expect(result.values.colors).toEqual([]);
+    });
+});
+
+describe('black', () => {
+    const kOnly = analyzeSolid([35, 31, 32], [0, 0, 0, 255]);
+
+    it('passes a K-only solid when K-only black is expected', () => {
+        const result = check(kOnly, 'black', { expect: 'k-only' });
+
+        expect(result.verdict).toBe('pass');
+        expect(result.values).toEqual({ kOnly: 100, rich: 0 });
+    });
+
+    it('flags a K-only solid when rich black is expected', () => {
+        expect(check(kOnly, 'black', { expect: 'rich' }).verdict).toBe('warn');
+    });
+
+    it('is off in the default profile', () => {
+        const rules = evaluatePreflight(kOnly, DEFAULT_PREFLIGHT_PROFILE, { gamut }).results.map(result => result.rule);
+
+        expect(rules).not.toContain('black');
+    });
+});
@@ -0,0 +1,80 @@
+import convert from 'color-convert';
+
+// Approximate Lab of paper, the solids and the overprints on a coated sheet
+// (close to FOGRA39). Used wherever no ICC profile describes the press.
+export const COATED_PRIMARIES = {
+    paper: [95, 0, -2],
+    c: [55, -37, -50],
+    m: [48, 74, -3],
+    y: [89, -5, 93],
+    cm: [24, 22, -46],
+    cy: [50, -65, 27],
+    my: [47, 68, 48],
+    cmy: [23, 0, -1],
+    k: [16, 0, 0]
+};
+
+// Uncoated offset (close to FOGRA29): duller solids and a weaker black.
+export const UNCOATED_PRIMARIES = {
+    paper: [95, 0, -2],
+    c: [60, -26, -44],
+    m: [56, 61, -2],
+    y: [89, -4, 78],
+    cm: [39, 10, -39],
+    cy: [54, -42, 13],
+    my: [54, 56, 26],
+    cmy: [34, 2, 1],
+    k: [31, 1, 1]
+};
+
+// Coldset newsprint: a grey, slightly yellow sheet with a short density range.
+export const NEWSPRINT_PRIMARIES = {
+    paper: [82, 0, 6],
+    c: [57, -23, -27],
+    m: [54, 44, -1],
+    y: [78, -3, 58],
+    cm: [40, 8, -26],
+    cy: [52, -32, 9],
+    my: [52, 40, 20],
+    cmy: [39, 1, 3],
+    k: [38, 0, 2]
+};
+
+const OVERPRINTS = ['paper', 'c', 'm', 'y', 'cm', 'cy', 'my', 'cmy'];
+const YULE_NIELSEN = 2;
+
+// Yule-Nielsen modified Neugebauer model: the Demichel area weights of the
+// CMY overprints mix the primaries' XYZ. Overprints with black are derived
+// by darkening each primary by K's reflectance relative to paper. Returns a
+// function from CMYK percentages to Lab.
+export const createPressModel = (primaries = COATED_PRIMARIES) => {
+    const xyz = (lab) => convert.lab.xyz.raw(lab);
+    const toYN = (v) => Math.max(v, 0) ** (1 / YULE_NIELSEN);
+    const paper = xyz(primaries.paper);
+    const black = xyz(primaries.k);
+
+    const solids = OVERPRINTS.map(key => xyz(primaries[key]));
+    const plain = solids.map(p => p.map(toYN));
+    const withBlack = solids.map(p => p.map((v, i) => toYN(v * black[i] / paper[i])));
+
+    return (cmyk) => {
+        const [c, m, y, k] = cmyk.map(v => v / 100);
+        const weights = [
+            (1 - c) * (1 - m) * (1 - y),
+            c * (1 - m) * (1 - y),
+            (1 - c) * m * (1 - y),
+            (1 - c) * (1 - m) * y,
+            c * m * (1 - y),
+            c * (1 - m) * y,
+            (1 - c) * m * y,
+            c * m * y
+        ];
+        const mixed = [0, 0, 0];
+        weights.forEach((w, i) => {
+            for (let ch = 0; ch < 3; ch++) {
+                mixed[ch] += w * ((1 - k) * plain[i][ch] + k * withBlack[i][ch]);
+            }
+        });
+        return convert.xyz.lab.raw(mixed.map(v => v ** YULE_NIELSEN));
+    };
+};
@@ -0,0 +1,37 @@
+export const PRINT_UNITS = {
+    in: { label: 'in', perInch: 1 },
+    cm: { label: 'cm', perInch: 2.54 },
+    mm: { label: 'mm', perInch: 25.4 }
+};
+
+export const DEFAULT_PRINT_UNIT = 'cm';
+
+// 300 ppi is the usual target for offset print; below 150 ppi pixels become
+// visible at normal reading distance.
+export const TARGET_PPI = 300;
+export const MINIMUM_PPI = 150;
+
+// Physical size of the image at its embedded resolution, rounded to 0.1 of
+// `unit`, or null when the file declares none.
+export const nativePrintSize = ({ width, height }, dpi, unit = DEFAULT_PRINT_UNIT) => {
+    if (!dpi) return null;
+    const { perInch } = PRINT_UNITS[unit];
+    return {
+        width: Math.round(width / dpi.x * perInch * 10) / 10,
+        height: Math.round(height / dpi.y * perInch * 10) / 10,
+        unit
+    };
+};
+
+// Effective resolution when `width` x `height` pixels are printed at
+// `printSize`: the lower of the two axes, or null while the size is incomplete.
+export const effectivePpi = ({ width, height }, printSize) => {
+    if (!printSize || !(printSize.width > 0) || !(printSize.height > 0)) return null;
+    const { perInch } = PRINT_UNITS[printSize.unit];
+    return Math.min(width / (printSize.width / perInch), height / (printSize.height / perInch));
+};
+
+export const resolutionStatus = (ppi) => {
+    if (ppi >= TARGET_PPI) return 'pass';
+    return ppi >= MINIMUM_PPI ? 'warn' : 'fail';
+};
@@ -0,0 +1,50 @@
+// Colors are binned at 5 bits per channel; each bin keeps the channel sums so
+// the quantizers work on the true mean color rather than the bin corner.
+const BITS = 5;
+const SHIFT = 8 - BITS;
+const SIZE = 1 << (BITS * 3);
+
+// Native ink values (0..100 CMYK of CMYK files) travel with the points as
+// sums in `ink`, so every cluster can report the file's own ink.
+export const addInk = (target, source) => {
+    for (let ch = 0; ch < 4; ch++) target[ch] += source[ch];
+};
+
+export const createHistogram = () => {
+    const counts = new Uint32Array(SIZE);
+    const sumR = new Float64Array(SIZE);
+    const sumG = new Float64Array(SIZE);
+    const sumB = new Float64Array(SIZE);
+    // Allocated on the first pixel that has ink values.
+    let sumInk = null;
+
+    const add = (r, g, b, ink = null) => {
+        const index = ((r >> SHIFT) << (BITS * 2)) | ((g >> SHIFT) << BITS) | (b >> SHIFT);
+        counts[index]++;
+        sumR[index] += r;
+        sumG[index] += g;
+        sumB[index] += b;
+        if (ink) {
+            sumInk ??= new Float64Array(SIZE * 4);
+            for (let ch = 0; ch < 4; ch++) sumInk[index * 4 + ch] += ink[ch];
+        }
+    };
+
+    const points = () => {
+        const result = [];
+        for (let i = 0; i < SIZE; i++) {
+            const count = counts[i];
+            if (!count) continue;
+            result.push({
+                r: sumR[i] / count,
+                g: sumG[i] / count,
+                b: sumB[i] / count,
+                count,
+                ...(sumInk && { ink: Array.from(sumInk.subarray(i * 4, i * 4 + 4)) })
+            });
+        }
+        return result;
+    };
+
+    return { add, points };
+};
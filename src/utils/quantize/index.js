@@ -0,0 +1,50 @@
+import medianCut from './medianCut';
+import kMeans from './kMeans';
+import octree from './octree';
+import mergeClusters from './merge';
+import { DEFAULT_DELTA_E_METRIC, DEFAULT_DELTA_E_TOLERANCE } from '../deltaE';
+
+export { createHistogram } from './histogram';
+
+export const QUANTIZERS = {
+    'median-cut': { label: 'Median cut', run: medianCut },
+    'k-means': { label: 'K-means', run: kMeans },
+    octree: { label: 'Octree', run: octree }
+};
+
+export const DEFAULT_QUANTIZER = 'median-cut';
+export const MIN_PALETTE_SIZE = 5;
+export const MAX_PALETTE_SIZE = 64;
+export const DEFAULT_PALETTE_SIZE = 16;
+
+const sortClusters = (clusters) => clusters.sort((a, b) => b.count - a.count
+    || a.rgb[0] - b.rgb[0] || a.rgb[1] - b.rgb[1] || a.rgb[2] - b.rgb[2]);
+
+// Returns clusters sorted by pixel count (largest first) with their centroid
+// rounded to 8-bit RGB and their share of the sampled pixels. Clusters closer
+// than `tolerance` under the ΔE `metric` are merged afterwards. When the
+// points carry native ink sums, each cluster gets its mean ink as `ink`.
+export const quantize = (points, {
+    method = DEFAULT_QUANTIZER,
+    paletteSize = DEFAULT_PALETTE_SIZE,
+    metric = DEFAULT_DELTA_E_METRIC,
+    tolerance = DEFAULT_DELTA_E_TOLERANCE
+} = {}) => {
+    const quantizer = QUANTIZERS[method];
+    if (!quantizer) throw new Error(`Unknown quantizer: ${method}`);
+
+    const size = Math.min(MAX_PALETTE_SIZE, Math.max(MIN_PALETTE_SIZE, paletteSize));
+    const clusters = sortClusters(quantizer.run(points, size).map(c => ({
+        rgb: [Math.round(c.r), Math.round(c.g), Math.round(c.b)],
+        count: c.count,
+        ...(c.ink && { ink: c.ink })
+    })));
+    const merged = sortClusters(mergeClusters(clusters, { metric, tolerance }));
+    const total = merged.reduce((sum, c) => sum + c.count, 0);
+
+    return merged.map(c => ({
+        ...c,
+        ...(c.ink && { ink: c.ink.map(v => v / c.count) }),
+        percentage: total ? (c.count / total) * 100 : 0
+    }));
+};
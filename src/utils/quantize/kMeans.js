@@ -0,0 +1,49 @@
+import medianCut from './medianCut';
+import { addInk } from './histogram';
+
+const MAX_ITERATIONS = 12;
+
+// Seeded from the median-cut palette rather than random picks, so the same
+// image always produces the same clusters.
+export default function kMeans(points, paletteSize) {
+    let centers = medianCut(points, paletteSize);
+    if (!centers.length) return [];
+
+    const assignment = new Int32Array(points.length);
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let changed = false;
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            let best = 0;
+            let bestDist = Infinity;
+            for (let j = 0; j < centers.length; j++) {
+                const c = centers[j];
+                const dist = (p.r - c.r) ** 2 + (p.g - c.g) ** 2 + (p.b - c.b) ** 2;
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = j;
+                }
+            }
+            if (assignment[i] !== best) changed = true;
+            assignment[i] = best;
+        }
+
+        const sums = centers.map(() => ({ r: 0, g: 0, b: 0, count: 0, ink: points[0].ink && [0, 0, 0, 0] }));
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const s = sums[assignment[i]];
+            s.r += p.r * p.count;
+            s.g += p.g * p.count;
+            s.b += p.b * p.count;
+            s.count += p.count;
+            if (s.ink) addInk(s.ink, p.ink);
+        }
+        centers = sums.map((s, j) => (s.count
+            ? { r: s.r / s.count, g: s.g / s.count, b: s.b / s.count, count: s.count, ...(s.ink && { ink: s.ink }) }
+            : { ...centers[j], count: 0 }));
+
+        if (!changed && iteration > 0) break;
+    }
+
+    return centers.filter(c => c.count > 0);
+}
@@ -0,0 +1,82 @@
+import { addInk } from './histogram';
+
+const CHANNELS = ['r', 'g', 'b'];
+
+// A box is split along its highest-variance channel. The cut sits where the
+// two halves are best separated (largest between-class variance), which keeps
+// two distinct colors from ending up averaged into one muddy centroid.
+const describeBox = (points) => {
+    let count = 0;
+    const sum = { r: 0, g: 0, b: 0 };
+    const sumSq = { r: 0, g: 0, b: 0 };
+    for (const p of points) {
+        count += p.count;
+        for (const ch of CHANNELS) {
+            sum[ch] += p[ch] * p.count;
+            sumSq[ch] += p[ch] * p[ch] * p.count;
+        }
+    }
+    let axis = 'r';
+    let error = 0;
+    const variance = {};
+    for (const ch of CHANNELS) {
+        variance[ch] = sumSq[ch] - (sum[ch] * sum[ch]) / count;
+        error += variance[ch];
+        if (variance[ch] > variance[axis]) axis = ch;
+    }
+    return { points, count, axis, error };
+};
+
+const splitBox = (box) => {
+    const { axis } = box;
+    const sorted = [...box.points].sort((a, b) => a[axis] - b[axis]);
+    const totalSum = sorted.reduce((acc, p) => acc + p[axis] * p.count, 0);
+
+    let leftCount = 0;
+    let leftSum = 0;
+    let cut = 1;
+    let bestScore = -1;
+    for (let i = 0; i < sorted.length - 1; i++) {
+        leftCount += sorted[i].count;
+        leftSum += sorted[i][axis] * sorted[i].count;
+        if (sorted[i][axis] === sorted[i + 1][axis]) continue;
+        const rightCount = box.count - leftCount;
+        const diff = leftSum / leftCount - (totalSum - leftSum) / rightCount;
+        const score = leftCount * rightCount * diff * diff;
+        if (score > bestScore) {
+            bestScore = score;
+            cut = i + 1;
+        }
+    }
+    return [describeBox(sorted.slice(0, cut)), describeBox(sorted.slice(cut))];
+};
+
+export const centroid = (points) => {
+    let r = 0, g = 0, b = 0, count = 0;
+    const ink = points[0].ink && [0, 0, 0, 0];
+    for (const p of points) {
+        r += p.r * p.count;
+        g += p.g * p.count;
+        b += p.b * p.count;
+        count += p.count;
+        if (ink) addInk(ink, p.ink);
+    }
+    return { r: r / count, g: g / count, b: b / count, count, ...(ink && { ink }) };
+};
+
+export default function medianCut(points, paletteSize) {
+    if (!points.length) return [];
+
+    const boxes = [describeBox(points)];
+    while (boxes.length < paletteSize) {
+        let best = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].points.length < 2 || boxes[i].error <= 0) continue;
+            if (best === -1 || boxes[i].error > boxes[best].error) best = i;
+        }
+        if (best === -1) break;
+        boxes.splice(best, 1, ...splitBox(boxes[best]));
+    }
+
+    return boxes.map(box => centroid(box.points));
+}
@@ -0,0 +1,38 @@
+import { rgbToLab, deltaE } from '../deltaE';
+import { addInk } from './histogram';
+
+// Folds clusters that are perceptually indistinguishable under the chosen
+// metric. Clusters arrive largest first and each group keeps the Lab value of
+// its largest member as the anchor, so the outcome does not depend on pixel
+// order.
+export default function mergeClusters(clusters, { metric, tolerance }) {
+    if (!tolerance) return clusters;
+
+    const groups = [];
+    for (const cluster of clusters) {
+        const lab = rgbToLab(cluster.rgb);
+        const group = groups.find(g => deltaE(g.lab, lab, metric) < tolerance);
+        if (!group) {
+            groups.push({ lab, members: [cluster] });
+        } else {
+            group.members.push(cluster);
+        }
+    }
+
+    return groups.map(({ members }) => {
+        let r = 0, g = 0, b = 0, count = 0;
+        const ink = members[0].ink && [0, 0, 0, 0];
+        for (const m of members) {
+            r += m.rgb[0] * m.count;
+            g += m.rgb[1] * m.count;
+            b += m.rgb[2] * m.count;
+            count += m.count;
+            if (ink) addInk(ink, m.ink);
+        }
+        return {
+            rgb: [Math.round(r / count), Math.round(g / count), Math.round(b / count)],
+            count,
+            ...(ink && { ink })
+        };
+    });
+}
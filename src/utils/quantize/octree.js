@@ -0,0 +1,98 @@
+import { addInk } from './histogram';
+
+const MAX_DEPTH = 8;
+
+const createNode = () => ({
+    children: new Array(8).fill(null),
+    r: 0,
+    g: 0,
+    b: 0,
+    count: 0,
+    ink: null,
+    leaf: false
+});
+
+const childIndex = (p, depth) => {
+    const shift = 7 - depth;
+    const r = Math.round(p.r);
+    const g = Math.round(p.g);
+    const b = Math.round(p.b);
+    return (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+};
+
+export default function octree(points, paletteSize) {
+    if (!points.length) return [];
+
+    const root = createNode();
+    const levels = Array.from({ length: MAX_DEPTH }, () => []);
+    let leafCount = 0;
+
+    for (const p of points) {
+        let node = root;
+        for (let depth = 0; depth < MAX_DEPTH; depth++) {
+            const index = childIndex(p, depth);
+            if (!node.children[index]) {
+                node.children[index] = createNode();
+                if (depth === MAX_DEPTH - 1) {
+                    node.children[index].leaf = true;
+                    leafCount++;
+                } else {
+                    levels[depth + 1].push(node.children[index]);
+                }
+            }
+            node = node.children[index];
+        }
+        node.r += p.r * p.count;
+        node.g += p.g * p.count;
+        node.b += p.b * p.count;
+        node.count += p.count;
+        if (p.ink) addInk(node.ink ??= [0, 0, 0, 0], p.ink);
+    }
+
+    // Fold the deepest, least-populated nodes into their parents until the
+    // palette fits. Ties keep insertion order so the result is stable.
+    for (let depth = MAX_DEPTH - 1; depth > 0 && leafCount > paletteSize; depth--) {
+        const parents = levels[depth]
+            .map(node => {
+                let count = 0;
+                for (const child of node.children) if (child) count += child.count;
+                return { node, count };
+            })
+            .sort((a, b) => a.count - b.count);
+
+        for (const { node } of parents) {
+            if (leafCount <= paletteSize) break;
+            let merged = 0;
+            for (let i = 0; i < 8; i++) {
+                const child = node.children[i];
+                if (!child) continue;
+                node.r += child.r;
+                node.g += child.g;
+                node.b += child.b;
+                node.count += child.count;
+                if (child.ink) addInk(node.ink ??= [0, 0, 0, 0], child.ink);
+                node.children[i] = null;
+                merged++;
+            }
+            node.leaf = true;
+            leafCount -= merged - 1;
+        }
+    }
+
+    const leaves = [];
+    const collect = (node) => {
+        if (node.leaf) {
+            leaves.push({
+                r: node.r / node.count,
+                g: node.g / node.count,
+                b: node.b / node.count,
+                count: node.count,
+                ...(node.ink && { ink: node.ink })
+            });
+            return;
+        }
+        node.children.forEach(child => child && collect(child));
+    };
+    collect(root);
+    return leaves;
+}
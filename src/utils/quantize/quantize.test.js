@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { quantize, createHistogram, QUANTIZERS } from '.';
+
+const histogramOf = (pixels) => {
+    const histogram = createHistogram();
+    for (const [rgb, count, ink] of pixels) {
+        for (let i = 0; i < count; i++) histogram.add(...rgb, ink);
+    }
+    return histogram.points();
+};
+
+const THREE_COLORS = [
+    [[255, 0, 0], 60],
+    [[0, 128, 0], 30],
+    [[0, 0, 255], 10]
+];
+
+describe('quantize', () => {
+    for (const method of Object.keys(QUANTIZERS)) {
+        it(`${method} finds distinct colors with their shares`, () => {
+            const colors = quantize(histogramOf(THREE_COLORS), { method, paletteSize: 8, tolerance: 0 });
+
+            expect(colors.map(({ rgb, count, percentage }) => [rgb, count, percentage])).toEqual([
+                [[255, 0, 0], 60, 60],
+                [[0, 128, 0], 30, 30],
+                [[0, 0, 255], 10, 10]
+            ]);
+        });
+
+        it(`${method} averages native ink per cluster`, () => {
+            const points = histogramOf([
+                [[255, 0, 0], 2, [0, 100, 100, 0]],
+                [[254, 0, 0], 2, [0, 90, 100, 10]]
+            ]);
+            const [color] = quantize(points, { method, paletteSize: 5, tolerance: 3 });
+
+            expect(color.count).toBe(4);
+            expect(color.ink).toEqual([0, 95, 100, 5]);
+        });
+    }
+
+    it('merges clusters closer than the tolerance', () => {
+        // Neighbouring histogram bins, about 0.4 ΔE2000 apart.
+        const points = histogramOf([[[199, 40, 40], 5], [[201, 40, 40], 5]]);
+
+        expect(quantize(points, { tolerance: 0 })).toHaveLength(2);
+        expect(quantize(points, { tolerance: 3 })).toEqual([{ rgb: [200, 40, 40], count: 10, percentage: 100 }]);
+    });
+
+    it('keeps the palette within its minimum size', () => {
+        const pixels = Array.from({ length: 12 }, (_, i) => [[i * 20, 255 - i * 20, (i * 70) % 256], 1]);
+
+        expect(quantize(histogramOf(pixels), { paletteSize: 1, tolerance: 0 })).toHaveLength(5);
+    });
+
+    it('rejects unknown methods', () => {
+        expect(() => quantize([], { method: 'random' })).toThrow('Unknown quantizer: random');
+    });
+});
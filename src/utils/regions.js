@@ -0,0 +1,80 @@
+// Regions are stored in coordinates normalized to the image (0..1), so the
+// same shapes apply to the preview and to the downscaled analysis canvas.
+export const REGION_TOOLS = {
+    rect: { label: 'Rectangle' },
+    ellipse: { label: 'Ellipse' },
+    lasso: { label: 'Lasso' }
+};
+
+export const DEFAULT_REGION_TOOL = 'rect';
+
+export const REGION_MODES = {
+    include: { label: 'Analyze only the regions' },
+    exclude: { label: 'Exclude the regions' }
+};
+
+export const DEFAULT_REGION_MODE = 'include';
+
+// One bit per region in the analysis mask.
+export const MAX_REGIONS = 8;
+
+export const regionLabel = (index) => `Region ${index + 1}`;
+
+export const regionBounds = ({ points }) => {
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    return {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys)
+    };
+};
+
+const traceRegion = (ctx, region, width, height) => {
+    ctx.beginPath();
+    if (region.type === 'lasso') {
+        region.points.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(x * width, y * height);
+            else ctx.lineTo(x * width, y * height);
+        });
+        ctx.closePath();
+        return;
+    }
+
+    const bounds = regionBounds(region);
+    const x = bounds.x * width;
+    const y = bounds.y * height;
+    const w = bounds.width * width;
+    const h = bounds.height * height;
+    if (region.type === 'ellipse') {
+        ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+    } else {
+        ctx.rect(x, y, w, h);
+    }
+};
+
+// Rasterizes the regions at the analysis resolution for the strip of `rows`
+// rows starting at `top`. Bit `i` of a pixel is set when it lies inside
+// region `i`, so overlapping regions each keep their pixels.
+export const rasterizeRegions = (regions, width, height, { top = 0, rows = height } = {}) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = rows;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.translate(0, -top);
+    const mask = new Uint8Array(width * rows);
+
+    regions.forEach((region, index) => {
+        ctx.clearRect(0, top, width, rows);
+        traceRegion(ctx, region, width, height);
+        ctx.fill();
+        const { data } = ctx.getImageData(0, 0, width, rows);
+        const bit = 1 << index;
+        for (let p = 0; p < mask.length; p++) {
+            if (data[p * 4 + 3] >= 128) mask[p] |= bit;
+        }
+    });
+
+    return mask;
+};
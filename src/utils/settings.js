@@ -0,0 +1,162 @@
+import { DEFAULT_ANALYSIS_MODE, DEFAULT_QUANTIZER_OPTIONS, resolveSampling } from './analysisCore';
+import { QUANTIZERS, MIN_PALETTE_SIZE, MAX_PALETTE_SIZE } from './quantize';
+import { DELTA_E_METRICS, MAX_DELTA_E_TOLERANCE } from './deltaE';
+import { RENDERING_INTENTS, DEFAULT_RENDERING_INTENT } from './colorManagement';
+import { BLACK_GENERATION_PRESETS, DEFAULT_BLACK_GENERATION, K_CURVE_POINTS } from './blackGeneration';
+import { readStoredJson, storeJson } from './storage';
+
+// Everything that shapes an analysis except the ICC profile itself, which is
+// a file and travels separately (only its name is kept, to flag a mismatch):
+// { sampling, quantizer, renderingIntent, blackGeneration }.
+export const DEFAULT_ANALYSIS_SETTINGS = {
+    sampling: resolveSampling(DEFAULT_ANALYSIS_MODE),
+    quantizer: DEFAULT_QUANTIZER_OPTIONS,
+    renderingIntent: DEFAULT_RENDERING_INTENT,
+    blackGeneration: DEFAULT_BLACK_GENERATION
+};
+
+export const BUILT_IN_PRESETS = [
+    {
+        name: 'Fast preview',
+        settings: {
+            ...DEFAULT_ANALYSIS_SETTINGS,
+            sampling: { maxDimension: 500, sampleEvery: 8 },
+            quantizer: { method: 'median-cut', paletteSize: 8, metric: 'de76', tolerance: 5 }
+        }
+    },
+    {
+        name: 'Press-accurate',
+        settings: {
+            ...DEFAULT_ANALYSIS_SETTINGS,
+            sampling: { maxDimension: null, sampleEvery: 1 },
+            quantizer: { method: 'k-means', paletteSize: 32, metric: 'de2000', tolerance: 2 }
+        }
+    }
+];
+
+const oneOf = (name, value, allowed) => {
+    if (!Object.hasOwn(allowed, value)) throw new Error(`${name} must be one of: ${Object.keys(allowed).join(', ')}`);
+    return value;
+};
+
+const inRange = (name, value, min, max) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${name} must be a number from ${min} to ${max}`);
+    }
+    return value;
+};
+
+// Fills in what `input` leaves out from the defaults and rejects anything the
+// analysis cannot run with, so a bad preset or link fails before analyzing.
+export const normalizeAnalysisSettings = (input = {}) => {
+    const quantizer = { ...DEFAULT_ANALYSIS_SETTINGS.quantizer, ...input.quantizer };
+    const blackGeneration = { ...DEFAULT_ANALYSIS_SETTINGS.blackGeneration, ...input.blackGeneration };
+    if (!Array.isArray(blackGeneration.curve) || blackGeneration.curve.length !== K_CURVE_POINTS.length) {
+        throw new Error(`The K curve must have ${K_CURVE_POINTS.length} points`);
+    }
+    return {
+        // Older entries name a sampling mode instead.
+        sampling: resolveSampling(typeof input.sampling === 'string'
+            ? input.sampling
+            : { ...DEFAULT_ANALYSIS_SETTINGS.sampling, ...input.sampling }),
+        quantizer: {
+            method: oneOf('Quantizer', quantizer.method, QUANTIZERS),
+            paletteSize: Math.round(inRange('Palette size', quantizer.paletteSize, MIN_PALETTE_SIZE, MAX_PALETTE_SIZE)),
+            metric: oneOf('Grouping metric', quantizer.metric, DELTA_E_METRICS),
+            tolerance: inRange('Tolerance', quantizer.tolerance, 0, MAX_DELTA_E_TOLERANCE)
+        },
+        renderingIntent: oneOf('Rendering intent', input.renderingIntent ?? DEFAULT_RENDERING_INTENT, RENDERING_INTENTS),
+        blackGeneration: {
+            strategy: oneOf('Black generation', blackGeneration.strategy, BLACK_GENERATION_PRESETS),
+            curve: blackGeneration.curve.map(value => inRange('K curve points', value, 0, 100))
+        }
+    };
+};
+
+// Query string parameters, one per setting. Every setting is written, so a
+// link keeps meaning the same analysis even if the defaults change.
+const QUERY_PARAMS = ['size', 'every', 'quantizer', 'palette', 'metric', 'tolerance', 'intent', 'black', 'curve', 'profile'];
+
+export const settingsToQuery = (settings, profileName) => {
+    const params = new URLSearchParams();
+    params.set('size', settings.sampling.maxDimension ?? 'native');
+    params.set('every', settings.sampling.sampleEvery);
+    params.set('quantizer', settings.quantizer.method);
+    params.set('palette', settings.quantizer.paletteSize);
+    params.set('metric', settings.quantizer.metric);
+    params.set('tolerance', settings.quantizer.tolerance);
+    params.set('intent', settings.renderingIntent);
+    params.set('black', settings.blackGeneration.strategy);
+    if (settings.blackGeneration.strategy === 'custom') params.set('curve', settings.blackGeneration.curve.join(','));
+    if (profileName) params.set('profile', profileName);
+    return params.toString();
+};
+
+// The page's address with `query` in place of its own, optionally absolute.
+export const settingsUrl = (query, { absolute = false } = {}) => {
+    const { origin, pathname, hash } = window.location;
+    return `${absolute ? origin : ''}${pathname}?${query}${absolute ? '' : hash}`;
+};
+
+// Puts settings into the address bar without adding a browser history entry,
+// so reloading or bookmarking reproduces them. Only called when settings take
+// effect (an analysis runs) or a link is copied, so the address keeps matching
+// the results on screen.
+export const writeSettingsToAddressBar = (query) => {
+    if (window.location.search === `?${query}`) return;
+    window.history.replaceState(window.history.state, '', settingsUrl(query));
+};
+
+const toNumber = (value) => (value === null ? undefined : Number(value));
+
+// Reads settings written by settingsToQuery. Returns null when the query has
+// none, or { settings, profileName }; missing parameters take the defaults
+// and invalid ones throw.
+export const settingsFromQuery = (query) => {
+    const params = new URLSearchParams(query);
+    if (!QUERY_PARAMS.some(name => params.has(name))) return null;
+    const size = params.get('size');
+    const curve = params.get('curve');
+    const settings = normalizeAnalysisSettings({
+        sampling: {
+            ...(size !== null && { maxDimension: size === 'native' ? null : Number(size) }),
+            ...(params.has('every') && { sampleEvery: toNumber(params.get('every')) })
+        },
+        quantizer: Object.fromEntries(Object.entries({
+            method: params.get('quantizer') ?? undefined,
+            paletteSize: toNumber(params.get('palette')),
+            metric: params.get('metric') ?? undefined,
+            tolerance: toNumber(params.get('tolerance'))
+        }).filter(([, value]) => value !== undefined)),
+        renderingIntent: params.get('intent') ?? undefined,
+        blackGeneration: {
+            ...(params.has('black') && { strategy: params.get('black') }),
+            ...(curve !== null && { curve: curve.split(',').map(Number) })
+        }
+    });
+    return { settings, profileName: params.get('profile') };
+};
+
+const STORAGE_KEY = 'analysisPresets';
+
+// Presets saved in this browser: [{ name, settings }].
+export const loadStoredPresets = () => {
+    const stored = readStoredJson(STORAGE_KEY);
+    if (!Array.isArray(stored)) return [];
+    return stored.flatMap((preset) => {
+        try {
+            return [{ name: String(preset.name), settings: normalizeAnalysisSettings(preset.settings) }];
+        } catch {
+            return [];
+        }
+    });
+};
+
+export const storePresets = (presets) => storeJson(STORAGE_KEY, presets);
+
+// The name of the preset matching `settings`, if any. Settings are compared
+// by their query string, which ignores the K curve unless it is used.
+export const matchingPreset = (presets, settings) => {
+    const query = settingsToQuery(settings);
+    return presets.find(preset => settingsToQuery(preset.settings) === query)?.name ?? null;
+};
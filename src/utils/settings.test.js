@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_ANALYSIS_SETTINGS,
+    BUILT_IN_PRESETS,
+    normalizeAnalysisSettings,
+    settingsToQuery,
+    settingsFromQuery
+} from './settings';
+
+describe('settingsToQuery and settingsFromQuery', () => {
+    it('round-trip every built-in preset and the defaults', () => {
+        for (const settings of [DEFAULT_ANALYSIS_SETTINGS, ...BUILT_IN_PRESETS.map(preset => preset.settings)]) {
+            expect(settingsFromQuery(settingsToQuery(settings))).toEqual({ settings, profileName: null });
+        }
+    });
+
+    it('round-trip a custom K curve and the profile name', () => {
+        const settings = normalizeAnalysisSettings({
+            sampling: { maxDimension: 2400, sampleEvery: 2 },
+            renderingIntent: 'perceptual',
+            blackGeneration: { strategy: 'custom', curve: [0, 5, 40, 70, 95] }
+        });
+        const query = settingsToQuery(settings, 'FOGRA39 coated.icc');
+
+        expect(query).toContain('curve=0%2C5%2C40%2C70%2C95');
+        expect(settingsFromQuery(query)).toEqual({ settings, profileName: 'FOGRA39 coated.icc' });
+    });
+
+    it('return null for a query without settings', () => {
+        expect(settingsFromQuery('?utm_source=mail')).toBeNull();
+    });
+
+    it('reject invalid values in a link', () => {
+        expect(() => settingsFromQuery('palette=1000')).toThrow('Palette size must be a number from');
+        expect(() => settingsFromQuery('size=50')).toThrow(/longest side/);
+    });
+});
+
+describe('normalizeAnalysisSettings', () => {
+    it('fills in the defaults', () => {
+        expect(normalizeAnalysisSettings({})).toEqual(DEFAULT_ANALYSIS_SETTINGS);
+    });
+
+    it('rejects values the analysis cannot run with', () => {
+        expect(() => normalizeAnalysisSettings({ quantizer: { paletteSize: 1000 } })).toThrow(/Palette size/);
+        expect(() => normalizeAnalysisSettings({ quantizer: { tolerance: Number.NaN } })).toThrow(/Tolerance/);
+        expect(() => normalizeAnalysisSettings({ quantizer: { method: 'random' } })).toThrow('Quantizer must be one of');
+        expect(() => normalizeAnalysisSettings({ quantizer: { metric: 'de00' } })).toThrow('Grouping metric must be one of');
+        expect(() => normalizeAnalysisSettings({ renderingIntent: 'vivid' })).toThrow('Rendering intent must be one of');
+        expect(() => normalizeAnalysisSettings({ blackGeneration: { strategy: 'most' } })).toThrow('Black generation must be one of');
+        expect(() => normalizeAnalysisSettings({ blackGeneration: { curve: [0, 50, 100] } })).toThrow('The K curve must have 5 points');
+        expect(() => normalizeAnalysisSettings({ blackGeneration: { curve: [0, 10, 35, 65, 120] } })).toThrow(/K curve points/);
+        expect(() => normalizeAnalysisSettings({ sampling: { maxDimension: null, sampleEvery: 0 } })).toThrow(/sampling step/);
+    });
+});
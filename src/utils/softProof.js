@@ -0,0 +1,83 @@
+import convert from 'color-convert';
+import {
+    createPressModel,
+    COATED_PRIMARIES,
+    UNCOATED_PRIMARIES,
+    NEWSPRINT_PRIMARIES
+} from './pressModel';
+import { readInk } from './decoders/raster';
+
+export const PAPER_PRESETS = {
+    coated: { label: 'Coated', primaries: COATED_PRIMARIES, dotGain: 14, inkLimit: 330 },
+    uncoated: { label: 'Uncoated', primaries: UNCOATED_PRIMARIES, dotGain: 20, inkLimit: 300 },
+    newsprint: { label: 'Newsprint', primaries: NEWSPRINT_PRIMARIES, dotGain: 28, inkLimit: 240 }
+};
+
+export const DEFAULT_PAPER = 'coated';
+export const MAX_DOT_GAIN = 40;
+
+// Removes ink above the limit from C, M and Y proportionally, keeping K,
+// the way a separation with a total ink limit would.
+export const applyInkLimit = ([c, m, y, k], inkLimit) => {
+    const total = c + m + y + k;
+    if (total <= inkLimit) return [c, m, y, k];
+    const cmy = c + m + y;
+    const scale = cmy ? Math.max(cmy - (total - inkLimit), 0) / cmy : 0;
+    return [c * scale, m * scale, y * scale, Math.min(k, inkLimit)];
+};
+
+// Tone value increase with the given gain at 50%, tapering to zero at the
+// paper and the solid.
+export const applyDotGain = (cmyk, dotGain) => cmyk.map(v => {
+    const t = v / 100;
+    return Math.min(100, v + dotGain * 4 * t * (1 - t));
+});
+
+// Whether the proof is rendered through the loaded ICC profile rather than a
+// paper preset's press model.
+export const proofUsesProfile = (transform) => Boolean(transform.cmykToPaperRgb);
+
+// Prints CMYK percentages: spread by dot gain and rendered on the paper's own
+// white (absolute colorimetric). An ICC profile already characterizes its
+// press and paper, so its own CMYK -> PCS tables render the print and
+// `dotGain` is gain on top of it; the built-in transform has no
+// characterization and uses the paper preset's press model.
+const createPrint = (transform, { paper, dotGain }) => {
+    const pressModel = !proofUsesProfile(transform) && createPressModel(PAPER_PRESETS[paper].primaries);
+    const render = pressModel ? (cmyk) => convert.lab.rgb(pressModel(cmyk)) : transform.cmykToPaperRgb;
+    return (cmyk) => render(applyDotGain(cmyk, dotGain));
+};
+
+// Returns a function from an sRGB pixel to its simulated print: separated
+// by `transform`, ink-limited and printed as above.
+export const createSoftProof = (transform, { paper, dotGain, inkLimit }) => {
+    const print = createPrint(transform, { paper, dotGain });
+    const cache = new Map();
+    return (rgb) => {
+        const key = (rgb[0] << 16) | (rgb[1] << 8) | rgb[2];
+        let proof = cache.get(key);
+        if (!proof) {
+            proof = print(applyInkLimit(transform.rgbToCmyk(rgb), inkLimit));
+            cache.set(key, proof);
+        }
+        return proof;
+    };
+};
+
+// The same for a CMYK file's own ink values: returns a function from pixel
+// `index` of an interleaved ink buffer (see decoders/raster.js) to its print.
+// The inks are printed as they are, without separation or ink limit.
+export const createInkProof = (transform, { paper, dotGain }, cmyk) => {
+    const print = createPrint(transform, { paper, dotGain });
+    const cache = new Map();
+    return (index) => {
+        const i = index * 4;
+        const key = ((cmyk[i] << 24) | (cmyk[i + 1] << 16) | (cmyk[i + 2] << 8) | cmyk[i + 3]) >>> 0;
+        let proof = cache.get(key);
+        if (!proof) {
+            proof = print(readInk(cmyk, index));
+            cache.set(key, proof);
+        }
+        return proof;
+    };
+};
@@ -0,0 +1,43 @@
+import convert from 'color-convert';
+import { deltaE } from '../deltaE';
+import { REFERENCE_LIBRARY } from './reference';
+import { parseSpotCsv, parseAse } from './parsers';
+
+export { REFERENCE_LIBRARY, parseSpotCsv, parseAse };
+
+export const SPOT_MATCH_COUNT = 3;
+export const DEFAULT_SPOT_TOLERANCE = 3;
+export const MAX_SPOT_TOLERANCE = 10;
+
+export const loadSpotLibrary = async (file) => {
+    const name = file.name.replace(/\.[^.]+$/, '');
+    if (/\.ase$/i.test(file.name)) return parseAse(await file.arrayBuffer(), name);
+    if (/\.(csv|txt)$/i.test(file.name)) return parseSpotCsv(await file.text(), name);
+    throw new Error('Spot color libraries must be .csv or .ase files');
+};
+
+// Nearest `count` library colors for every palette color, closest first.
+// `gamut` is a check from createGamutCheck for the current CMYK transform.
+export const matchSpotColors = (colors, library, { metric, gamut, count = SPOT_MATCH_COUNT }) => {
+    const inGamut = new Map();
+    const isInGamut = (spot) => {
+        if (!inGamut.has(spot)) inGamut.set(spot, gamut.isLabInGamut(spot.lab));
+        return inGamut.get(spot);
+    };
+
+    return colors.map(color => {
+        const lab = color.lab;
+        const matches = library.colors
+            .map(spot => ({ spot, deltaE: deltaE(lab, spot.lab, metric) }))
+            .sort((a, b) => a.deltaE - b.deltaE)
+            .slice(0, count)
+            .map(({ spot, deltaE: distance }) => ({
+                name: spot.name,
+                lab: spot.lab,
+                hex: `#${convert.lab.hex(spot.lab)}`,
+                deltaE: distance,
+                inGamut: isInGamut(spot)
+            }));
+        return { color, matches };
+    });
+};
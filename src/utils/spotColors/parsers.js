@@ -0,0 +1,118 @@
+import { rgbToLab, labD50ToD65 } from '../deltaE';
+
+// Libraries are parsed into { name, colors: [{ name, lab }], skipped }, where
+// `skipped` counts entries that carried no usable color. `lab` is D65 like
+// the palette's Lab; imported Lab values are taken to be D50, the convention
+// of swatch books and spectrophotometers, and adapted.
+
+const splitCsvLine = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+const CSV_COLUMNS = {
+    name: ['name', 'color', 'colour', 'swatch'],
+    L: ['l', 'l*', 'lab_l', 'lab l'],
+    a: ['a', 'a*', 'lab_a', 'lab a'],
+    b: ['b', 'b*', 'lab_b', 'lab b']
+};
+
+// Expects a header row naming the columns, e.g. `name,L,a,b`, with D50 Lab.
+export const parseSpotCsv = (text, libraryName) => {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (!lines.length) throw new Error('The CSV file is empty');
+
+    const header = splitCsvLine(lines[0]).map(cell => cell.toLowerCase());
+    const index = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, aliases]) => [
+        key,
+        header.findIndex(cell => aliases.includes(cell))
+    ]));
+    const missing = Object.keys(index).filter(key => index[key] === -1);
+    if (missing.length) {
+        throw new Error(`The CSV header needs name, L, a and b columns (missing ${missing.join(', ')})`);
+    }
+
+    const colors = [];
+    let skipped = 0;
+    for (const line of lines.slice(1)) {
+        const cells = splitCsvLine(line);
+        const lab = [cells[index.L], cells[index.a], cells[index.b]].map(cell => (cell ? Number(cell) : NaN));
+        if (!cells[index.name] || lab.some(Number.isNaN)) {
+            skipped++;
+            continue;
+        }
+        colors.push({ name: cells[index.name], lab: labD50ToD65(lab) });
+    }
+
+    if (!colors.length) throw new Error('The CSV file contains no colors with Lab values');
+    return { name: libraryName, colors, skipped };
+};
+
+// Adobe Swatch Exchange. LAB swatches (D50) are adapted and RGB swatches are
+// converted; CMYK and gray swatches have no device-independent value and
+// are skipped.
+export const parseAse = (buffer, libraryName) => {
+    const view = new DataView(buffer);
+    const ascii = (offset, length) => String.fromCharCode(
+        ...new Uint8Array(buffer, offset, length)
+    );
+    if (buffer.byteLength < 12 || ascii(0, 4) !== 'ASEF') {
+        throw new Error('Not an Adobe Swatch Exchange file');
+    }
+
+    const blockCount = view.getUint32(8);
+    const colors = [];
+    let skipped = 0;
+    let offset = 12;
+
+    for (let block = 0; block < blockCount && offset + 6 <= buffer.byteLength; block++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+        offset = start + length;
+        if (type !== 0x0001) continue;
+
+        const nameLength = view.getUint16(start);
+        let name = '';
+        for (let i = 0; i < nameLength - 1; i++) {
+            name += String.fromCharCode(view.getUint16(start + 2 + i * 2));
+        }
+        const modelOffset = start + 2 + nameLength * 2;
+        const model = ascii(modelOffset, 4);
+        const value = (i) => view.getFloat32(modelOffset + 4 + i * 4);
+
+        if (model === 'LAB ') {
+            colors.push({ name, lab: labD50ToD65([value(0) * 100, value(1), value(2)]) });
+        } else if (model === 'RGB ') {
+            colors.push({ name, lab: rgbToLab([value(0) * 255, value(1) * 255, value(2) * 255]) });
+        } else {
+            skipped++;
+        }
+    }
+
+    if (!colors.length) throw new Error('The swatch file contains no Lab or RGB colors');
+    return { name: libraryName, colors, skipped };
+};
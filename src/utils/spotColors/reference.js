@@ -0,0 +1,56 @@
+// Approximate Lab values for a basic set of spot inks on coated stock,
+// already in the palette's D65 (imported libraries are adapted from D50 in
+// parsers.js). They are close enough to shortlist candidates, but confirm
+// final picks against your ink supplier's current guide or an imported
+// library.
+export const REFERENCE_LIBRARY = {
+    name: 'Basic spot inks (approximate)',
+    colors: [
+        { name: 'Yellow', lab: [88.3, -5.4, 88.1] },
+        { name: 'Yellow 012', lab: [86.9, -1.9, 87.1] },
+        { name: 'Orange 021', lab: [58.8, 63.6, 69.4] },
+        { name: 'Warm Red', lab: [56.4, 68, 46.7] },
+        { name: 'Red 032', lab: [53.1, 69.8, 39.2] },
+        { name: 'Rubine Red', lab: [44, 71, 11.8] },
+        { name: 'Rhodamine Red', lab: [49.8, 80.4, -18.5] },
+        { name: 'Purple', lab: [46.6, 71.4, -44.7] },
+        { name: 'Violet', lab: [22, 56.3, -65.1] },
+        { name: 'Blue 072', lab: [19, 54, -74] },
+        { name: 'Reflex Blue', lab: [17, 42, -63.6] },
+        { name: 'Process Blue', lab: [53, -4.8, -44] },
+        { name: 'Green', lab: [62.3, -46.7, 9.7] },
+        { name: 'Black', lab: [16.9, 1.2, 2.6] },
+        { name: 'Process Yellow', lab: [92.5, -12.9, 91.1] },
+        { name: 'Process Magenta', lab: [49.4, 78.5, -2.1] },
+        { name: 'Process Cyan', lab: [61.8, -11.8, -42] },
+        { name: 'Process Black', lab: [9.3, 0, 0] },
+        { name: 'Bright Red', lab: [55.2, 70.4, 57.2] },
+        { name: 'Dark Red', lab: [31.1, 41.5, 15.6] },
+        { name: 'Burgundy', lab: [27.9, 31.2, 1.3] },
+        { name: 'Pink', lab: [80.3, 26.2, -2.6] },
+        { name: 'Peach', lab: [82.2, 19.5, 24.8] },
+        { name: 'Gold Yellow', lab: [79.4, 14.3, 78.2] },
+        { name: 'Amber', lab: [67.5, 41.8, 74.3] },
+        { name: 'Brown', lab: [35.2, 9.5, 32.2] },
+        { name: 'Tan', lab: [70.1, 4.6, 25.7] },
+        { name: 'Olive', lab: [51, -12.5, 40.4] },
+        { name: 'Lime', lab: [79.1, -44.8, 77.9] },
+        { name: 'Emerald', lab: [55.6, -53.7, 35.2] },
+        { name: 'Forest Green', lab: [34.7, -26.8, 10.5] },
+        { name: 'Teal', lab: [52.9, -27.8, -13.8] },
+        { name: 'Turquoise', lab: [65.5, -39.4, -6.2] },
+        { name: 'Sky Blue', lab: [68.2, -4.9, -34.4] },
+        { name: 'Navy', lab: [16.7, 4.5, -23.7] },
+        { name: 'Royal Blue', lab: [29.5, 26.9, -60.2] },
+        { name: 'Lavender', lab: [74.9, 8.3, -21.1] },
+        { name: 'Plum', lab: [38.2, 42, -37.9] },
+        { name: 'Cool Gray 1', lab: [86.6, -0.5, 1.5] },
+        { name: 'Cool Gray 4', lab: [76.2, -0.3, -0.1] },
+        { name: 'Cool Gray 7', lab: [63.1, -0.3, -1.3] },
+        { name: 'Cool Gray 9', lab: [50.3, -0.5, -2] },
+        { name: 'Cool Gray 11', lab: [36.4, -0.3, -2.7] },
+        { name: 'Warm Gray 2', lab: [79.5, 1, 4.9] },
+        { name: 'Warm Gray 6', lab: [64.9, 1.8, 5.4] },
+        { name: 'Warm Gray 10', lab: [47.2, 2.7, 6.6] }
+    ]
+};
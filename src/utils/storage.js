@@ -0,0 +1,20 @@
+// JSON values kept in this browser's localStorage. Neither helper throws:
+// reading gives null when nothing (or nothing parsable) is stored, and a
+// failed write leaves the value to the current session.
+
+export const readStoredJson = (key) => {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored === null ? null : JSON.parse(stored);
+    } catch {
+        return null;
+    }
+};
+
+export const storeJson = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // Private browsing or a full quota.
+    }
+};
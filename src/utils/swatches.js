@@ -0,0 +1,166 @@
+import { hexToRgb } from './color';
+
+// Swatch writers take entries shaped like `sortedColors` items
+// ({ hex, cmyk: [c, m, y, k] in 0..100, percentage }) and return a string or
+// an ArrayBuffer ready for download.
+
+const swatchName = (color, index) => `Color ${index + 1} ${color.hex}`;
+
+const formatCmyk = (cmyk) => cmyk.map(v => `${Math.round(v)}%`).join(' ');
+
+const createWriter = () => {
+    const bytes = [];
+
+    const writer = {
+        bytes,
+        uint16: (value) => {
+            bytes.push((value >> 8) & 0xff, value & 0xff);
+        },
+        uint32: (value) => {
+            bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+        },
+        float32: (value) => {
+            const view = new DataView(new ArrayBuffer(4));
+            view.setFloat32(0, value);
+            for (let i = 0; i < 4; i++) bytes.push(view.getUint8(i));
+        },
+        ascii: (text) => {
+            for (const char of text) bytes.push(char.charCodeAt(0));
+        },
+        utf16: (text) => {
+            for (let i = 0; i < text.length; i++) writer.uint16(text.charCodeAt(i));
+        },
+        append: (other) => {
+            for (const byte of other.bytes) bytes.push(byte);
+        },
+        toArrayBuffer: () => new Uint8Array(bytes).buffer
+    };
+    return writer;
+};
+
+// Adobe Swatch Exchange: one group of RGB swatches and one of CMYK swatches.
+export const writeAse = (colors, paletteName = 'Color Analyzer') => {
+    const blocks = [];
+
+    const block = (type, body) => {
+        const writer = createWriter();
+        writer.uint16(type);
+        writer.uint32(body.bytes.length);
+        writer.append(body);
+        blocks.push(writer);
+    };
+
+    const name = (writer, text) => {
+        writer.uint16(text.length + 1);
+        writer.utf16(text);
+        writer.uint16(0);
+    };
+
+    const group = (label, model, values) => {
+        const start = createWriter();
+        name(start, `${paletteName} ${label}`);
+        block(0xc001, start);
+
+        colors.forEach((color, index) => {
+            const entry = createWriter();
+            name(entry, swatchName(color, index));
+            entry.ascii(model);
+            values(color).forEach(v => entry.float32(v));
+            entry.uint16(2);
+            block(0x0001, entry);
+        });
+
+        block(0xc002, createWriter());
+    };
+
+    group('RGB', 'RGB ', color => hexToRgb(color.hex).map(v => v / 255));
+    group('CMYK', 'CMYK', color => color.cmyk.map(v => v / 100));
+
+    const file = createWriter();
+    file.ascii('ASEF');
+    file.uint16(1);
+    file.uint16(0);
+    file.uint32(blocks.length);
+    blocks.forEach(b => file.append(b));
+    return file.toArrayBuffer();
+};
+
+// Photoshop .aco: a version 1 section followed by a version 2 section with
+// names. Every swatch is written once as RGB and once as CMYK (where
+// Photoshop stores 0 for full ink).
+export const writeAco = (colors) => {
+    const entries = colors.flatMap((color, index) => [
+        { name: swatchName(color, index), space: 0, values: hexToRgb(color.hex).map(v => v * 257) },
+        {
+            name: `${swatchName(color, index)} CMYK`,
+            space: 2,
+            values: color.cmyk.map(v => Math.round(65535 - (v / 100) * 65535))
+        }
+    ]);
+
+    const file = createWriter();
+    for (const version of [1, 2]) {
+        file.uint16(version);
+        file.uint16(entries.length);
+        for (const entry of entries) {
+            file.uint16(entry.space);
+            for (let i = 0; i < 4; i++) file.uint16(entry.values[i] || 0);
+            if (version === 2) {
+                file.uint32(entry.name.length + 1);
+                file.utf16(entry.name);
+                file.uint16(0);
+            }
+        }
+    }
+    return file.toArrayBuffer();
+};
+
+// GIMP/Inkscape palettes are RGB only, so the CMYK values go in the name.
+export const writeGpl = (colors, paletteName = 'Color Analyzer') => [
+    'GIMP Palette',
+    `Name: ${paletteName}`,
+    'Columns: 8',
+    '#',
+    ...colors.map((color, index) => {
+        const rgb = hexToRgb(color.hex).map(v => String(v).padStart(3, ' ')).join(' ');
+        return `${rgb}\t${swatchName(color, index)} CMYK ${formatCmyk(color.cmyk)}`;
+    })
+].join('\n') + '\n';
+
+export const writeCss = (colors) => [
+    ':root {',
+    ...colors.flatMap((color, index) => [
+        `    /* ${swatchName(color, index)}: ${color.percentage.toFixed(1)}% of the image */`,
+        `    --palette-${index + 1}: ${color.hex};`,
+        `    --palette-${index + 1}-cmyk: device-cmyk(${formatCmyk(color.cmyk)});`
+    ]),
+    '}'
+].join('\n') + '\n';
+
+// Design Tokens Community Group format, CMYK carried in $extensions.
+export const writeTokens = (colors) => JSON.stringify({
+    palette: Object.fromEntries(colors.map((color, index) => [
+        `color-${index + 1}`,
+        {
+            $type: 'color',
+            $value: color.hex,
+            $description: `${color.percentage.toFixed(1)}% of the image`,
+            $extensions: {
+                cmyk: {
+                    c: color.cmyk[0],
+                    m: color.cmyk[1],
+                    y: color.cmyk[2],
+                    k: color.cmyk[3]
+                }
+            }
+        }
+    ]))
+}, null, 2);
+
+export const SWATCH_FORMATS = {
+    ase: { label: 'Adobe Swatch Exchange (.ase)', extension: 'ase', mime: 'application/octet-stream', write: writeAse },
+    aco: { label: 'Photoshop swatches (.aco)', extension: 'aco', mime: 'application/octet-stream', write: writeAco },
+    gpl: { label: 'GIMP / Inkscape palette (.gpl)', extension: 'gpl', mime: 'text/plain', write: writeGpl },
+    css: { label: 'CSS custom properties (.css)', extension: 'css', mime: 'text/css', write: writeCss },
+    tokens: { label: 'Design tokens (.json)', extension: 'tokens.json', mime: 'application/json', write: writeTokens }
+};
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { writeAse, writeAco } from './swatches';
+
+const COLORS = [
+    { hex: '#ff0000', cmyk: [0, 100, 100, 0], percentage: 60 },
+    { hex: '#0080ff', cmyk: [100, 50, 0, 0], percentage: 40 }
+];
+
+// Reads a length-prefixed, NUL-terminated big-endian UTF-16 string at
+// `offset`; `lengthBytes` is the size of the prefix.
+const readName = (view, offset, lengthBytes = 2) => {
+    const length = lengthBytes === 2 ? view.getUint16(offset) : view.getUint32(offset);
+    const start = offset + lengthBytes;
+    let text = '';
+    for (let i = 0; i < length - 1; i++) text += String.fromCharCode(view.getUint16(start + i * 2));
+    expect(view.getUint16(start + (length - 1) * 2)).toBe(0);
+    return { text, end: start + length * 2 };
+};
+
+describe('writeAse', () => {
+    const view = new DataView(writeAse(COLORS, 'Test'));
+
+    it('writes the ASEF header with the block count', () => {
+        const magic = String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(i)));
+
+        expect(magic).toBe('ASEF');
+        expect([view.getUint16(4), view.getUint16(6)]).toEqual([1, 0]);
+        // Two groups of start, one block per color and end.
+        expect(view.getUint32(8)).toBe(2 * (COLORS.length + 2));
+    });
+
+    it('writes blocks whose lengths match their bodies', () => {
+        const blocks = [];
+        let offset = 12;
+        while (offset < view.byteLength) {
+            const type = view.getUint16(offset);
+            const length = view.getUint32(offset + 2);
+            blocks.push({ type, start: offset + 6, length });
+            offset += 6 + length;
+        }
+
+        expect(offset).toBe(view.byteLength);
+        expect(blocks.map(b => b.type)).toEqual([0xc001, 0x0001, 0x0001, 0xc002, 0xc001, 0x0001, 0x0001, 0xc002]);
+
+        const group = readName(view, blocks[0].start);
+        expect(group).toEqual({ text: 'Test RGB', end: blocks[0].start + blocks[0].length });
+
+        const red = blocks[1];
+        const name = readName(view, red.start);
+        expect(name.text).toBe('Color 1 #ff0000');
+        const model = String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(name.end + i)));
+        expect(model).toBe('RGB ');
+        expect([0, 1, 2].map(i => view.getFloat32(name.end + 4 + i * 4))).toEqual([1, 0, 0]);
+        expect(name.end + 16 + 2).toBe(red.start + red.length);
+
+        const cyan = blocks[6];
+        const cmykName = readName(view, cyan.start);
+        expect(cmykName.text).toBe('Color 2 #0080ff');
+        expect([0, 1, 2, 3].map(i => view.getFloat32(cmykName.end + 4 + i * 4))).toEqual([1, 0.5, 0, 0]);
+        expect(blocks[3].length).toBe(0);
+    });
+});
+
+describe('writeAco', () => {
+    const view = new DataView(writeAco(COLORS));
+    const entries = COLORS.length * 2;
+
+    it('writes an unnamed version 1 section followed by a named version 2 section', () => {
+        expect([view.getUint16(0), view.getUint16(2)]).toEqual([1, entries]);
+        const version2 = 4 + entries * 10;
+        expect([view.getUint16(version2), view.getUint16(version2 + 2)]).toEqual([2, entries]);
+
+        const names = [];
+        let offset = version2 + 4;
+        for (let i = 0; i < entries; i++) {
+            const name = readName(view, offset + 10, 4);
+            names.push([view.getUint16(offset), name.text]);
+            offset = name.end;
+        }
+
+        expect(offset).toBe(view.byteLength);
+        expect(names).toEqual([
+            [0, 'Color 1 #ff0000'],
+            [2, 'Color 1 #ff0000 CMYK'],
+            [0, 'Color 2 #0080ff'],
+            [2, 'Color 2 #0080ff CMYK']
+        ]);
+    });
+
+    it('stores RGB as 16-bit values and CMYK inverted', () => {
+        const values = (entry) => [1, 2, 3, 4].map(i => view.getUint16(4 + entry * 10 + i * 2));
+
+        expect(values(0)).toEqual([65535, 0, 0, 0]);
+        expect(values(1)).toEqual([65535, 0, 0, 65535]);
+        expect(values(3)).toEqual([0, 32768, 65535, 65535]);
+    });
+});
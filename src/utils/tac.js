@@ -0,0 +1,54 @@
+// Total area coverage (C+M+Y+K) is stored per pixel in tenths of a percent,
+// so 0..4000 fits a Uint16Array.
+export const TAC_SCALE = 10;
+export const MAX_TAC = 400;
+export const TAC_BIN_SIZE = 10;
+export const TAC_BIN_COUNT = MAX_TAC / TAC_BIN_SIZE + 1;
+
+export const DEFAULT_INK_LIMIT = 300;
+export const INK_LIMIT_PRESETS = [240, 260, 280, 300, 320, 340];
+
+// Pixel counts per TAC level at full precision, so ink limit violations are
+// exact at the analysis resolution whatever the preview size.
+export const TAC_LEVELS = MAX_TAC * TAC_SCALE + 1;
+
+// TAC map value of preview pixels outside the analyzed regions.
+export const TAC_OUTSIDE = 0xffff;
+
+export const tacBin = (tac) => Math.min(Math.floor(tac / TAC_BIN_SIZE), TAC_BIN_COUNT - 1);
+
+export const countInkLimitViolations = ({ distribution }, inkLimit) => {
+    const threshold = inkLimit * TAC_SCALE;
+    let violations = 0;
+    let total = 0;
+    for (let level = 0; level < distribution.length; level++) {
+        total += distribution[level];
+        if (level > threshold) violations += distribution[level];
+    }
+    return {
+        violations,
+        total,
+        percentage: total ? (violations / total) * 100 : 0
+    };
+};
+
+// Blue (no ink) through green and yellow to red (400%).
+const RAMP = [
+    [0, [20, 30, 120]],
+    [100, [0, 150, 200]],
+    [200, [60, 190, 80]],
+    [280, [240, 220, 40]],
+    [400, [220, 30, 30]]
+];
+
+export const tacToHeatColor = (tac) => {
+    for (let i = 1; i < RAMP.length; i++) {
+        const [stop, color] = RAMP[i];
+        if (tac <= stop || i === RAMP.length - 1) {
+            const [prevStop, prevColor] = RAMP[i - 1];
+            const t = Math.min(Math.max((tac - prevStop) / (stop - prevStop), 0), 1);
+            return prevColor.map((v, j) => Math.round(v + (color[j] - v) * t));
+        }
+    }
+    return RAMP[0][1];
+};
@@ -0,0 +1,27 @@
+import { createAnalysisSession } from '../utils/analysisCore';
+
+// Runs an analysis session (utils/analysisCore.js) off the main thread. The
+// page sends 'begin', then one 'tile' per strip (waiting for 'tile-done'
+// before the next), then 'finish'.
+let session = null;
+
+self.onmessage = (e) => {
+    const message = e.data;
+    try {
+        if (message.type === 'begin') {
+            session = createAnalysisSession(message, {
+                onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+            });
+        } else if (message.type === 'tile') {
+            session.addTile(message);
+            self.postMessage({ type: 'tile-done' });
+        } else if (message.type === 'finish') {
+            const stats = session.finish();
+            session = null;
+            self.postMessage({ type: 'result', stats }, [stats.tac.map.buffer, stats.tac.distribution.buffer]);
+        }
+    } catch (err) {
+        session = null;
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
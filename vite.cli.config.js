@@ -0,0 +1,18 @@
+import { defineConfig } from 'vite'
+
+// Bundles the command-line analyzer for Node. Dependencies stay external and
+// are loaded from node_modules at run time.
+export default defineConfig({
+  publicDir: false,
+  build: {
+    ssr: 'cli/coloranalyzer.js',
+    outDir: 'dist-cli',
+    target: 'node18',
+    rollupOptions: {
+      output: {
+        entryFileNames: 'coloranalyzer.js',
+        banner: '#!/usr/bin/env node',
+      },
+    },
+  },
+})